@@ -8,13 +8,23 @@ const cookieParser = require("cookie-parser");
 const helmet = require("helmet"); 
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
-const mongoSanitize = require("express-mongo-sanitize");
 const hpp = require("hpp");
+const { CONFIG } = require("./src/config/index.js");
 
-// Import database connection and routes
-const connectDB = require("./src/database/connection.js");
+// Import routes
 const authRoutes = require("./src/routes/auth.routes.js");
 const adminRoutes = require("./src/routes/admin.routes.js");
+const postRoutes = require("./src/routes/post.routes.js");
+const commentRoutes = require("./src/routes/comment.routes.js");
+const userRoutes = require("./src/routes/user.routes.js");
+const notificationRoutes = require("./src/routes/notification.routes.js");
+const realtimeRoutes = require("./src/routes/realtime.routes.js");
+const { csrfProtection } = require("./src/middlewares/csrf.js");
+const { sanitizeRequest } = require("./src/middlewares/sanitize.js");
+const RateLimitStore = require("./src/cache/rate-limit.store.js");
+const { getAccessKeyring } = require("./src/utils/jwt-keyring.js");
+const { requestContext, requestLogger, CORRELATION_HEADER } = require("./src/middlewares/request-context.js");
+const { appLogger } = require("./src/utils/logger.js");
 
 // Initialize Express app
 const app = express();
@@ -22,8 +32,8 @@ const app = express();
 // Trust proxy for production deployment (Heroku, etc.)
 app.set('trust proxy', 1);
 
-// Connect to MongoDB
-connectDB();
+// Correlation ID for every request and every log line it produces (first, so even 429s carry it)
+app.use(requestContext);
 
 /**
  * 🛡️ SECURITY MIDDLEWARE
@@ -41,32 +51,21 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 
-// Rate limiting - General protection
+// Rate limiting - General protection (RATE_LIMIT_MAX_REQUESTS per IP every RATE_LIMIT_WINDOW ms)
 const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: CONFIG.rateLimit.windowMs,
+  max: CONFIG.rateLimit.max,
   message: {
     error: "Too many requests from this IP, please try again later.",
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new RateLimitStore("general"), // shared across instances when REDIS_URL is set
 });
 app.use(generalLimiter);
 
-// Rate limiting - Auth routes (stricter)
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 auth requests per windowMs
-  message: {
-    error: "Too many authentication attempts, please try again later.",
-  },
-});
-
-// Data sanitization against NoSQL query injection
-app.use(mongoSanitize());
-
-// Prevent parameter pollution
-app.use(hpp());
+// Credential endpoints (login, register, password reset, ...) add a stricter
+// limit of their own, see src/routes/auth.routes.js
 
 // Compression middleware for better performance
 app.use(compression());
@@ -78,7 +77,8 @@ app.use(cors({
   origin: process.env.CLIENT_URL || ["http://localhost:3000", "http://localhost:5173"],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-csrf-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-csrf-token', 'X-Step-Up-Token', CORRELATION_HEADER],
+  exposedHeaders: [CORRELATION_HEADER],
 }));
 
 /**
@@ -88,19 +88,30 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
+// Data sanitization against NoSQL query injection (after parsing, so bodies are covered)
+app.use(sanitizeRequest);
+
+// Prevent parameter pollution
+app.use(hpp());
+
+// CSRF: cookie-authenticated state changes must echo the csrfToken cookie in x-csrf-token
+app.use(csrfProtection);
+
 /**
  * 📊 REQUEST LOGGING
  */
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} - ${req.ip}`);
-  next();
-});
+app.use(requestLogger);
 
 /**
  * 🛣️ ROUTES
  */
-app.use("/api/auth", authLimiter, authRoutes);
+app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/posts", postRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/realtime", realtimeRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -112,7 +123,13 @@ app.get("/", (req, res) => {
     endpoints: {
       auth: "/api/auth",
       admin: "/api/admin",
-      health: "/health"
+      posts: "/api/posts",
+      comments: "/api/comments",
+      users: "/api/users",
+      notifications: "/api/notifications",
+      realtime: "/api/realtime/stream",
+      health: "/health",
+      jwks: "/.well-known/jwks.json"
     }
   });
 });
@@ -128,28 +145,37 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Public keys for verifying our access tokens (other services cache this)
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(getAccessKeyring().toJwks());
+});
+
 // 404 handler for undefined routes
-app.use("*", (req, res) => {
+app.use((req, res) => {
   res.status(404).json({
     success: false,
     message: "Endpoint not found",
     requestedUrl: req.originalUrl,
     method: req.method,
-    availableEndpoints: ["/api/auth", "/api/admin", "/health"],
+    availableEndpoints: ["/api/auth", "/api/admin", "/api/posts", "/api/comments", "/api/users", "/api/notifications", "/api/realtime", "/health", "/.well-known/jwks.json"],
     timestamp: new Date().toISOString()
   });
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Error:', error);
-  
   const statusCode = error.statusCode || error.status || 500;
   const message = error.message || 'Internal Server Error';
   
+  if (statusCode >= 500) {
+    appLogger.error('Unhandled request error', { error, method: req.method, url: req.originalUrl });
+  }
+  
   res.status(statusCode).json({
     success: false,
     message: message,
+    correlationId: req.correlationId,
     timestamp: new Date().toISOString(),
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   });
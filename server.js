@@ -11,8 +11,13 @@
 
 const http = require("http");
 const app = require("./app.js");
+const { connectDB, disconnectDB } = require('./src/database/connection.js');
 const { CONFIG } = require('./src/config/index.js');
-// const { initializeSocket } = require('./socket');
+const { initializeSocket } = require('./src/realtime/index.js');
+const { initializeMailer } = require('./src/mailer/index.js');
+const { initializeCache } = require('./src/cache/index.js');
+const Token = require('./src/models/Token.js');
+const { loadKeyrings } = require('./src/utils/jwt-keyring.js');
 
 // Server configuration
 const port = CONFIG.PORT || 3000;
@@ -40,6 +45,21 @@ const startServer = async () => {
     console.log(`📋 Environment: ${CONFIG.NODE_ENV}`);
     console.log(`🌐 Host: ${host}`);
     console.log(`🔌 Port: ${port}`);
+
+    // Fail fast on a broken JWT keyring instead of on the first login
+    loadKeyrings();
+
+    // Connect to MongoDB before accepting requests
+    await connectDB();
+
+    // Load the JWT blacklist into the shared cache (Redis when REDIS_URL is set) before
+    // the first request; if the cache is down, lookups go to MongoDB until it's back
+    try {
+      await initializeCache(server);
+      await Token.warmBlacklistCache();
+    } catch (error) {
+      console.error('❌ Shared cache unavailable, using MongoDB for the blacklist:', error.message);
+    }
     
     // Start the server
     server.listen(port, host, () => {
@@ -49,8 +69,15 @@ const startServer = async () => {
       console.log(`📊 Memory usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
       console.log(`⏱️  Startup time: ${process.uptime().toFixed(2)} seconds`);
       
-      // Initialize socket.io if needed
-      // initializeSocket(server);
+      // Initialize realtime delivery (SSE + pub/sub adapter)
+      initializeSocket(server).catch((error) => {
+        console.error('❌ Failed to initialize realtime delivery:', error.message);
+      });
+
+      // Start the email outbox worker
+      initializeMailer(server).catch((error) => {
+        console.error('❌ Failed to initialize email delivery:', error.message);
+      });
     });
 
     // Handle server errors
@@ -106,17 +133,10 @@ const gracefulShutdown = (signal) => {
     
     try {
       // Close database connections
-      const mongoose = require('mongoose');
-      if (mongoose.connection.readyState === 1) {
-        await mongoose.connection.close();
-        console.log('🗄️  Database connection closed');
-      }
+      await disconnectDB();
+      console.log('🗄️  Database connection closed');
       
-      // Close other resources (Redis, etc.)
-      // if (redisClient) {
-      //   await redisClient.quit();
-      //   console.log('🔴 Redis connection closed');
-      // }
+      // Redis (shared cache, realtime adapter) closes with the HTTP server
       
       clearTimeout(shutdownTimeout);
       console.log('✅ Graceful shutdown completed');
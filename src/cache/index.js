@@ -0,0 +1,100 @@
+/**
+ * ⚡ SHARED CACHE BOOTSTRAP
+ *
+ * Key-value store behind the JWT blacklist and the rate-limit counters:
+ * - redis  when REDIS_URL is set, shared by every instance
+ * - memory otherwise; rate limits count per process and the blacklist is
+ *   read from MongoDB, exactly as before the cache existed
+ *
+ * Tests (or a single-process setup that wants the cached code paths) can
+ * swap in an in-memory stand-in: setStore(new MemoryCacheStore({ shared: true })).
+ */
+
+const { CONFIG } = require('../config/index.js');
+const { appLogger } = require('../utils/logger.js');
+const MemoryCacheStore = require('./stores/memory.store.js');
+const RedisCacheStore = require('./stores/redis.store.js');
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+let store = null;
+
+/**
+ * 🔌 Build the configured store
+ */
+const createStore = () => (
+  CONFIG.REDIS_URL ? new RedisCacheStore(CONFIG.REDIS_URL) : new MemoryCacheStore()
+);
+
+/**
+ * 📦 The current store (created on first use)
+ */
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+/**
+ * 🔁 Replace the store, closing the previous one
+ *
+ * @param {Object} nextStore - Any object implementing the store contract (see stores/memory.store.js)
+ * @returns {Promise<Object>} The new store
+ */
+const setStore = async (nextStore) => {
+  const previous = store;
+  store = nextStore;
+
+  if (previous && previous !== nextStore) {
+    await previous.close();
+  }
+
+  return store;
+};
+
+/**
+ * 🚀 Connect the shared cache for an HTTP server
+ *
+ * Gives up waiting after a few seconds, so an unreachable Redis can't hold
+ * up startup; the client keeps reconnecting in the background and requests
+ * use the fallbacks meanwhile.
+ *
+ * @param {http.Server} server - The HTTP server
+ * @returns {Promise<Object>} The store
+ */
+const initializeCache = async (server) => {
+  const cache = getStore();
+
+  server.on('close', () => {
+    cache.close().catch(error => {
+      appLogger.error('Error closing shared cache', { error: error.message });
+    });
+  });
+
+  let timer;
+  try {
+    await Promise.race([
+      cache.connect(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Shared cache not reachable after ${CONNECT_TIMEOUT_MS}ms`)),
+          CONNECT_TIMEOUT_MS
+        );
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  appLogger.info('Shared cache ready', { store: cache.name, shared: cache.shared });
+
+  return cache;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  createStore,
+  initializeCache,
+};
@@ -0,0 +1,71 @@
+/**
+ * 🚦 Rate Limit Store
+ *
+ * express-rate-limit store backed by the shared cache, so every instance
+ * counts requests against the same limit. Without Redis the shared cache is
+ * in-memory and limits are per process, as with the library's default store.
+ *
+ * If Redis becomes unreachable, counting continues in this process until it
+ * is back, rather than failing (or silently skipping) every limited request.
+ *
+ * Usage:
+ *   rateLimit({ windowMs, max, store: new RateLimitStore('auth') })
+ * Each limiter needs its own instance and prefix.
+ */
+
+const cache = require('./index.js');
+const MemoryCacheStore = require('./stores/memory.store.js');
+const { appLogger } = require('../utils/logger.js');
+
+class RateLimitStore {
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.fallback = new MemoryCacheStore();
+    this.degraded = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  // Tells express-rate-limit whether counts are shared between instances
+  get localKeys() {
+    return !cache.getStore().shared;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, resetAt } = await this.run(store => store.increment(this.prefix + key, this.windowMs));
+    return { totalHits: count, resetTime: new Date(resetAt) };
+  }
+
+  async decrement(key) {
+    await this.run(store => store.decrement(this.prefix + key));
+  }
+
+  async resetKey(key) {
+    await this.run(store => store.del(this.prefix + key));
+  }
+
+  async run(operation) {
+    try {
+      const result = await operation(cache.getStore());
+      if (this.degraded) {
+        this.degraded = false;
+        appLogger.info('Rate limit store recovered', { prefix: this.prefix });
+      }
+      return result;
+    } catch (error) {
+      if (!this.degraded) {
+        this.degraded = true;
+        appLogger.warn('Rate limit store unavailable, counting in this process', {
+          prefix: this.prefix,
+          error: error.message,
+        });
+      }
+      return operation(this.fallback);
+    }
+  }
+}
+
+module.exports = RateLimitStore;
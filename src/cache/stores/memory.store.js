@@ -0,0 +1,95 @@
+/**
+ * 🧠 In-Memory Cache Store
+ *
+ * Default store when Redis is not configured. Keys live in this process
+ * only, which is all a one-instance deployment needs.
+ *
+ * Store contract (shared with the Redis store):
+ * - connect()                     → Promise<void>
+ * - get(key)                      → Promise<string|null>
+ * - set(key, value, ttlMs)        → Promise<void>
+ * - del(key)                      → Promise<void>
+ * - increment(key, windowMs)      → Promise<{ count, resetAt }> (fixed window)
+ * - decrement(key)                → Promise<void>
+ * - close()                       → Promise<void>
+ * - shared                        → true when every instance sees the same keys
+ *
+ * Tests can pass `{ shared: true }` to stand in for Redis.
+ */
+
+class MemoryCacheStore {
+  constructor({ shared = false, sweepInterval = 60 * 1000 } = {}) {
+    this.name = 'memory';
+    this.shared = shared;
+    this.entries = new Map();
+
+    // Expired keys are dropped on read; the sweep keeps unread ones from piling up
+    this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+    this.sweeper.unref();
+  }
+
+  async connect() {}
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, {
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, windowMs) {
+    let entry = this.live(key);
+    if (!entry) {
+      entry = { value: '0', expiresAt: Date.now() + windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.value = String(Number(entry.value) + 1);
+
+    return { count: Number(entry.value), resetAt: entry.expiresAt };
+  }
+
+  async decrement(key) {
+    const entry = this.live(key);
+    if (entry && Number(entry.value) > 0) {
+      entry.value = String(Number(entry.value) - 1);
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.entries.clear();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,106 @@
+/**
+ * 🔴 Redis Cache Store
+ *
+ * Shares keys between every Node process connected to the same Redis
+ * server, so a token revoked on instance A is rejected by instance B and
+ * rate limits count requests across all instances.
+ *
+ * Commands fail fast while Redis is unreachable (no offline queue), so
+ * callers can fall back instead of hanging requests.
+ */
+
+const { createClient } = require('redis');
+const { appLogger } = require('../../utils/logger.js');
+
+// INCR that starts the window on the first hit (and repairs keys without a TTL)
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+// DECR that never creates a key or goes below zero
+const DECREMENT_SCRIPT = `
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+if count > 0 then
+  redis.call('DECR', KEYS[1])
+end
+return count
+`;
+
+class RedisCacheStore {
+  constructor(url) {
+    this.name = 'redis';
+    this.shared = true;
+    this.client = createClient({ url, disableOfflineQueue: true });
+    this.connecting = null;
+
+    this.client.on('error', (error) => {
+      appLogger.error('Cache Redis store error', { error: error.message });
+    });
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async get(key) {
+    return this.ready().get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    const client = this.ready();
+    if (ttlMs) {
+      await client.set(key, String(value), { PX: Math.ceil(ttlMs) });
+    } else {
+      await client.set(key, String(value));
+    }
+  }
+
+  async del(key) {
+    await this.ready().del(key);
+  }
+
+  async increment(key, windowMs) {
+    const [count, ttl] = await this.ready().eval(INCREMENT_SCRIPT, {
+      keys: [key],
+      arguments: [String(windowMs)]
+    });
+
+    return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+  }
+
+  async decrement(key) {
+    await this.ready().eval(DECREMENT_SCRIPT, { keys: [key] });
+  }
+
+  async close() {
+    if (!this.connecting) return;
+    await Promise.allSettled([this.client.quit()]);
+    this.connecting = null;
+  }
+
+  // The connected client, or an error right away so callers can fall back
+  ready() {
+    if (!this.client.isReady) {
+      // Not opened yet (or the first attempt failed); node-redis handles reconnects after that
+      if (!this.client.isOpen) {
+        this.connect().catch(() => {});
+      }
+      throw new Error('Redis cache store is not connected');
+    }
+    return this.client;
+  }
+}
+
+module.exports = RedisCacheStore;
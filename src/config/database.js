@@ -0,0 +1,42 @@
+/**
+ * 🗄️ DATABASE CONFIGURATION
+ *
+ * Connection settings used by database/connection.js. The URI comes from the
+ * validated CONFIG (MONGODB_URI / MONGO_URI); pool sizes and timeouts are
+ * tuned for a single API instance talking to a replica set or a local mongod.
+ */
+
+const { CONFIG } = require('./index.js');
+
+/**
+ * ⚙️ Connection options and retry policy
+ */
+const getDatabaseConfig = () => ({
+  // Pool
+  maxPoolSize: 10,
+  minPoolSize: 2,
+
+  // Timeouts (ms)
+  serverSelectionTimeoutMS: 5000,
+  socketTimeoutMS: 45000,
+  connectTimeoutMS: 10000,
+  heartbeatFrequencyMS: 10000,
+  maxIdleTimeMS: 30000,
+
+  writeConcern: { w: 'majority' },
+  readPreference: 'primary',
+
+  // Initial connection retries (doubling delay)
+  maxRetryAttempts: CONFIG.isTest ? 1 : 5,
+  retryInterval: 1000,
+});
+
+/**
+ * 🔗 Connection strings to try, in order
+ */
+const getConnectionUris = () => [CONFIG.MONGO_URI];
+
+module.exports = {
+  getDatabaseConfig,
+  getConnectionUris,
+};
@@ -1,51 +1,330 @@
 /**
  * 🔧 CENTRALIZED CONFIGURATION MANAGEMENT
- * 
+ *
  * This file consolidates all environment variables and configuration settings
  * into a single, validated source of truth.
+ *
+ * The environment is validated with zod when this module is first required:
+ * - Malformed values (URLs, numbers out of range, durations, enums) stop the process
+ * - In production, missing or weak secrets stop the process too
+ * - Elsewhere, weak secrets only log a warning (unset ones use development defaults)
+ *
+ * Learning Points:
+ * - Failing at boot beats failing on the first request that needs a value
+ * - `redactConfig` is the only view of CONFIG that may leave the process
  */
 
 require('dotenv').config();
 
-// Simple configuration object
-const CONFIG = {
-  NODE_ENV: process.env.NODE_ENV || 'development',
-  PORT: parseInt(process.env.PORT) || 3000,
-  
-  // Database Configuration
-  MONGO_URI: process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/versenest',
-  
-  // JWT Configuration
-  JWT_SECRET: process.env.JWT_SECRET || 'default-secret-change-in-production',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
-  JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'default-refresh-secret-change-in-production',
-  JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
-  
+const { z } = require('zod');
+
+const DEFAULT_SECRETS = {
+  JWT_SECRET: 'default-secret-change-in-production',
+  JWT_REFRESH_SECRET: 'default-refresh-secret-change-in-production',
+  ENCRYPTION_KEY: 'default-encryption-key-change-in-production',
+  ADMIN_PASSWORD: 'admin123',
+};
+
+const DEFAULT_LOG_LEVELS = { development: 'debug', production: 'info', test: 'error' };
+
+const MIN_SECRET_LENGTH = 32;
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+
+// Same format the JWT keyring accepts: 900, 15m, 12h, 7d, 2w
+const DURATION_PATTERN = /^\d+\s*[smhdw]?$/;
+
+// Keys whose values never leave the process (see redactConfig)
+const SECRET_KEYS = [
+  'JWT_SECRET',
+  'JWT_REFRESH_SECRET',
+  'JWT_KEYS',
+  'JWT_REFRESH_KEYS',
+  'ENCRYPTION_KEY',
+  'EMAIL_PASS',
+  'ADMIN_PASSWORD',
+];
+const CONNECTION_URL_KEYS = ['MONGO_URI', 'REDIS_URL'];
+
+/**
+ * 🧱 Field builders
+ * Empty variables count as unset, like the `|| default` fallbacks they replace.
+ */
+const blankToUndefined = (value) => (value === '' ? undefined : value);
+
+const text = (fallback) => z.preprocess(blankToUndefined, z.string().default(fallback));
+
+const optionalText = () => z.preprocess(blankToUndefined, z.string().optional());
+
+const integer = (fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => z.preprocess(
+  blankToUndefined,
+  z.coerce.number().int().min(min).max(max).default(fallback)
+);
+
+const flag = (fallback) => z.preprocess(
+  blankToUndefined,
+  z.enum(['true', 'false']).default(String(fallback)).transform(value => value === 'true')
+);
+
+const duration = (fallback) => z.preprocess(
+  blankToUndefined,
+  z.string().regex(DURATION_PATTERN, 'must be a duration like 900, 15m, 12h or 7d').default(fallback)
+);
+
+const protocolOf = (value) => {
+  try {
+    return new URL(value).protocol;
+  } catch (error) {
+    return null;
+  }
+};
+
+const urlWithProtocol = (protocols) => z.string().refine(
+  value => protocols.includes(protocolOf(value)),
+  `must be a URL starting with ${protocols.map(protocol => `${protocol}//`).join(' or ')}`
+);
+
+/**
+ * 📋 Environment schema
+ */
+const envSchema = z.object({
+  NODE_ENV: z.preprocess(blankToUndefined, z.enum(['development', 'production', 'test']).default('development')),
+  PORT: integer(3000, { max: 65535 }),
+
+  // Database Configuration (MONGODB_URI wins over MONGO_URI)
+  MONGO_URI: z.preprocess(
+    blankToUndefined,
+    z.string()
+      .regex(/^mongodb(\+srv)?:\/\/\S+$/, 'must be a mongodb:// or mongodb+srv:// connection string')
+      .default('mongodb://127.0.0.1:27017/versenest')
+  ),
+
+  // JWT Configuration (secrets are checked in checkSecrets)
+  JWT_SECRET: optionalText(),
+  JWT_EXPIRES_IN: duration('15m'),
+  JWT_REFRESH_SECRET: optionalText(),
+  JWT_REFRESH_EXPIRES_IN: duration('7d'),
+  JWT_KEYS: optionalText(),
+  JWT_KEYS_FILE: optionalText(),
+  JWT_REFRESH_KEYS: optionalText(),
+  JWT_REFRESH_KEYS_FILE: optionalText(),
+  JWT_ISSUER: text('versenest-api'),
+  JWT_AUDIENCE: text('versenest-app'),
+
   // Email Configuration
-  EMAIL_HOST: process.env.EMAIL_HOST,
-  EMAIL_PORT: parseInt(process.env.EMAIL_PORT) || 587,
-  EMAIL_USER: process.env.EMAIL_USER,
-  EMAIL_PASS: process.env.EMAIL_PASS,
-  
+  EMAIL_HOST: optionalText(),
+  EMAIL_PORT: integer(587, { max: 65535 }),
+  EMAIL_USER: optionalText(),
+  EMAIL_PASS: optionalText(),
+  EMAIL_FROM: text('VerseNest <no-reply@versenest.com>'),
+  EMAIL_TRANSPORT: z.preprocess(blankToUndefined, z.enum(['smtp', 'file', 'console']).optional()),
+  EMAIL_FILE_DIR: text('logs/emails'),
+  EMAIL_MAX_ATTEMPTS: integer(5, { max: 50 }),
+  EMAIL_RETRY_BASE_MS: integer(60 * 1000),
+  EMAIL_OUTBOX_INTERVAL: integer(15000, { min: 1000 }),
+
   // Client Configuration
-  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
-  
+  CLIENT_URL: z.preprocess(blankToUndefined, urlWithProtocol(['http:', 'https:']).default('http://localhost:3000')),
+
   // Security
-  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
-  
+  BCRYPT_ROUNDS: integer(12, { min: 8, max: 15 }),
+  MAX_LOGIN_ATTEMPTS: integer(5, { max: 100 }),
+  LOCKOUT_DURATION: integer(15 * 60 * 1000),
+  ENCRYPTION_KEY: optionalText(),
+
+  // Two-factor authentication (TOTP)
+  TWO_FACTOR_ISSUER: text('VerseNest'),
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: duration('5m'),
+  TWO_FACTOR_RECOVERY_CODES: integer(10, { max: 50 }),
+
+  // Step-up re-authentication
+  STEP_UP_EXPIRES_IN: duration('5m'),
+
   // Admin Configuration
-  ADMIN_EMAIL: process.env.ADMIN_EMAIL || 'admin@versenest.com',
-  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || 'admin123',
-  
+  ADMIN_EMAIL: z.preprocess(blankToUndefined, z.string().email().default('admin@versenest.com')),
+  ADMIN_PASSWORD: optionalText(),
+
   // Redis Configuration (optional)
-  REDIS_URL: process.env.REDIS_URL,
-  
+  REDIS_URL: z.preprocess(blankToUndefined, urlWithProtocol(['redis:', 'rediss:']).optional()),
+
+  // Email verification
+  REQUIRE_EMAIL_VERIFICATION: flag(true),
+  EMAIL_VERIFICATION_TOKEN_HOURS: integer(24, { max: 24 * 30 }),
+  EMAIL_CHANGE_TOKEN_HOURS: integer(24, { max: 24 * 30 }),
+  MAGIC_LINK_TOKEN_MINUTES: integer(15, { max: 24 * 60 }),
+
+  // Notifications
+  NOTIFICATION_RETENTION_DAYS: integer(90),
+  NOTIFICATION_GROUP_WINDOW_HOURS: integer(24),
+
+  // Realtime (Server-Sent Events)
+  REALTIME_ADAPTER: z.preprocess(blankToUndefined, z.enum(['memory', 'redis']).default('memory')),
+  REALTIME_HEARTBEAT_INTERVAL: integer(25000, { min: 1000 }),
+  REALTIME_RETRY_MS: integer(5000),
+  REALTIME_MAX_CONNECTIONS_PER_USER: integer(5, { max: 100 }),
+  REALTIME_MAX_STREAM_MS: integer(15 * 60 * 1000, { min: 10000 }),
+
   // File Upload
-  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
-  
+  MAX_FILE_SIZE: integer(10 * 1024 * 1024),
+
   // Rate Limiting
-  RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
-  RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+  RATE_LIMIT_WINDOW: integer(15 * 60 * 1000, { min: 1000 }),
+  RATE_LIMIT_MAX_REQUESTS: integer(100),
+
+  // Logging (JSON lines on stdout; daily files in LOG_DIR when set)
+  LOG_LEVEL: z.preprocess(blankToUndefined, z.enum(['error', 'warn', 'info', 'http', 'debug']).optional()),
+  LOG_FORMAT: z.preprocess(blankToUndefined, z.enum(['json', 'pretty']).default('json')),
+  LOG_DIR: optionalText(),
+  LOG_RETENTION_DAYS: integer(14, { max: 3650 }),
+});
+
+/**
+ * 🔐 Secret strength rules
+ * Production stops on any problem; development only warns (tests stay quiet).
+ *
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+const checkSecrets = (env) => {
+  const problems = [];
+
+  const checkSecret = (key, { minLength = MIN_SECRET_LENGTH, required = true } = {}) => {
+    const value = env[key];
+
+    if (value === undefined) {
+      if (required) problems.push(`${key} is not set`);
+    } else if (value === DEFAULT_SECRETS[key]) {
+      problems.push(`${key} is the published default`);
+    } else if (value.length < minLength) {
+      problems.push(`${key} must be at least ${minLength} characters`);
+    }
+  };
+
+  // With a keyring, the plain secrets only verify tokens issued before it
+  checkSecret('JWT_SECRET', { required: !env.JWT_KEYS && !env.JWT_KEYS_FILE });
+  checkSecret('JWT_REFRESH_SECRET', { required: !env.JWT_REFRESH_KEYS && !env.JWT_REFRESH_KEYS_FILE });
+  checkSecret('ENCRYPTION_KEY');
+  checkSecret('ADMIN_PASSWORD', { minLength: MIN_ADMIN_PASSWORD_LENGTH });
+
+  if (env.JWT_SECRET && env.JWT_SECRET === env.JWT_REFRESH_SECRET) {
+    problems.push('JWT_SECRET and JWT_REFRESH_SECRET must differ');
+  }
+
+  return env.NODE_ENV === 'production'
+    ? { errors: problems, warnings: [] }
+    : { errors: [], warnings: env.NODE_ENV === 'test' ? [] : problems };
+};
+
+/**
+ * 📧 Production mail rules
+ * Reset, magic-link and email-change messages carry sign-in tokens, so
+ * production must deliver them over SMTP, never print them.
+ */
+const checkProductionMail = (env) => {
+  if (env.NODE_ENV !== 'production') {
+    return [];
+  }
+
+  const problems = [];
+  if (!env.EMAIL_HOST) {
+    problems.push('EMAIL_HOST is not set (production sends email over SMTP)');
+  }
+  if (env.EMAIL_TRANSPORT === 'console') {
+    problems.push('EMAIL_TRANSPORT=console is not allowed in production');
+  }
+  return problems;
 };
 
-module.exports = { CONFIG };
+/**
+ * 🏗️ Validate an environment and build the configuration object
+ *
+ * @param {Object} env - Usually process.env
+ * @returns {{ config: Object, warnings: string[] }}
+ * @throws {Error} With an `issues` array when the environment is invalid
+ */
+const loadConfig = (env = process.env) => {
+  const parsed = envSchema.safeParse({
+    ...env,
+    MONGO_URI: env.MONGODB_URI || env.MONGO_URI,
+  });
+
+  const issues = parsed.success
+    ? []
+    : parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+
+  const { errors, warnings } = parsed.success ? checkSecrets(parsed.data) : { errors: [], warnings: [] };
+  issues.push(...errors);
+  if (parsed.success) {
+    issues.push(...checkProductionMail(parsed.data));
+  }
+
+  if (issues.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${issues.join('\n  - ')}`);
+    error.issues = issues;
+    throw error;
+  }
+
+  const values = parsed.data;
+  const config = {
+    ...values,
+
+    // Development fallbacks (production never reaches these, see checkSecrets)
+    JWT_SECRET: values.JWT_SECRET || DEFAULT_SECRETS.JWT_SECRET,
+    JWT_REFRESH_SECRET: values.JWT_REFRESH_SECRET || DEFAULT_SECRETS.JWT_REFRESH_SECRET,
+    ENCRYPTION_KEY: values.ENCRYPTION_KEY || DEFAULT_SECRETS.ENCRYPTION_KEY, // encrypts 2FA secrets
+    ADMIN_PASSWORD: values.ADMIN_PASSWORD || DEFAULT_SECRETS.ADMIN_PASSWORD,
+
+    LOG_LEVEL: values.LOG_LEVEL || DEFAULT_LOG_LEVELS[values.NODE_ENV],
+
+    isDevelopment: values.NODE_ENV === 'development',
+    isProduction: values.NODE_ENV === 'production',
+    isTest: values.NODE_ENV === 'test',
+
+    // Grouped views kept from the earlier configuration layout
+    security: {
+      bcryptRounds: values.BCRYPT_ROUNDS,
+      maxLoginAttempts: values.MAX_LOGIN_ATTEMPTS,
+      lockoutDuration: values.LOCKOUT_DURATION,
+    },
+    rateLimit: {
+      windowMs: values.RATE_LIMIT_WINDOW,
+      max: values.RATE_LIMIT_MAX_REQUESTS,
+    },
+  };
+
+  return { config, warnings };
+};
+
+/**
+ * 🙈 Copy of a configuration that is safe to show (admin config view)
+ * Secrets become '[REDACTED]' (null when unset); connection URLs lose their password.
+ */
+const redactConfig = (config) => {
+  const redacted = JSON.parse(JSON.stringify(config));
+
+  for (const key of SECRET_KEYS) {
+    redacted[key] = config[key] ? '[REDACTED]' : null;
+  }
+
+  for (const key of CONNECTION_URL_KEYS) {
+    if (config[key]) {
+      redacted[key] = config[key].replace(/\/\/([^:@/]*):[^@/]*@/, '//$1:[REDACTED]@');
+    }
+  }
+
+  return redacted;
+};
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const CONFIG = loaded.config;
+
+for (const warning of loaded.warnings) {
+  console.warn(`⚠️  Config: ${warning} (production will refuse to start)`);
+}
+
+module.exports = { CONFIG, loadConfig, redactConfig };
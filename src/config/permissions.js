@@ -0,0 +1,143 @@
+/**
+ * 🎯 PERMISSIONS
+ *
+ * Catalogue of the permission strings checked by `hasPermission` and the
+ * default roles. Roles themselves live in the `roles` collection (see
+ * models/Role.js) so admins can create custom roles such as "moderator";
+ * DEFAULT_ROLES seeds that collection and is the fallback for role names
+ * that have no document yet.
+ *
+ * Learning Points:
+ * - Naming permissions `resource:action` keeps checks readable
+ * - Permissions are referenced by code, so the catalogue stays in code;
+ *   which role gets which permission is data
+ */
+
+/**
+ * 📋 Every permission a route can require
+ */
+const PERMISSION_DESCRIPTIONS = {
+  // Content
+  'post:create': 'Publish posts',
+  'post:update': 'Edit own posts',
+  'post:delete': 'Delete own posts',
+  'post:like': 'Like posts',
+  'post:bookmark': 'Bookmark posts',
+  'comment:create': 'Write comments',
+  'comment:update': 'Edit own comments',
+  'comment:delete': 'Delete own comments',
+  'comment:like': 'Like comments',
+
+  // Moderation & administration
+  'post:moderate': 'List and delete any post',
+  'post:feature': 'Feature and unfeature posts',
+  'comment:moderate': 'Delete any comment',
+  'report:review': 'Review reported content',
+  'application:review': 'Approve or reject writer applications',
+  'user:view': 'List and search users',
+  'user:ban': 'Ban and unban users',
+  'user:delete': 'Delete user accounts',
+  'analytics:view': 'View dashboard, analytics and admin activity',
+  'role:manage': 'Manage roles and assign them to users',
+  'system:config': 'View the running configuration (secrets redacted)',
+};
+
+const PERMISSIONS = Object.keys(PERMISSION_DESCRIPTIONS);
+
+// Grants every permission, including ones added later
+const WILDCARD_PERMISSION = '*';
+
+/**
+ * 🔑 Permissions a personal access token can be scoped to
+ * Moderation and administration always need a signed-in session.
+ */
+const TOKEN_SCOPES = [
+  'post:create',
+  'post:update',
+  'post:delete',
+  'post:like',
+  'post:bookmark',
+  'comment:create',
+  'comment:update',
+  'comment:delete',
+  'comment:like',
+];
+
+/**
+ * 👥 Default roles (seeded by migration 003-roles)
+ */
+const READER_PERMISSIONS = [
+  'post:like',
+  'post:bookmark',
+  'comment:create',
+  'comment:update',
+  'comment:delete',
+  'comment:like',
+];
+
+const WRITER_PERMISSIONS = ['post:create', 'post:update', 'post:delete', ...READER_PERMISSIONS];
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every feature',
+    permissions: [WILDCARD_PERMISSION],
+    isSystem: true,
+  },
+  {
+    name: 'writer',
+    description: 'Publishes stories and takes part in discussions',
+    permissions: WRITER_PERMISSIONS,
+    isSystem: true,
+  },
+  {
+    name: 'reader',
+    description: 'Reads, likes, bookmarks and comments',
+    permissions: READER_PERMISSIONS,
+    isSystem: true,
+  },
+  {
+    name: 'moderator',
+    description: 'Reader who keeps comment sections clean',
+    permissions: [...READER_PERMISSIONS, 'comment:moderate', 'report:review', 'user:view', 'user:ban'],
+    isSystem: false,
+  },
+  {
+    name: 'editor',
+    description: 'Writer who curates and moderates content',
+    permissions: [
+      ...WRITER_PERMISSIONS,
+      'post:moderate',
+      'post:feature',
+      'comment:moderate',
+      'report:review',
+      'application:review',
+    ],
+    isSystem: false,
+  },
+];
+
+// Roles anyone can pick when signing up; every other role is granted by an admin
+const SELF_REGISTRATION_ROLES = ['reader', 'writer'];
+
+const DEFAULT_ROLE_PERMISSIONS = Object.fromEntries(
+  DEFAULT_ROLES.map(role => [role.name, role.permissions])
+);
+
+/**
+ * 🔍 Expand a role's permission list ('*' → every permission)
+ */
+const expandPermissions = (granted = []) => (
+  granted.includes(WILDCARD_PERMISSION) ? [...PERMISSIONS] : [...granted]
+);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  WILDCARD_PERMISSION,
+  TOKEN_SCOPES,
+  DEFAULT_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  SELF_REGISTRATION_ROLES,
+  expandPermissions,
+};
@@ -15,9 +15,10 @@
  * - GET /api/admin/reports - Get reported content
  * - GET /api/admin/activity - Get admin activity log
  * - GET /api/admin/search/users - Search users
+ * - GET /api/admin/dashboard - Get dashboard summary
  * 
  * Security Notes:
- * - All endpoints require admin role
+ * - Each endpoint requires its own permission (see routes/admin.routes.js)
  * - Actions are logged for audit purposes
  * - Rate limiting applies to prevent abuse
  * - Sensitive operations have additional validation
@@ -30,6 +31,7 @@
  */
 
 const adminService = require('../services/admin.service');
+const { CONFIG, redactConfig } = require('../config/index.js');
 const { paginationSchema } = require('../validators/schemas');
 const { ValidationError, ForbiddenError } = require('../utils/errors');
 const logger = require('../utils/logger');
@@ -197,7 +199,7 @@ class AdminController {
         action,
         reason: reason?.trim(),
         duration
-      });
+      }, req.user.role);
 
       res.status(200).json({
         success: true,
@@ -523,6 +525,33 @@ class AdminController {
       next(error);
     }
   }
+
+  /**
+   * Get running configuration
+   * GET /api/admin/config
+   * 
+   * Returns the validated configuration with secrets redacted and
+   * connection URLs stripped of their passwords.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getConfig(req, res, next) {
+    try {
+      logger.info('Admin: Get configuration request', { adminId: req.user.id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Configuration retrieved successfully',
+        data: {
+          config: redactConfig(CONFIG)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AdminController();
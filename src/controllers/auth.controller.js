@@ -6,11 +6,12 @@
  * It acts as the bridge between the HTTP layer and the authentication service.
  * 
  * Features:
- * - User registration and login
+ * - User registration and login (password or magic link)
  * - JWT token management
  * - Password reset functionality
  * - Session management
  * - Account verification
+ * - CSRF tokens for cookie-based clients
  * 
  * Learning Notes:
  * - Controllers focus on HTTP concerns (request/response handling)
@@ -21,6 +22,8 @@
  */
 
 const authService = require('../services/auth.service');
+const { getDeviceInfo } = require('../utils/device');
+const { issueCsrfToken, CSRF_HEADER } = require('../middlewares/csrf');
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
 
@@ -42,7 +45,7 @@ class AuthController {
         role,
         bio,
         location
-      });
+      }, getDeviceInfo(req));
 
       // Set JWT tokens in cookies
       res.cookie('accessToken', result.tokens.accessToken, {
@@ -79,7 +82,12 @@ class AuthController {
 
       logger.info('User login attempt', { email });
 
-      const result = await authService.loginUser(email, password);
+      const result = await authService.loginUser(email, password, getDeviceInfo(req));
+
+      // 2FA accounts get a challenge token; tokens are issued by /verify-2fa
+      if (result.twoFactorRequired) {
+        return successResponse(res, result, 'Two-factor authentication required');
+      }
 
       // Set JWT tokens in cookies
       res.cookie('accessToken', result.tokens.accessToken, {
@@ -106,6 +114,67 @@ class AuthController {
     }
   }
 
+  /**
+   * Request a magic sign-in link
+   * POST /api/auth/magic-link
+   */
+  async requestMagicLink(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      logger.info('Magic link requested', { email });
+
+      const result = await authService.requestMagicLink(email, getDeviceInfo(req));
+
+      return successResponse(res, null, result.message);
+    } catch (error) {
+      logger.error('Magic link request error', { error: error.message, email: req.body.email });
+      next(error);
+    }
+  }
+
+  /**
+   * Sign in with a magic link token
+   * POST /api/auth/magic-link/verify
+   */
+  async magicLinkLogin(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      logger.info('Magic link login attempt');
+
+      const result = await authService.loginWithMagicLink(token, getDeviceInfo(req));
+
+      // 2FA accounts get a challenge token; tokens are issued by /verify-2fa
+      if (result.twoFactorRequired) {
+        return successResponse(res, result, 'Two-factor authentication required');
+      }
+
+      // Set JWT tokens in cookies
+      res.cookie('accessToken', result.tokens.accessToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 15 * 60 * 1000, // 15 minutes
+      });
+
+      res.cookie('refreshToken', result.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      });
+
+      return successResponse(res, {
+        user: result.user,
+        tokens: result.tokens
+      }, 'Login successful');
+    } catch (error) {
+      logger.error('Magic link login error', { error: error.message });
+      next(error);
+    }
+  }
+
   /**
    * Refresh access token
    * POST /api/auth/refresh
@@ -123,9 +192,9 @@ class AuthController {
 
       logger.info('Token refresh attempt');
 
-      const result = await authService.refreshToken(token);
+      const result = await authService.refreshToken(token, getDeviceInfo(req));
 
-      // Set new access token in cookie
+      // Set the new token pair in cookies (the old refresh token is now revoked)
       res.cookie('accessToken', result.accessToken, {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
@@ -133,8 +202,17 @@ class AuthController {
         maxAge: 15 * 60 * 1000, // 15 minutes
       });
 
+      res.cookie('refreshToken', result.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      });
+
       return successResponse(res, {
         accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
         user: result.user
       }, 'Token refreshed successfully');
     } catch (error) {
@@ -192,6 +270,21 @@ class AuthController {
     }
   }
 
+  /**
+   * Get a CSRF token for cookie-authenticated requests
+   * GET /api/auth/csrf-token
+   */
+  async getCsrfToken(req, res, next) {
+    try {
+      const csrfToken = issueCsrfToken(req, res);
+
+      return successResponse(res, { csrfToken, headerName: CSRF_HEADER }, 'CSRF token issued');
+    } catch (error) {
+      logger.error('CSRF token error', { error: error.message });
+      next(error);
+    }
+  }
+
   /**
    * Get current user
    * GET /api/auth/me
@@ -307,6 +400,60 @@ class AuthController {
     }
   }
 
+  /**
+   * Request an email change
+   * POST /api/auth/change-email
+   */
+  async changeEmail(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { currentPassword, newEmail } = req.body;
+
+      logger.info('Email change requested', { userId });
+
+      const result = await authService.requestEmailChange(userId, currentPassword, newEmail);
+
+      return successResponse(res, null, result.message);
+    } catch (error) {
+      logger.error('Change email error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm an email change (link sent to the new address)
+   * POST /api/auth/confirm-email-change
+   */
+  async confirmEmailChange(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      const result = await authService.confirmEmailChange(token);
+
+      return successResponse(res, { email: result.email }, result.message);
+    } catch (error) {
+      logger.error('Confirm email change error', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel an email change (link sent to the current address)
+   * POST /api/auth/cancel-email-change
+   */
+  async cancelEmailChange(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      const result = await authService.cancelEmailChange(token);
+
+      return successResponse(res, null, result.message);
+    } catch (error) {
+      logger.error('Cancel email change error', { error: error.message });
+      next(error);
+    }
+  }
+
   /**
    * Verify token
    * GET /api/auth/verify-token
@@ -344,13 +491,33 @@ class AuthController {
 
       const result = await authService.enable2FA(userId, password);
 
-      return successResponse(res, result, '2FA enabled successfully');
+      return successResponse(res, result, 'Scan the code in your authenticator app, then confirm with a 6-digit code');
     } catch (error) {
       logger.error('Enable 2FA error', { error: error.message, userId: req.user?.id });
       next(error);
     }
   }
 
+  /**
+   * Confirm 2FA setup
+   * POST /api/auth/confirm-2fa
+   */
+  async confirm2FA(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { code } = req.body;
+
+      logger.info('Confirm 2FA attempt', { userId });
+
+      const result = await authService.confirm2FA(userId, code);
+
+      return successResponse(res, result, '2FA enabled successfully. Store your recovery codes somewhere safe');
+    } catch (error) {
+      logger.error('Confirm 2FA error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
   /**
    * Disable 2FA
    * POST /api/auth/disable-2fa
@@ -358,11 +525,11 @@ class AuthController {
   async disable2FA(req, res, next) {
     try {
       const userId = req.user.id;
-      const { password } = req.body;
+      const { password, code } = req.body;
 
       logger.info('Disable 2FA attempt', { userId });
 
-      await authService.disable2FA(userId, password);
+      await authService.disable2FA(userId, password, code);
 
       return successResponse(res, null, '2FA disabled successfully');
     } catch (error) {
@@ -377,11 +544,11 @@ class AuthController {
    */
   async verify2FA(req, res, next) {
     try {
-      const { token, email } = req.body;
+      const { challengeToken, code } = req.body;
 
-      logger.info('2FA verification attempt', { email });
+      logger.info('2FA verification attempt');
 
-      const result = await authService.verify2FA(email, token);
+      const result = await authService.verify2FA(challengeToken, code, getDeviceInfo(req));
 
       // Set JWT tokens in cookies
       res.cookie('accessToken', result.tokens.accessToken, {
@@ -403,7 +570,28 @@ class AuthController {
         tokens: result.tokens
       }, '2FA verification successful');
     } catch (error) {
-      logger.error('2FA verification error', { error: error.message, email: req.body.email });
+      logger.error('2FA verification error', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Step-up re-authentication
+   * POST /api/auth/step-up
+   * The returned token goes in the X-Step-Up-Token header of sensitive requests.
+   */
+  async stepUp(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { password, code } = req.body;
+
+      logger.info('Step-up attempt', { userId });
+
+      const result = await authService.stepUp(userId, req.sessionId, { password, code });
+
+      return successResponse(res, result, 'Identity confirmed');
+    } catch (error) {
+      logger.error('Step-up error', { error: error.message, userId: req.user?.id });
       next(error);
     }
   }
@@ -418,7 +606,7 @@ class AuthController {
 
       logger.info('Get active sessions', { userId });
 
-      const sessions = await authService.getActiveSessions(userId);
+      const sessions = await authService.getUserSessions(userId, req.sessionId);
 
       return successResponse(res, { sessions }, 'Active sessions retrieved successfully');
     } catch (error) {
@@ -446,6 +634,87 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * Revoke all sessions except the current one
+   * DELETE /api/auth/sessions
+   */
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      logger.info('Revoke other sessions', { userId });
+
+      const result = await authService.revokeOtherSessions(userId, req.sessionId);
+
+      return successResponse(res, result, 'Signed out of all other sessions');
+    } catch (error) {
+      logger.error('Revoke other sessions error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
+  /**
+   * List personal access tokens
+   * GET /api/auth/tokens
+   */
+  async listPersonalAccessTokens(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const tokens = await authService.listPersonalAccessTokens(userId);
+
+      return successResponse(res, { tokens }, 'Personal access tokens retrieved successfully');
+    } catch (error) {
+      logger.error('List personal access tokens error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
+  /**
+   * Create personal access token
+   * POST /api/auth/tokens
+   */
+  async createPersonalAccessToken(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      logger.info('Create personal access token', { userId, scopes: req.body.scopes });
+
+      const result = await authService.createPersonalAccessToken(userId, req.body);
+
+      return successResponse(
+        res,
+        result,
+        'Personal access token created. Copy it now - it will not be shown again.',
+        201
+      );
+    } catch (error) {
+      logger.error('Create personal access token error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke personal access token
+   * DELETE /api/auth/tokens/:tokenId
+   */
+  async revokePersonalAccessToken(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { tokenId } = req.params;
+
+      logger.info('Revoke personal access token', { userId, tokenId });
+
+      await authService.revokePersonalAccessToken(userId, tokenId);
+
+      return successResponse(res, null, 'Personal access token revoked successfully');
+    } catch (error) {
+      logger.error('Revoke personal access token error', { error: error.message, userId: req.user?.id });
+      next(error);
+    }
+  }
+
 }
 
 module.exports = new AuthController();
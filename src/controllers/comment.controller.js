@@ -6,8 +6,8 @@
  * retrieval, updates, deletion, and social interactions.
  * 
  * Endpoints:
- * - POST /api/comments - Create new comment
- * - GET /api/comments/post/:postId - Get comments for a post
+ * - POST /api/posts/:postId/comments - Create new comment
+ * - GET /api/posts/:postId/comments - Get comments for a post (?mode=tree for nested replies)
  * - GET /api/comments/:commentId - Get specific comment
  * - PUT /api/comments/:commentId - Update comment
  * - DELETE /api/comments/:commentId - Delete comment
@@ -24,18 +24,20 @@
  */
 
 const commentService = require('../services/comment.service');
+const roleService = require('../services/role.service');
 const { 
   commentCreateSchema,
   commentUpdateSchema,
+  commentReportSchema,
   paginationSchema 
 } = require('../validators/schemas');
-const { ValidationError } = require('../utils/errors');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class CommentController {
   /**
    * Create new comment
-   * POST /api/comments
+   * POST /api/posts/:postId/comments
    * 
    * Creates a new comment on a post with content validation.
    * Handles both top-level comments and replies.
@@ -47,7 +49,7 @@ class CommentController {
   async createComment(req, res, next) {
     try {
       const authorId = req.user.id;
-      const { postId } = req.body;
+      const postId = req.params.postId || req.body.postId;
       const commentData = req.body;
 
       logger.info('Create comment request', { 
@@ -90,10 +92,11 @@ class CommentController {
 
   /**
    * Get comments for a post
-   * GET /api/comments/post/:postId
+   * GET /api/posts/:postId/comments
    * 
    * Returns paginated comments for a specific post.
-   * Supports threading and sorting options.
+   * Supports threading and sorting options. With `mode=tree` the
+   * whole discussion is returned as nested replies instead.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -118,6 +121,24 @@ class CommentController {
         );
       }
 
+      // Tree mode returns the full thread, so pagination doesn't apply
+      if (queryParams.mode === 'tree') {
+        const comments = await commentService.getThreadedComments(postId, {
+          maxDepth: parseInt(queryParams.maxDepth) || 3,
+          sortBy: queryParams.sortBy || 'createdAt',
+          sortOrder: queryParams.sortOrder || 'asc'
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Comments retrieved successfully',
+          data: {
+            comments,
+            mode: 'tree'
+          }
+        });
+      }
+
       // Additional query options
       const options = {
         ...paginationValidation.data,
@@ -225,7 +246,8 @@ class CommentController {
    * Delete comment
    * DELETE /api/comments/:commentId
    * 
-   * Deletes a comment. Only comment author can delete their comments.
+   * Deletes a comment. Authors can delete their own comments; roles with
+   * comment:moderate (moderators, admins) can delete any.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -238,7 +260,9 @@ class CommentController {
 
       logger.info('Delete comment request', { commentId, userId });
 
-      const result = await commentService.deleteComment(commentId, userId, false);
+      const canModerate = await roleService.can(req, 'comment:moderate');
+
+      const result = await commentService.deleteComment(commentId, userId, canModerate);
 
       res.status(200).json({
         success: true,
@@ -294,23 +318,25 @@ class CommentController {
     try {
       const { commentId } = req.params;
       const userId = req.user.id;
-      const { reason } = req.body;
 
-      logger.info('Report comment request', { commentId, userId, reason });
+      logger.info('Report comment request', { commentId, userId, reason: req.body.reason });
 
-      // Validate reason
-      if (!reason || typeof reason !== 'string' || reason.trim().length < 5) {
-        throw new ValidationError('Report reason must be at least 5 characters long');
+      // Validate report data
+      const validationResult = commentReportSchema.safeParse(req.body);
+      if (!validationResult.success) {
+        throw new ValidationError(
+          'Invalid report data',
+          validationResult.error.issues
+        );
       }
 
-      if (reason.length > 500) {
-        throw new ValidationError('Report reason must be at most 500 characters long');
-      }
+      const { reason, description } = validationResult.data;
 
       const result = await commentService.reportComment(
         commentId, 
         userId, 
-        reason.trim()
+        reason,
+        description.trim()
       );
 
       res.status(200).json({
@@ -13,7 +13,7 @@
 
 const notificationService = require('../services/notification.service');
 const logger = require('../utils/logger');
-const { AppError } = require('../middlewares/error.middleware');
+const { AppError } = require('../utils/errors');
 
 class NotificationController {
   /**
@@ -32,15 +32,18 @@ class NotificationController {
         page = 1,
         limit = 20,
         unreadOnly = false,
+        isRead,
         types = []
       } = req.query;
 
-      // Parse query parameters
+      // Parse query parameters (?types=a,b or ?types=a&types=b)
+      const typeList = Array.isArray(types) ? types : (types ? types.split(',') : []);
       const options = {
         page: parseInt(page),
         limit: Math.min(parseInt(limit), 50), // Max 50 items per page
         unreadOnly: unreadOnly === 'true',
-        types: Array.isArray(types) ? types : (types ? [types] : [])
+        isRead: isRead === undefined ? undefined : isRead === 'true',
+        types: typeList.filter(Boolean)
       };
 
       const result = await notificationService.getUserNotifications(userId, options);
@@ -185,17 +188,12 @@ class NotificationController {
   async getUnreadCount(req, res, next) {
     try {
       const userId = req.user.id;
-      const User = require('../models/user.model');
-      
-      const user = await User.findById(userId).select('unreadNotificationCount');
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+      const unreadCount = await notificationService.getUnreadCount(userId);
 
       res.status(200).json({
         success: true,
         data: {
-          unreadCount: user.unreadNotificationCount || 0
+          unreadCount
         },
         timestamp: new Date().toISOString()
       });
@@ -13,6 +13,7 @@
  * - POST /api/posts - Create new post
  * - GET /api/posts - Get posts with filtering/pagination
  * - GET /api/posts/:postId - Get specific post
+ * - GET /api/posts/slug/:slug - Get specific post by slug
  * - PUT /api/posts/:postId - Update post
  * - DELETE /api/posts/:postId - Delete post
  * - POST /api/posts/:postId/like - Like/unlike post
@@ -29,13 +30,14 @@
  */
 
 const postService = require('../services/post.service');
+const roleService = require('../services/role.service');
 const { 
   postCreateSchema,
   postUpdateSchema, 
   postQuerySchema,
   paginationSchema 
 } = require('../validators/schemas');
-const { ValidationError } = require('../utils/errors');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class PostController {
@@ -187,6 +189,48 @@ class PostController {
     }
   }
 
+  /**
+   * Get specific post by slug
+   * GET /api/posts/slug/:slug
+   * 
+   * Same as getPostById but resolves the post through its SEO slug,
+   * which is what public story URLs use.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getPostBySlug(req, res, next) {
+    try {
+      const { slug } = req.params;
+      const userId = req.user?.id;
+      const { includeComments = 'false' } = req.query;
+
+      logger.info('Get post by slug request', { 
+        slug, 
+        userId,
+        includeComments 
+      });
+
+      const options = {
+        includeComments: includeComments === 'true',
+        commentLimit: 10
+      };
+
+      const post = await postService.getPostBySlug(slug, userId, options);
+
+      res.status(200).json({
+        success: true,
+        message: 'Post retrieved successfully',
+        data: {
+          post
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update post
    * PUT /api/posts/:postId
@@ -241,7 +285,8 @@ class PostController {
    * Delete post
    * DELETE /api/posts/:postId
    * 
-   * Deletes a post (soft delete). Only post author can delete their posts.
+   * Deletes a post (soft delete). Authors can delete their own posts; roles
+   * with post:moderate (editors, admins) can delete any.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -254,7 +299,9 @@ class PostController {
 
       logger.info('Delete post request', { postId, userId });
 
-      const result = await postService.deletePost(postId, userId, false);
+      const canModerate = await roleService.can(req, 'post:moderate');
+
+      const result = await postService.deletePost(postId, userId, canModerate);
 
       res.status(200).json({
         success: true,
@@ -288,7 +335,8 @@ class PostController {
         success: true,
         message: result.message,
         data: {
-          isLiked: result.isLiked
+          isLiked: result.isLiked,
+          likesCount: result.likesCount
         }
       });
     } catch (error) {
@@ -523,7 +571,7 @@ class PostController {
    * GET /api/posts/:postId/analytics
    * 
    * Returns detailed analytics for a post (views, likes, shares, etc.).
-   * Only accessible by post author or admins.
+   * Only accessible by the post author or roles with analytics:view.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -540,8 +588,8 @@ class PostController {
       // For now, return basic analytics from post model
       const post = await postService.getPostById(postId, userId);
 
-      // Check if user can view analytics (post author or admin)
-      if (post.author._id.toString() !== userId && req.user.role !== 'admin') {
+      // Check if user can view analytics (post author or analytics:view)
+      if (post.author._id.toString() !== userId && !(await roleService.can(req, 'analytics:view'))) {
         throw new ForbiddenError('You do not have permission to view post analytics');
       }
 
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Realtime Controller - Server-Sent Events stream for live updates
+ *
+ * Endpoints:
+ * - GET /api/realtime/stream - Open an SSE stream (notifications + post counters)
+ * - PUT /api/realtime/connections/:connectionId/posts - Change watched posts
+ *
+ * Educational Notes:
+ * - The stream is authenticated by the same `authenticate` middleware as the
+ *   rest of the API (Bearer header or accessToken cookie)
+ * - The stream is closed when the access token expires, after at most
+ *   REALTIME_MAX_STREAM_MS, and as soon as its session is revoked (logout,
+ *   password change, ...); the client refreshes its token and reconnects,
+ *   which re-runs authentication
+ * - Only posts the user may open (GET /api/posts/:id) can be watched
+ */
+
+const jwt = require('jsonwebtoken');
+const realtimeService = require('../services/realtime.service');
+const postService = require('../services/post.service');
+const { CONFIG } = require('../config/index.js');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class RealtimeController {
+  /**
+   * Open a Server-Sent Events stream for the authenticated user
+   *
+   * @route GET /api/realtime/stream?posts=id1,id2
+   * @access Private
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async stream(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { posts } = req.query;
+      const postIds = await postService.filterVisiblePostIds(
+        posts ? posts.split(',').filter(Boolean) : [],
+        userId
+      );
+
+      // A client that left during the awaits above never emits 'close' again
+      if (req.destroyed || res.writableEnded) {
+        return;
+      }
+
+      // Switch the response to an event stream
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      req.socket.setTimeout(0);
+
+      const client = realtimeService.registerClient({
+        userId,
+        sessionId: req.sessionId,
+        res,
+        postIds,
+        maxPerUser: CONFIG.REALTIME_MAX_CONNECTIONS_PER_USER
+      });
+
+      // Tell the client how to reconnect and which connection it owns
+      res.write(`retry: ${CONFIG.REALTIME_RETRY_MS}\n`);
+      res.write(`event: ready\ndata: ${JSON.stringify({
+        connectionId: client.id,
+        watching: [...client.posts]
+      })}\n\n`);
+      res.flush?.();
+
+      // Never outlive the access token that opened the stream, nor the maximum lifetime
+      const { exp } = jwt.decode(req.token) || {};
+      const tokenLifetime = exp ? exp * 1000 - Date.now() : Infinity;
+      const expiryTimer = setTimeout(
+        () => realtimeService.disconnect(client.id, 'token_expired'),
+        Math.max(Math.min(tokenLifetime, CONFIG.REALTIME_MAX_STREAM_MS), 0)
+      );
+
+      req.on('close', () => {
+        clearTimeout(expiryTimer);
+        realtimeService.removeClient(client.id);
+      });
+    } catch (error) {
+      logger.error('Error in realtime stream controller:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the posts a stream receives live counter updates for
+   *
+   * @route PUT /api/realtime/connections/:connectionId/posts
+   * @access Private
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateWatchedPosts(req, res, next) {
+    try {
+      const { connectionId } = req.params;
+      const postIds = await postService.filterVisiblePostIds(req.body.postIds, req.user.id);
+
+      const watching = realtimeService.watchPosts(connectionId, req.user.id, postIds);
+      if (!watching) {
+        throw new NotFoundError('Realtime connection');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Watched posts updated successfully',
+        data: { connectionId, watching }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RealtimeController();
@@ -0,0 +1,169 @@
+/**
+ * Role Controller
+ *
+ * Admin endpoints for managing roles and their permissions.
+ *
+ * Endpoints:
+ * - GET /api/admin/permissions - List the permission catalogue
+ * - GET /api/admin/roles - List roles with their user counts
+ * - POST /api/admin/roles - Create a custom role
+ * - PUT /api/admin/roles/:roleName - Update a role's description/permissions
+ * - DELETE /api/admin/roles/:roleName - Delete an unused custom role
+ * - PUT /api/admin/users/:userId/role - Assign a role to a user
+ *
+ * Security Notes:
+ * - All endpoints require the role:manage permission
+ * - Nobody can grant permissions they don't hold themselves
+ * - Role changes take effect on the user's next request
+ */
+
+const roleService = require('../services/role.service');
+const logger = require('../utils/logger');
+
+class RoleController {
+  /**
+   * List permissions
+   * GET /api/admin/permissions
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getPermissions(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        message: 'Permissions retrieved successfully',
+        data: { permissions: roleService.listPermissions() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List roles
+   * GET /api/admin/roles
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getRoles(req, res, next) {
+    try {
+      const roles = await roleService.listRoles();
+
+      res.status(200).json({
+        success: true,
+        message: 'Roles retrieved successfully',
+        data: { roles }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create role
+   * POST /api/admin/roles
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createRole(req, res, next) {
+    try {
+      logger.info('Admin: Create role request', { adminId: req.user.id, name: req.body.name });
+
+      const role = await roleService.createRole(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update role
+   * PUT /api/admin/roles/:roleName
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateRole(req, res, next) {
+    try {
+      const { roleName } = req.params;
+
+      logger.info('Admin: Update role request', { adminId: req.user.id, roleName });
+
+      const role = await roleService.updateRole(roleName, req.body, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete role
+   * DELETE /api/admin/roles/:roleName
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteRole(req, res, next) {
+    try {
+      const { roleName } = req.params;
+
+      logger.info('Admin: Delete role request', { adminId: req.user.id, roleName });
+
+      const result = await roleService.deleteRole(roleName, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assign role to user
+   * PUT /api/admin/users/:userId/role
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async assignRole(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      logger.info('Admin: Assign role request', { adminId: req.user.id, userId, role });
+
+      const result = await roleService.assignRole(userId, role, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Role assigned successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RoleController();
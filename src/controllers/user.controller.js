@@ -18,6 +18,7 @@
  */
 
 const userService = require('../services/user.service');
+const roleService = require('../services/role.service');
 const { 
   userUpdateSchema, 
   paginationSchema, 
@@ -54,7 +55,8 @@ class UserController {
         requestingUserId,
         {
           includeStats: true,
-          includeRelationship: !!requestingUserId
+          includeRelationship: !!requestingUserId,
+          isAdmin: await roleService.can(req, 'user:view')
         }
       );
 
@@ -297,7 +299,8 @@ class UserController {
 
       const result = await userService.getUserFollowers(
         userId,
-        paginationValidation.data
+        paginationValidation.data,
+        req.user?.id
       );
 
       res.status(200).json({
@@ -341,7 +344,8 @@ class UserController {
 
       const result = await userService.getUserFollowing(
         userId,
-        paginationValidation.data
+        paginationValidation.data,
+        req.user?.id
       );
 
       res.status(200).json({
@@ -393,7 +397,7 @@ class UserController {
    * Admin: Delete user account
    * DELETE /api/admin/users/:userId
    * 
-   * Allows admins to delete any user account.
+   * Allows admins to delete user accounts, except other administrators.
    * This is a soft delete that deactivates the account.
    * 
    * @param {Object} req - Express request object
@@ -414,7 +418,8 @@ class UserController {
       const result = await userService.deleteUser(
         userId, 
         requestingUserId, 
-        true
+        true,
+        req.user.role
       );
 
       res.status(200).json({
@@ -0,0 +1,187 @@
+/**
+ * Writer Application Controller
+ *
+ * Endpoints for the reader → writer upgrade workflow.
+ *
+ * Endpoints:
+ * - POST /api/users/me/writer-application - Apply to become a writer
+ * - GET /api/users/me/writer-application - Latest application status
+ * - DELETE /api/users/me/writer-application - Withdraw a pending application
+ * - GET /api/admin/writer-applications - Review queue (?status=pending)
+ * - GET /api/admin/writer-applications/:applicationId - Application details
+ * - POST /api/admin/writer-applications/:applicationId/approve - Approve ({ notes })
+ * - POST /api/admin/writer-applications/:applicationId/reject - Reject ({ notes })
+ *
+ * Security Notes:
+ * - Review endpoints require the application:review permission
+ */
+
+const writerApplicationService = require('../services/writer-application.service');
+const logger = require('../utils/logger');
+
+class WriterApplicationController {
+  /**
+   * Apply to become a writer
+   * POST /api/users/me/writer-application
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async apply(req, res, next) {
+    try {
+      const application = await writerApplicationService.apply(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Writer application submitted. We will notify you once it has been reviewed.',
+        data: { application }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's latest application
+   * GET /api/users/me/writer-application
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getMyApplication(req, res, next) {
+    try {
+      const application = await writerApplicationService.getLatestApplication(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: application ? 'Writer application retrieved successfully' : 'No writer application found',
+        data: { application }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Withdraw the current user's pending application
+   * DELETE /api/users/me/writer-application
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async withdraw(req, res, next) {
+    try {
+      const result = await writerApplicationService.withdraw(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the review queue
+   * GET /api/admin/writer-applications
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getQueue(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const result = await writerApplicationService.getQueue({ status }, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'Writer applications retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one application
+   * GET /api/admin/writer-applications/:applicationId
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getApplication(req, res, next) {
+    try {
+      const result = await writerApplicationService.getApplication(req.params.applicationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Writer application retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve an application
+   * POST /api/admin/writer-applications/:applicationId/approve
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async approve(req, res, next) {
+    try {
+      const { applicationId } = req.params;
+
+      logger.info('Admin: Approve writer application request', { applicationId, adminId: req.user.id });
+
+      const application = await writerApplicationService.approve(applicationId, req.user.id, req.body.notes);
+
+      res.status(200).json({
+        success: true,
+        message: 'Writer application approved',
+        data: { application }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject an application
+   * POST /api/admin/writer-applications/:applicationId/reject
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async reject(req, res, next) {
+    try {
+      const { applicationId } = req.params;
+
+      logger.info('Admin: Reject writer application request', { applicationId, adminId: req.user.id });
+
+      const application = await writerApplicationService.reject(applicationId, req.user.id, req.body.notes);
+
+      res.status(200).json({
+        success: true,
+        message: 'Writer application rejected',
+        data: { application }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WriterApplicationController();
@@ -9,6 +9,7 @@ const { getDatabaseConfig, getConnectionUris } = require('../config/database');
 
 // Connection state management
 let isConnected = false;
+let isShuttingDown = false;
 let connectionAttempts = 0;
 const databaseConfig = getDatabaseConfig();
 const MAX_RETRY_ATTEMPTS = databaseConfig.maxRetryAttempts;
@@ -108,7 +109,7 @@ const setupConnectionMonitoring = () => {
     logger.warn('⚠️ MongoDB disconnected');
     
     // Attempt reconnection if not shutting down
-    if (!process.env.SHUTDOWN_INITIATED) {
+    if (!isShuttingDown) {
       handleReconnection();
     }
   });
@@ -151,41 +152,6 @@ const handleReconnection = async () => {
   }, delay);
 };
 
-/**
- * Sets up graceful shutdown handlers
- */
-const setupGracefulShutdown = () => {
-  const shutdown = async (signal) => {
-    logger.info(`📤 Received ${signal}. Initiating graceful shutdown...`);
-    process.env.SHUTDOWN_INITIATED = 'true';
-    
-    try {
-      await mongoose.connection.close();
-      logger.info('✅ MongoDB connection closed gracefully');
-    } catch (error) {
-      logger.error('Error during MongoDB shutdown:', error.message);
-    } finally {
-      process.exit(0);
-    }
-  };
-  
-  // Handle various shutdown signals
-  process.on('SIGINT', () => shutdown('SIGINT'));
-  process.on('SIGTERM', () => shutdown('SIGTERM'));
-  process.on('SIGQUIT', () => shutdown('SIGQUIT'));
-  
-  // Handle uncaught exceptions
-  process.on('uncaughtException', (error) => {
-    logger.error('Uncaught Exception:', error);
-    shutdown('uncaughtException');
-  });
-  
-  process.on('unhandledRejection', (reason, promise) => {
-    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    shutdown('unhandledRejection');
-  });
-};
-
 /**
  * Main connection function with enhanced error handling
  */
@@ -240,14 +206,26 @@ const connectDB = async () => {
 
 /**
  * Initialize database connection and monitoring
+ * Shutdown is driven by server.js, which calls disconnectDB.
  */
 const initializeDatabase = async () => {
   setupConnectionMonitoring();
-  setupGracefulShutdown();
   
   return connectDB();
 };
 
+/**
+ * Close the connection without triggering reconnection
+ */
+const disconnectDB = async () => {
+  isShuttingDown = true;
+  
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close();
+    logger.info('✅ MongoDB connection closed gracefully');
+  }
+};
+
 /**
  * Health check function for monitoring
  */
@@ -264,6 +242,7 @@ const healthCheck = () => {
 // Export functions
 module.exports = {
   connectDB: initializeDatabase,
+  disconnectDB,
   healthCheck,
   isConnected: () => isConnected
 };
@@ -0,0 +1,97 @@
+/**
+ * 🔔 MIGRATION 001 - EMBEDDED NOTIFICATIONS → NOTIFICATION COLLECTION
+ *
+ * Older releases pushed notifications into an undeclared `notifications`
+ * array on each User document (capped at 100 entries) and kept an
+ * `unreadNotificationCount` counter next to it.
+ *
+ * This migration copies every embedded entry into the Notification
+ * collection, keeping its original _id so re-runs never duplicate, then
+ * removes both legacy fields from the user.
+ *
+ * Note: migrated notifications keep their original createdAt, so anything
+ * older than NOTIFICATION_RETENTION_DAYS is expired by the TTL index soon
+ * after the migration runs.
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../../models/Notification.js');
+const { NOTIFICATION_TYPE_VALUES } = require('../../models/Notification.js');
+
+const name = '001-embedded-notifications';
+const description = 'Move embedded User.notifications into the Notification collection';
+
+/**
+ * Build an upsert operation for one embedded notification
+ */
+const toUpsert = (userId, embedded) => {
+  const createdAt = embedded.createdAt ? new Date(embedded.createdAt) : new Date();
+
+  return {
+    updateOne: {
+      filter: { _id: embedded._id || new mongoose.Types.ObjectId() },
+      update: {
+        $setOnInsert: {
+          recipient: userId,
+          sender: embedded.sender || null,
+          type: embedded.type,
+          title: embedded.title,
+          message: embedded.message,
+          relatedId: embedded.relatedId || null,
+          relatedType: embedded.relatedType || null,
+          metadata: embedded.metadata || {},
+          isRead: !!embedded.isRead,
+          readAt: embedded.readAt,
+          expiresAt: Notification.getRetentionExpiry(createdAt),
+          createdAt,
+          updatedAt: embedded.readAt ? new Date(embedded.readAt) : createdAt,
+        }
+      },
+      upsert: true,
+      timestamps: false,
+    }
+  };
+};
+
+/**
+ * ⬆️ Apply migration
+ */
+async function up() {
+  const users = mongoose.connection.collection('users');
+  const stats = { users: 0, migrated: 0, skipped: 0 };
+
+  const cursor = users.find(
+    { $or: [{ notifications: { $exists: true } }, { unreadNotificationCount: { $exists: true } }] },
+    { projection: { notifications: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const embedded = Array.isArray(user.notifications) ? user.notifications : [];
+
+    // Entries without a known type or message would fail model validation
+    const valid = embedded.filter(n => n && n.message && NOTIFICATION_TYPE_VALUES.includes(n.type));
+    stats.skipped += embedded.length - valid.length;
+
+    if (valid.length > 0) {
+      const result = await Notification.bulkWrite(
+        valid.map(n => toUpsert(user._id, n)),
+        { ordered: false }
+      );
+      stats.migrated += result.upsertedCount;
+    }
+
+    await users.updateOne(
+      { _id: user._id },
+      { $unset: { notifications: '', unreadNotificationCount: '' } }
+    );
+    stats.users += 1;
+  }
+
+  return stats;
+}
+
+module.exports = {
+  name,
+  description,
+  up,
+};
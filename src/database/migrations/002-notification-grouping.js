@@ -0,0 +1,52 @@
+/**
+ * 👥 MIGRATION 002 - NOTIFICATION GROUPING FIELDS
+ *
+ * Grouped notifications are sorted by `lastActivityAt` and carry an actor
+ * count plus the most recent actors. Notifications created before grouping
+ * existed have none of these fields, so without a backfill they would sink
+ * to the bottom of the inbox.
+ *
+ * Each existing notification becomes a group of one: its sender (if any)
+ * is the only actor and its last activity is its creation date.
+ */
+
+const mongoose = require('mongoose');
+
+const name = '002-notification-grouping';
+const description = 'Backfill lastActivityAt, actorCount and recentActors on notifications';
+
+/**
+ * ⬆️ Apply migration
+ */
+async function up() {
+  const notifications = mongoose.connection.collection('notifications');
+
+  const result = await notifications.updateMany(
+    { lastActivityAt: { $exists: false } },
+    [
+      {
+        $set: {
+          lastActivityAt: '$createdAt',
+          actorCount: 1,
+          groupKey: null,
+          recentActors: {
+            $cond: [
+              { $ifNull: ['$sender', false] },
+              [{ user: '$sender', at: '$createdAt' }],
+              []
+            ]
+          },
+          actorIds: []
+        }
+      }
+    ]
+  );
+
+  return { updated: result.modifiedCount };
+}
+
+module.exports = {
+  name,
+  description,
+  up,
+};
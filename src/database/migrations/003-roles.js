@@ -0,0 +1,40 @@
+/**
+ * 👥 MIGRATION 003 - ROLES COLLECTION
+ *
+ * Role permissions used to be a hardcoded map in the auth middleware.
+ * This migration seeds the `roles` collection with the default roles from
+ * config/permissions.js (admin, writer, reader, moderator, editor).
+ *
+ * Roles that already exist are left untouched, so re-runs never undo
+ * permission changes made through the admin API.
+ */
+
+const Role = require('../../models/Role.js');
+const { DEFAULT_ROLES } = require('../../config/permissions.js');
+
+const name = '003-roles';
+const description = 'Seed the roles collection with the default roles';
+
+/**
+ * ⬆️ Apply migration
+ */
+async function up() {
+  const result = await Role.bulkWrite(
+    DEFAULT_ROLES.map(role => ({
+      updateOne: {
+        filter: { name: role.name },
+        update: { $setOnInsert: role },
+        upsert: true,
+      }
+    })),
+    { ordered: false }
+  );
+
+  return { created: result.upsertedCount, existing: DEFAULT_ROLES.length - result.upsertedCount };
+}
+
+module.exports = {
+  name,
+  description,
+  up,
+};
@@ -0,0 +1,116 @@
+/**
+ * 🗄️ DATABASE MIGRATION RUNNER
+ *
+ * Applies data migrations in order and records each one in the
+ * `migrations` collection so it only ever runs once.
+ *
+ * Usage:
+ *   npm run db:migrate          # apply pending migrations
+ *   npm run db:migrate status   # list applied / pending migrations
+ *
+ * Learning Points:
+ * - Schema changes in MongoDB often need a data backfill
+ * - Migrations must be idempotent in case a run is interrupted
+ * - Recording applied migrations keeps deploys repeatable
+ */
+
+const mongoose = require('mongoose');
+const { CONFIG } = require('../../config/index.js');
+const { appLogger } = require('../../utils/logger.js');
+
+/**
+ * 📋 Registered migrations (applied in array order)
+ */
+const MIGRATIONS = [
+  require('./001-embedded-notifications.js'),
+  require('./002-notification-grouping.js'),
+  require('./003-roles.js'),
+];
+
+const getAppliedNames = async () => {
+  const applied = await mongoose.connection
+    .collection('migrations')
+    .find({}, { projection: { name: 1 } })
+    .toArray();
+
+  return new Set(applied.map(m => m.name));
+};
+
+/**
+ * ⬆️ Apply all pending migrations
+ */
+async function runMigrations() {
+  const applied = await getAppliedNames();
+  const pending = MIGRATIONS.filter(m => !applied.has(m.name));
+
+  if (pending.length === 0) {
+    console.log('ℹ️  No pending migrations');
+    return [];
+  }
+
+  const results = [];
+
+  for (const migration of pending) {
+    console.log(`🚀 Running ${migration.name}: ${migration.description}`);
+    const startedAt = Date.now();
+
+    const result = await migration.up();
+
+    await mongoose.connection.collection('migrations').insertOne({
+      name: migration.name,
+      appliedAt: new Date(),
+      durationMs: Date.now() - startedAt,
+      result,
+    });
+
+    appLogger.info('Migration applied', { migration: migration.name, result });
+    console.log(`✅ ${migration.name} applied`, result);
+    results.push({ name: migration.name, result });
+  }
+
+  return results;
+}
+
+/**
+ * 📊 Print migration status
+ */
+async function printStatus() {
+  const applied = await getAppliedNames();
+
+  MIGRATIONS.forEach(m => {
+    console.log(`${applied.has(m.name) ? '✅' : '⏳'} ${m.name} - ${m.description}`);
+  });
+}
+
+/**
+ * 🏃‍♂️ Main Execution Function
+ */
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  try {
+    await mongoose.connect(CONFIG.MONGO_URI);
+
+    if (command === 'status') {
+      await printStatus();
+    } else {
+      await runMigrations();
+    }
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    appLogger.error('Migration failed', { error: error.message, stack: error.stack });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+};
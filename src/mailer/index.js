@@ -0,0 +1,69 @@
+/**
+ * 📧 MAILER BOOTSTRAP
+ *
+ * Wires the mail service to the configured transport and starts the
+ * outbox worker:
+ * - smtp    when EMAIL_TRANSPORT=smtp (the default whenever EMAIL_HOST is set)
+ * - file    writes messages to EMAIL_FILE_DIR, for development and tests
+ * - console logs recipient and subject only, the default without an SMTP
+ *           server (never in production: see config/index.js)
+ */
+
+const { CONFIG } = require('../config/index.js');
+const { appLogger } = require('../utils/logger.js');
+const mailService = require('../services/mail.service.js');
+const SmtpMailTransport = require('./transports/smtp.transport.js');
+const FileMailTransport = require('./transports/file.transport.js');
+const ConsoleMailTransport = require('./transports/console.transport.js');
+
+/**
+ * 🔌 Build the configured mail transport
+ */
+const createTransport = () => {
+  const transport = CONFIG.EMAIL_TRANSPORT || (CONFIG.EMAIL_HOST ? 'smtp' : 'console');
+
+  // Messages carry sign-in tokens; production must actually deliver them
+  if (CONFIG.isProduction && (transport === 'console' || (transport === 'smtp' && !CONFIG.EMAIL_HOST))) {
+    throw new Error('Production needs an SMTP server for email (set EMAIL_HOST)');
+  }
+
+  switch (transport) {
+    case 'smtp':
+      if (!CONFIG.EMAIL_HOST) {
+        appLogger.warn('EMAIL_TRANSPORT=smtp but EMAIL_HOST is not set, using the console transport (emails are not delivered)');
+        return new ConsoleMailTransport();
+      }
+      return new SmtpMailTransport({
+        host: CONFIG.EMAIL_HOST,
+        port: CONFIG.EMAIL_PORT,
+        user: CONFIG.EMAIL_USER,
+        pass: CONFIG.EMAIL_PASS,
+      });
+    case 'file':
+      return new FileMailTransport({ directory: CONFIG.EMAIL_FILE_DIR });
+    default:
+      return new ConsoleMailTransport();
+  }
+};
+
+/**
+ * 🚀 Initialize email delivery for an HTTP server
+ *
+ * @param {http.Server} server - The HTTP server
+ * @returns {Promise<Object>} The mail service
+ */
+const initializeMailer = async (server) => {
+  await mailService.setTransport(createTransport());
+  mailService.start({ interval: CONFIG.EMAIL_OUTBOX_INTERVAL });
+
+  // Let an in-flight delivery finish before shutting down
+  server.on('close', () => {
+    mailService.stop().catch(error => {
+      appLogger.error('Error stopping mail service', { error: error.message });
+    });
+  });
+
+  return mailService;
+};
+
+module.exports = { initializeMailer, createTransport };
@@ -0,0 +1,38 @@
+/**
+ * ⚠️ Email change alert (sent to the current address)
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.newEmail - Address the account is moving to
+ * @param {string} data.cancelUrl - Cancel link (contains the cancel token)
+ * @param {number} data.expiresInHours - Link lifetime
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, newEmail, cancelUrl, expiresInHours }) => {
+  const title = 'Your email address is about to change';
+
+  return {
+    subject: 'Your VerseNest email address is about to change',
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Someone signed in to your account asked to change its email address to <strong>${escapeHtml(newEmail)}</strong>. The change happens once the new address is confirmed.</p>
+        <p>If this wasn't you, cancel the change now and then change your password. If the new address was already confirmed, the same link moves your account back to this address and signs out every session.</p>
+        ${button('Cancel email change', cancelUrl)}
+        <p>This link works for ${escapeHtml(expiresInHours)} hours.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      `Someone signed in to your account asked to change its email address to ${newEmail}. The change happens once the new address is confirmed.`,
+      '',
+      "If this wasn't you, cancel the change now and then change your password. If the new address was already confirmed, the same link moves your account back to this address and signs out every session:",
+      cancelUrl,
+      '',
+      `This link works for ${expiresInHours} hours.`
+    ])
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * 📨 Email change confirmation email (sent to the new address)
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.newEmail - Address being confirmed
+ * @param {string} data.confirmUrl - Confirmation link (contains the token)
+ * @param {number} data.expiresInHours - Link lifetime
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, newEmail, confirmUrl, expiresInHours }) => {
+  const title = 'Confirm your new email address';
+
+  return {
+    subject: 'Confirm your new VerseNest email address',
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>You asked to use <strong>${escapeHtml(newEmail)}</strong> for your VerseNest account. Confirm the change to start signing in with this address.</p>
+        ${button('Confirm new email', confirmUrl)}
+        <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you didn't ask for this, you can ignore this email and nothing will change.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      `You asked to use ${newEmail} for your VerseNest account. Confirm the change to start signing in with this address:`,
+      confirmUrl,
+      '',
+      `This link expires in ${expiresInHours} hours. If you didn't ask for this, you can ignore this email and nothing will change.`
+    ])
+  };
+};
@@ -0,0 +1,34 @@
+/**
+ * ✅ Email verification email
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.verifyUrl - Verification link (contains the token)
+ * @param {number} data.expiresInHours - Link lifetime
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, verifyUrl, expiresInHours }) => {
+  const title = 'Confirm your email address';
+
+  return {
+    subject: 'Confirm your VerseNest email address',
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Please confirm that this is your email address to finish setting up your account.</p>
+        ${button('Confirm email', verifyUrl)}
+        <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you didn't create a VerseNest account, you can ignore this email.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      'Please confirm that this is your email address to finish setting up your account:',
+      verifyUrl,
+      '',
+      `This link expires in ${expiresInHours} hours. If you didn't create a VerseNest account, you can ignore this email.`
+    ])
+  };
+};
@@ -0,0 +1,37 @@
+/**
+ * 📚 EMAIL TEMPLATES
+ *
+ * Every template is a function of its data returning { subject, html, text }.
+ * Emails are queued by template name, so adding a template means adding it here.
+ */
+
+const TEMPLATES = {
+  passwordReset: require('./password-reset.js'),
+  emailVerification: require('./email-verification.js'),
+  emailChangeConfirmation: require('./email-change-confirmation.js'),
+  emailChangeAlert: require('./email-change-alert.js'),
+  magicLink: require('./magic-link.js'),
+  welcome: require('./welcome.js'),
+  newFollower: require('./new-follower.js'),
+};
+
+/**
+ * 🖨️ Render a template by name
+ *
+ * @param {string} name - Template name (key of TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, html, text }
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+};
@@ -0,0 +1,91 @@
+/**
+ * 🎨 EMAIL LAYOUT
+ *
+ * Shared HTML shell and plain-text footer for every template, so each
+ * template only describes its own content.
+ *
+ * Learning Points:
+ * - Email clients ignore most CSS: inline styles and tables are the safe subset
+ * - Every value interpolated into HTML must be escaped
+ * - Always ship a plain-text part; some clients and spam filters rely on it
+ */
+
+const APP_NAME = 'VerseNest';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * 🧼 Escape a value for use in HTML text or attributes
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * 🔘 Call-to-action button
+ */
+const button = (label, url) => `
+  <table role="presentation" cellpadding="0" cellspacing="0" style="margin:24px 0;">
+    <tr>
+      <td style="border-radius:6px;background:#4f46e5;">
+        <a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 24px;color:#ffffff;text-decoration:none;font-weight:600;">${escapeHtml(label)}</a>
+      </td>
+    </tr>
+  </table>`;
+
+/**
+ * 🖼️ Wrap template content in the shared HTML layout
+ *
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Heading shown at the top of the email
+ * @param {string} options.body - Already-escaped HTML content
+ * @returns {string} Complete HTML document
+ */
+const renderHtml = ({ title, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f7;font-family:Helvetica,Arial,sans-serif;color:#1f2937;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+    <tr>
+      <td align="center" style="padding:32px 16px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:8px;">
+          <tr>
+            <td style="padding:32px;">
+              <p style="margin:0 0 24px;font-size:20px;font-weight:700;color:#4f46e5;">${APP_NAME}</p>
+              <h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(title)}</h1>
+              ${body}
+            </td>
+          </tr>
+        </table>
+        <p style="margin:16px 0 0;font-size:12px;color:#6b7280;">You received this email because you have a ${APP_NAME} account.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+/**
+ * 📝 Join plain-text lines and append the shared footer
+ */
+const renderText = (lines) => [
+  ...lines,
+  '',
+  '—',
+  `You received this email because you have a ${APP_NAME} account.`
+].join('\n');
+
+module.exports = {
+  APP_NAME,
+  escapeHtml,
+  button,
+  renderHtml,
+  renderText,
+};
@@ -0,0 +1,34 @@
+/**
+ * ✨ Magic sign-in link email
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.loginUrl - Sign-in link (contains the token)
+ * @param {number} data.expiresInMinutes - Link lifetime
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, loginUrl, expiresInMinutes }) => {
+  const title = 'Sign in to VerseNest';
+
+  return {
+    subject: 'Your VerseNest sign-in link',
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Use the button below to sign in — no password needed. The link works once.</p>
+        ${button('Sign in', loginUrl)}
+        <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't ask to sign in, you can ignore this email — nobody can use it without access to your inbox.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      'Open the link below to sign in — no password needed. The link works once:',
+      loginUrl,
+      '',
+      `This link expires in ${expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email — nobody can use it without access to your inbox.`
+    ])
+  };
+};
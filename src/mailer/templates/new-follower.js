@@ -0,0 +1,34 @@
+/**
+ * 👥 New follower email
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.followerName - Display name of the new follower
+ * @param {string} data.profileUrl - Link to the follower's profile
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, followerName, profileUrl }) => {
+  const title = 'You have a new follower';
+
+  return {
+    subject: `${followerName} started following you on VerseNest`,
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p><strong>${escapeHtml(followerName)}</strong> started following you.</p>
+        ${button('View profile', profileUrl)}
+        <p style="font-size:13px;color:#6b7280;">You can turn off follower emails in your notification preferences.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      `${followerName} started following you.`,
+      profileUrl,
+      '',
+      'You can turn off follower emails in your notification preferences.'
+    ])
+  };
+};
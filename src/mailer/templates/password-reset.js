@@ -0,0 +1,34 @@
+/**
+ * 🔑 Password reset email
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.resetUrl - Link to the reset form (contains the token)
+ * @param {number} data.expiresInMinutes - Link lifetime
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, resetUrl, expiresInMinutes }) => {
+  const title = 'Reset your password';
+
+  return {
+    subject: 'Reset your VerseNest password',
+    html: renderHtml({
+      title,
+      body: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>We received a request to reset your password. Use the button below to choose a new one.</p>
+        ${button('Reset password', resetUrl)}
+        <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't ask for a reset, you can ignore this email — your password will not change.</p>`
+    }),
+    text: renderText([
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires in ${expiresInMinutes} minutes. If you didn't ask for a reset, you can ignore this email — your password will not change.`
+    ])
+  };
+};
@@ -0,0 +1,33 @@
+/**
+ * 👋 Welcome email (sent after registration)
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Recipient display name
+ * @param {string} data.role - 'writer' or 'reader'
+ * @param {string} data.appUrl - Link to the app
+ */
+
+const { escapeHtml, button, renderHtml, renderText } = require('./layout.js');
+
+module.exports = ({ name, role, appUrl }) => {
+  const title = `Welcome to VerseNest, ${name}!`;
+  const intro = role === 'writer'
+    ? 'Your writer account is ready. Publish your first piece and start building your audience.'
+    : 'Your account is ready. Follow writers you love and discover new stories every day.';
+
+  return {
+    subject: 'Welcome to VerseNest',
+    html: renderHtml({
+      title,
+      body: `
+        <p>${escapeHtml(intro)}</p>
+        ${button('Open VerseNest', appUrl)}`
+    }),
+    text: renderText([
+      title,
+      '',
+      intro,
+      appUrl
+    ])
+  };
+};
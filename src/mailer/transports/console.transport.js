@@ -0,0 +1,33 @@
+/**
+ * 🖥️ Console Mail Transport
+ *
+ * Default transport when no SMTP server is configured. Logs who a message
+ * was for and its subject; nothing leaves the machine. Bodies are never
+ * printed because they carry reset, magic-link and email-change tokens; use
+ * EMAIL_TRANSPORT=file to read messages during development.
+ */
+
+const crypto = require('crypto');
+const { appLogger } = require('../../utils/logger.js');
+
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@versenest.local>`;
+
+    appLogger.info('Email not delivered (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      messageId,
+    });
+
+    return { messageId };
+  }
+
+  async close() {}
+}
+
+module.exports = ConsoleMailTransport;
@@ -0,0 +1,35 @@
+/**
+ * 📁 File Mail Transport
+ *
+ * Development/test transport. Writes every message to its own JSON file
+ * instead of sending it, so reset and verification links can be opened
+ * from disk (or asserted on in tests).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileMailTransport {
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@versenest.local>`;
+    const fileName = `${Date.now()}-${messageId.slice(1, 9)}.json`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+
+  async close() {}
+}
+
+module.exports = FileMailTransport;
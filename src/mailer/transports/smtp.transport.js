@@ -0,0 +1,36 @@
+/**
+ * 📮 SMTP Mail Transport
+ *
+ * Production transport. Hands messages to an SMTP server through nodemailer
+ * using the EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS settings.
+ *
+ * Transport contract (shared with the file and console transports):
+ * - send(message) → Promise<{ messageId }>
+ * - close()       → Promise<void>
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpMailTransport {
+  constructor({ host, port, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465, // implicit TLS; other ports upgrade with STARTTLS
+      auth: user ? { user, pass } : undefined,
+      pool: true,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+
+  async close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = SmtpMailTransport;
@@ -10,6 +10,7 @@
  * - Rate limiting per user
  * - Account lockout protection
  * - Session management
+ * - Step-up re-authentication for sensitive operations
  * - Security logging
  * 
  * Learning Points:
@@ -19,26 +20,25 @@
  * - Performance optimization with caching
  */
 
-import jwt from 'jsonwebtoken';
-import { CONFIG } from '../config/index.js';
-import { appLogger } from '../utils/logger.js';
-import { 
-  AuthenticationError, 
-  AuthorizationError, 
-  ErrorFactory 
-} from '../utils/errors.js';
-import User from '../models/User.js';
-import Token from '../models/Token.js';
+const { CONFIG } = require('../config/index.js');
+const { appLogger } = require('../utils/logger.js');
+const { getAccessKeyring, getRefreshKeyring, TOKEN_AUDIENCES } = require('../utils/jwt-keyring.js');
+const { AppError, ErrorFactory } = require('../utils/errors.js');
+const { WILDCARD_PERMISSION } = require('../config/permissions.js');
+const User = require('../models/User.js');
+const Token = require('../models/Token.js');
+const PersonalAccessToken = require('../models/PersonalAccessToken.js');
+const roleService = require('../services/role.service.js');
+const authService = require('../services/auth.service.js');
 
 /**
  * 🔍 JWT Token Verification Utility
+ * The keyring picks the key from the token's kid header; with an audience the
+ * token's iss and aud are checked too.
  */
-const verifyToken = (token, secret) => {
+const verifyToken = (token, keyring, audience) => {
   try {
-    return jwt.verify(token, secret, {
-      issuer: CONFIG.jwt.issuer,
-      audience: CONFIG.jwt.audience,
-    });
+    return keyring.verify(token, { audience });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw ErrorFactory.authentication('Access token expired');
@@ -68,12 +68,27 @@ const extractToken = (req) => {
   return null;
 };
 
+/**
+ * 🔑 Personal Access Token Lookup
+ * 
+ * Resolves a `vnp_...` bearer token to its (unrevoked, unexpired) record
+ */
+const findPersonalAccessToken = async (token) => {
+  const tokenDoc = await PersonalAccessToken.findValidToken(token);
+  if (!tokenDoc) {
+    throw ErrorFactory.authentication('Invalid or expired personal access token');
+  }
+  
+  return tokenDoc;
+};
+
 /**
  * 🛡️ Main Authentication Middleware
  * 
- * Validates JWT access tokens and attaches user info to request
+ * Validates JWT access tokens (or personal access tokens) and attaches user
+ * info to request
  */
-export const authenticate = async (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // Extract token from request
     const token = extractToken(req);
@@ -82,6 +97,11 @@ export const authenticate = async (req, res, next) => {
       throw ErrorFactory.authentication('Access token required');
     }
     
+    // Personal access tokens are recognised by their vnp_ prefix
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(req, token, next);
+    }
+    
     // Check if token is blacklisted
     const isBlacklisted = await Token.isBlacklisted(token);
     if (isBlacklisted) {
@@ -89,7 +109,12 @@ export const authenticate = async (req, res, next) => {
     }
     
     // Verify JWT token
-    const decoded = verifyToken(token, CONFIG.jwt.secret);
+    const decoded = verifyToken(token, getAccessKeyring(), TOKEN_AUDIENCES.access);
+    
+    // Access tokens die with their session
+    if (decoded.sid && await Token.isSessionRevoked(decoded.sid)) {
+      throw ErrorFactory.authentication('Session has been revoked');
+    }
     
     // Find user and check if account is active
     const user = await User.findById(decoded.id).select('-password');
@@ -115,6 +140,8 @@ export const authenticate = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
+    req.authMethod = 'jwt';
     
     // Update last active timestamp
     user.lastActive = new Date();
@@ -143,27 +170,86 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * 🔑 Personal Access Token Authentication
+ * 
+ * Second half of `authenticate` for `vnp_...` tokens: the request acts as the
+ * token's owner, limited to the token's scopes (see hasPermission)
+ */
+const authenticatePersonalAccessToken = async (req, token, next) => {
+  const tokenDoc = await findPersonalAccessToken(token);
+  
+  const user = await User.findById(tokenDoc.user).select('-password');
+  if (!user) {
+    throw ErrorFactory.authentication('User not found');
+  }
+  
+  if (!user.isActive || user.deletedAt) {
+    throw ErrorFactory.authentication('Account is deactivated');
+  }
+  
+  if (user.isCurrentlyBanned) {
+    throw ErrorFactory.authorization('Account is banned');
+  }
+  
+  if (user.isLocked) {
+    throw ErrorFactory.authorization('Account is temporarily locked');
+  }
+  
+  req.user = user;
+  req.token = token;
+  req.authMethod = 'pat';
+  req.tokenScopes = tokenDoc.scopes;
+  req.personalAccessTokenId = tokenDoc._id;
+  
+  await tokenDoc.touch(req.ip);
+  
+  appLogger.logAuth('access_granted', {
+    userId: user._id,
+    userRole: user.role,
+    authMethod: 'pat',
+    tokenId: tokenDoc._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  
+  next();
+};
+
 /**
  * 🔓 Optional Authentication Middleware
  * 
  * Adds user info if token is present, but doesn't require authentication
  */
-export const optionalAuth = async (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const token = extractToken(req);
     
-    if (token) {
+    if (token && PersonalAccessToken.isPersonalAccessToken(token)) {
+      const tokenDoc = await findPersonalAccessToken(token);
+      const user = await User.findById(tokenDoc.user).select('-password');
+      if (user && user.isActive && !user.deletedAt && !user.isCurrentlyBanned) {
+        req.user = user;
+        req.token = token;
+        req.authMethod = 'pat';
+        req.tokenScopes = tokenDoc.scopes;
+        req.personalAccessTokenId = tokenDoc._id;
+        await tokenDoc.touch(req.ip);
+      }
+    } else if (token) {
       // Check if token is blacklisted
       const isBlacklisted = await Token.isBlacklisted(token);
       if (!isBlacklisted) {
         // Verify token
-        const decoded = verifyToken(token, CONFIG.jwt.secret);
+        const decoded = verifyToken(token, getAccessKeyring(), TOKEN_AUDIENCES.access);
+        const sessionRevoked = decoded.sid && await Token.isSessionRevoked(decoded.sid);
         
         // Find user
-        const user = await User.findById(decoded.id).select('-password');
+        const user = sessionRevoked ? null : await User.findById(decoded.id).select('-password');
         if (user && user.isActive && !user.deletedAt && !user.isCurrentlyBanned) {
           req.user = user;
           req.token = token;
+          req.authMethod = 'jwt';
         }
       }
     }
@@ -179,10 +265,11 @@ export const optionalAuth = async (req, res, next) => {
 /**
  * 👥 Role-based Authorization Middleware Factory
  * 
- * Creates middleware to check if user has required role(s)
+ * Creates middleware to check if user has required role(s). Roles holding
+ * the wildcard permission (see services/role.service.js) pass every check.
  */
-export const authorize = (...roles) => {
-  return (req, res, next) => {
+const authorize = (...roles) => {
+  return async (req, res, next) => {
     try {
       // Check if user is authenticated
       if (!req.user) {
@@ -191,9 +278,12 @@ export const authorize = (...roles) => {
       
       // Check if user has required role
       if (!roles.includes(req.user.role)) {
-        throw ErrorFactory.authorization(
-          `Access denied. Required role(s): ${roles.join(', ')}`
-        );
+        const permissions = await roleService.getRequestPermissions(req);
+        if (!permissions.has(WILDCARD_PERMISSION)) {
+          throw ErrorFactory.authorization(
+            `Access denied. Required role(s): ${roles.join(', ')}`
+          );
+        }
       }
       
       // Log authorization success
@@ -224,29 +314,37 @@ export const authorize = (...roles) => {
 /**
  * 👑 Admin Only Middleware
  */
-export const adminOnly = authorize('admin');
+const adminOnly = authorize('admin');
 
 /**
  * ✍️ Writer Only Middleware
  */
-export const writerOnly = authorize('writer');
+const writerOnly = authorize('writer');
 
 /**
  * 📖 Reader Only Middleware
  */
-export const readerOnly = authorize('reader');
+const readerOnly = authorize('reader');
 
 /**
  * 📝 Writer or Admin Middleware
  */
-export const writerOrAdmin = authorize('writer', 'admin');
+const writerOrAdmin = authorize('writer', 'admin');
 
 /**
  * 🔐 Resource Owner or Admin Middleware Factory
  * 
- * Checks if user owns the resource or is an admin
+ * Checks if user owns the resource or holds the moderation permission for it
+ * (`<model>:moderate` by default, e.g. 'comment:moderate' for Comment).
+ * Pass `null` as the permission for owner-only actions such as edits:
+ * moderators may remove content, but not put words in an author's mouth.
  */
-export const ownerOrAdmin = (resourceModel, resourceIdParam = 'id', ownerField = 'author') => {
+const ownerOrAdmin = (
+  resourceModel,
+  resourceIdParam = 'id',
+  ownerField = 'author',
+  moderatePermission = `${resourceModel.modelName.toLowerCase()}:moderate`
+) => {
   return async (req, res, next) => {
     try {
       // Check if user is authenticated
@@ -254,8 +352,8 @@ export const ownerOrAdmin = (resourceModel, resourceIdParam = 'id', ownerField =
         throw ErrorFactory.authentication('Authentication required');
       }
       
-      // Admin can access everything
-      if (req.user.role === 'admin') {
+      // Moderators (and admins) can access everything
+      if (moderatePermission && await roleService.can(req, moderatePermission)) {
         return next();
       }
       
@@ -293,7 +391,7 @@ export const ownerOrAdmin = (resourceModel, resourceIdParam = 'id', ownerField =
  * 
  * Validates refresh tokens for token refresh endpoint
  */
-export const validateRefreshToken = async (req, res, next) => {
+const validateRefreshToken = async (req, res, next) => {
   try {
     const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
     
@@ -308,7 +406,7 @@ export const validateRefreshToken = async (req, res, next) => {
     }
     
     // Verify JWT signature
-    const decoded = verifyToken(refreshToken, CONFIG.jwt.refreshSecret);
+    const decoded = verifyToken(refreshToken, getRefreshKeyring());
     
     // Check if user exists and is active
     const user = await User.findById(decoded.id);
@@ -339,9 +437,10 @@ export const validateRefreshToken = async (req, res, next) => {
 /**
  * 🚫 Account Status Validation Middleware
  * 
- * Additional checks for account status (used in sensitive operations)
+ * Additional checks for account status (used in sensitive operations).
+ * Magic link sign-in applies the same checks (see AuthService.assertAccountStatus).
  */
-export const validateAccountStatus = async (req, res, next) => {
+const validateAccountStatus = async (req, res, next) => {
   try {
     if (!req.user) {
       throw ErrorFactory.authentication('Authentication required');
@@ -352,17 +451,41 @@ export const validateAccountStatus = async (req, res, next) => {
       throw ErrorFactory.authentication('User not found');
     }
     
-    // Check if account is verified (if verification is required)
-    if (!user.isVerified && CONFIG.features?.requireEmailVerification) {
-      throw ErrorFactory.authorization('Email verification required');
-    }
+    // Verified email (when required), no very recent password change
+    authService.assertAccountStatus(user);
     
-    // Check for recent password change (security measure)
-    const passwordChangedRecently = user.passwordChangedAt && 
-      (Date.now() - user.passwordChangedAt.getTime()) < 300000; // 5 minutes
+    next();
     
-    if (passwordChangedRecently) {
-      throw ErrorFactory.authorization('Please log in again after password change');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ✉️ Email Verification Policy Middleware
+ * 
+ * Blocks content creation (posts, comments) until the account's email is
+ * verified. Controlled by REQUIRE_EMAIL_VERIFICATION; must run after authenticate.
+ * Super roles (the wildcard permission, e.g. seeded admins) are exempt.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw ErrorFactory.authentication('Authentication required');
+    }
+    
+    if (CONFIG.REQUIRE_EMAIL_VERIFICATION && !req.user.isVerified
+      && !(await roleService.isSuperRole(req.user.role))) {
+      appLogger.logAuth('unverified_email_blocked', {
+        userId: req.user._id,
+        resource: req.originalUrl,
+      });
+      
+      throw new AppError(
+        'Please verify your email address before publishing content',
+        403,
+        'EMAIL_NOT_VERIFIED'
+      );
     }
     
     next();
@@ -377,7 +500,7 @@ export const validateAccountStatus = async (req, res, next) => {
  * 
  * Implements per-user rate limiting for additional security
  */
-export const userRateLimit = (maxRequests = 100, windowMs = 900000) => {
+const userRateLimit = (maxRequests = 100, windowMs = 900000) => {
   const userRequestCounts = new Map();
   
   return (req, res, next) => {
@@ -423,7 +546,7 @@ export const userRateLimit = (maxRequests = 100, windowMs = 900000) => {
  * 
  * Manages user sessions and concurrent login limits
  */
-export const sessionManagement = (maxConcurrentSessions = 5) => {
+const sessionManagement = (maxConcurrentSessions = 5) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -460,29 +583,36 @@ export const sessionManagement = (maxConcurrentSessions = 5) => {
 /**
  * 🎯 Permission-based Authorization
  * 
- * More granular permission system (for future expansion)
+ * Checks the user's role grants the permission. Roles are resolved through
+ * the roles collection once per request (see services/role.service.js).
+ * Requests made with a personal access token also need the permission in
+ * the token's scopes.
  */
-export const hasPermission = (permission) => {
-  return (req, res, next) => {
+const hasPermission = (permission) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         throw ErrorFactory.authentication('Authentication required');
       }
       
-      // Basic role-based permissions
-      const rolePermissions = {
-        admin: ['*'], // Admin has all permissions
-        writer: ['post:create', 'post:update', 'post:delete', 'comment:create'],
-        reader: ['comment:create', 'post:like', 'post:bookmark'],
-      };
-      
-      const userPermissions = rolePermissions[req.user.role] || [];
-      
-      // Check if user has permission or wildcard permission
-      if (!userPermissions.includes(permission) && !userPermissions.includes('*')) {
+      // Check if user's role grants the permission
+      const permissions = await roleService.getRequestPermissions(req);
+      if (!permissions.has(permission)) {
         throw ErrorFactory.authorization(`Permission denied: ${permission}`);
       }
       
+      // Personal access tokens are further limited to their scopes
+      if (req.authMethod === 'pat' && !(req.tokenScopes || []).includes(permission)) {
+        appLogger.logAuth('token_scope_denied', {
+          userId: req.user._id,
+          tokenId: req.personalAccessTokenId,
+          permission,
+          resource: req.originalUrl,
+        });
+        
+        throw ErrorFactory.authorization(`Token is missing the required scope: ${permission}`);
+      }
+      
       next();
       
     } catch (error) {
@@ -491,12 +621,77 @@ export const hasPermission = (permission) => {
   };
 };
 
+/**
+ * 🪪 Session-only Middleware
+ * 
+ * Rejects personal access tokens on account management routes (sessions,
+ * tokens, 2FA, profile, admin). Must run after authenticate.
+ */
+const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return next(ErrorFactory.authentication('Authentication required'));
+  }
+  
+  if (req.authMethod === 'pat') {
+    appLogger.logAuth('token_session_required', {
+      userId: req.user._id,
+      tokenId: req.personalAccessTokenId,
+      resource: req.originalUrl,
+    });
+    
+    return next(ErrorFactory.authorization('This action requires signing in; personal access tokens are not accepted'));
+  }
+  
+  next();
+};
+
+/**
+ * 🛡️ Step-up Middleware
+ * 
+ * Sensitive actions (password change, account deletion, signing out every
+ * session, bans) need a recent password or 2FA check on top of the access
+ * token. The client gets a step-up token from POST /api/auth/step-up and sends
+ * it in the X-Step-Up-Token header. Must run after authenticate.
+ */
+const requireStepUp = (req, res, next) => {
+  if (!req.user) {
+    return next(ErrorFactory.authentication('Authentication required'));
+  }
+  
+  const stepUpToken = req.get('X-Step-Up-Token');
+  const decoded = stepUpToken
+    ? authService.verifyStepUpToken(stepUpToken, req.user._id, req.sessionId)
+    : null;
+  
+  if (!decoded) {
+    appLogger.logAuth('step_up_required', {
+      userId: req.user._id,
+      sessionId: req.sessionId,
+      tokenPresented: !!stepUpToken,
+      resource: req.originalUrl,
+    });
+    
+    return next(new AppError(
+      'Please confirm your password to continue',
+      403,
+      'STEP_UP_REQUIRED'
+    ));
+  }
+  
+  req.stepUp = {
+    method: decoded.method,
+    verifiedAt: new Date(decoded.iat * 1000),
+  };
+  
+  next();
+};
+
 /**
  * 🔒 Security Headers Middleware
  * 
  * Adds security-related headers to responses
  */
-export const securityHeaders = (req, res, next) => {
+const securityHeaders = (req, res, next) => {
   // Add security headers
   res.set({
     'X-Content-Type-Options': 'nosniff',
@@ -510,7 +705,7 @@ export const securityHeaders = (req, res, next) => {
 };
 
 // Export all middleware functions
-export default {
+module.exports = {
   authenticate,
   optionalAuth,
   authorize,
@@ -521,8 +716,11 @@ export default {
   ownerOrAdmin,
   validateRefreshToken,
   validateAccountStatus,
+  requireVerifiedEmail,
   userRateLimit,
   sessionManagement,
   hasPermission,
+  requireSession,
+  requireStepUp,
   securityHeaders,
 };
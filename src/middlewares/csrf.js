@@ -0,0 +1,109 @@
+/**
+ * 🛡️ CSRF PROTECTION MIDDLEWARE
+ *
+ * Double-submit cookie protection for requests authenticated by cookie.
+ *
+ * Browsers attach the `accessToken`/`refreshToken` cookies to every request,
+ * including ones forged by other sites. A forged request can't read or set
+ * our headers though, so state-changing requests that rely on those cookies
+ * must repeat the value of the `csrfToken` cookie in the `x-csrf-token` header.
+ *
+ * Flow:
+ * 1. The web client calls GET /api/auth/csrf-token once (cookie + token in the body)
+ * 2. It sends the token in `x-csrf-token` on every POST/PUT/PATCH/DELETE
+ *
+ * Bearer clients are exempt: a cross-site request can't add an Authorization
+ * header without passing CORS.
+ *
+ * Learning Points:
+ * - The attacker can make the browser send cookies, but can't read them
+ * - Timing-safe comparison avoids leaking the token byte by byte
+ */
+
+const crypto = require('crypto');
+const { CONFIG } = require('../config/index.js');
+const { appLogger } = require('../utils/logger.js');
+const { AppError } = require('../utils/errors.js');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const AUTH_COOKIES = ['accessToken', 'refreshToken'];
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * 🍪 Issue a CSRF token (reusing the current one, so open tabs keep working)
+ *
+ * @returns {string} Token the client must send in the x-csrf-token header
+ */
+const issueCsrfToken = (req, res) => {
+  const current = req.cookies?.[CSRF_COOKIE];
+  const csrfToken = TOKEN_PATTERN.test(current || '')
+    ? current
+    : crypto.randomBytes(32).toString('hex');
+
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    httpOnly: true,
+    secure: CONFIG.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days, like the refresh token
+  });
+
+  return csrfToken;
+};
+
+/**
+ * 🔍 Did this request authenticate with a cookie?
+ * An Authorization header wins over cookies (see extractToken in middlewares/auth.js).
+ */
+const usesCookieAuth = (req) => {
+  if (req.headers.authorization?.startsWith('Bearer ')) {
+    return false;
+  }
+
+  return AUTH_COOKIES.some(name => !!req.cookies?.[name]);
+};
+
+const tokensMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/**
+ * 🛡️ CSRF Check Middleware
+ *
+ * Mounted app-wide after cookie-parser. Safe methods and Bearer requests pass.
+ */
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesCookieAuth(req)) {
+    return next();
+  }
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !tokensMatch(cookieToken, headerToken)) {
+    appLogger.logSecurity('csrf_token_rejected', 'medium', {
+      ip: req.ip,
+      method: req.method,
+      url: req.originalUrl,
+      reason: !cookieToken ? 'missing_cookie' : !headerToken ? 'missing_header' : 'mismatch',
+      origin: req.get('Origin'),
+      userAgent: req.get('User-Agent'),
+    });
+
+    return next(new AppError('Invalid or missing CSRF token', 403, 'CSRF_TOKEN_INVALID'));
+  }
+
+  next();
+};
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  issueCsrfToken,
+  csrfProtection,
+};
@@ -0,0 +1,67 @@
+/**
+ * 🔗 REQUEST CONTEXT MIDDLEWARE
+ *
+ * Gives every request a correlation ID and makes it available to every log
+ * line written while handling the request (see utils/request-context.js).
+ *
+ * - A caller-supplied `X-Correlation-ID` is kept, so one ID can follow a
+ *   request across services; otherwise a new UUID is generated
+ * - The ID is echoed in the `X-Correlation-ID` response header and in error
+ *   responses, so a client can quote it in a bug report
+ *
+ * Mount it before anything that logs.
+ *
+ * Learning Points:
+ * - Never trust header values blindly: IDs that aren't short and plain are replaced
+ */
+
+const crypto = require('crypto');
+const { appLogger } = require('../utils/logger.js');
+const { runWithContext } = require('../utils/request-context.js');
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * 🧵 Attach the correlation ID and run the rest of the chain in its context
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get(CORRELATION_HEADER);
+  const correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  req.correlationId = correlationId;
+  req.startTime = Date.now();
+  res.set(CORRELATION_HEADER, correlationId);
+
+  runWithContext({ correlationId }, next);
+};
+
+/**
+ * 📊 One access log line per finished request
+ */
+const requestLogger = (req, res, next) => {
+  res.on('finish', () => {
+    const statusCode = res.statusCode;
+    const level = statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : 'http';
+
+    appLogger.log(level, 'Request completed', {
+      correlationId: req.correlationId,
+      method: req.method,
+      url: req.originalUrl,
+      statusCode,
+      durationMs: Date.now() - req.startTime,
+      ip: req.ip,
+      userId: req.user?.id,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  CORRELATION_HEADER,
+  requestContext,
+  requestLogger,
+};
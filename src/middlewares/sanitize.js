@@ -0,0 +1,37 @@
+/**
+ * 🧼 REQUEST SANITIZATION MIDDLEWARE
+ *
+ * Strips MongoDB operators (`$gt`, `$where`, ...) and dotted keys from
+ * req.body, req.params, req.headers and req.query, so user input can't turn
+ * a lookup like `{ email }` into `{ email: { $ne: null } }`.
+ *
+ * express-mongo-sanitize's middleware assigns `req.query`, which Express 5
+ * exposes as a getter (re-parsed on every read), so it throws on every
+ * request. We parse the query once, pin it as a plain property, and sanitize
+ * it in place with the library's `sanitize` helper; later middleware (hpp,
+ * validators) then see the same sanitized object.
+ *
+ * Learning Points:
+ * - NoSQL injection hides in JSON bodies and in `?field[$ne]=` query strings
+ */
+
+const mongoSanitize = require('express-mongo-sanitize');
+
+const sanitizeRequest = (req, res, next) => {
+  Object.defineProperty(req, 'query', {
+    value: mongoSanitize.sanitize({ ...req.query }),
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  });
+
+  for (const key of ['body', 'params', 'headers']) {
+    if (req[key]) {
+      mongoSanitize.sanitize(req[key]);
+    }
+  }
+
+  next();
+};
+
+module.exports = { sanitizeRequest };
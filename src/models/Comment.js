@@ -19,8 +19,8 @@
  * - Performance considerations for nested queries
  */
 
-import mongoose from 'mongoose';
-import { appLogger } from '../utils/logger.js';
+const mongoose = require('mongoose');
+const { appLogger } = require('../utils/logger.js');
 
 /**
  * 📋 Comment Schema Definition
@@ -641,4 +641,4 @@ commentSchema.statics.searchComments = function(query, options = {}) {
 // Create the Comment model
 const Comment = mongoose.model('Comment', commentSchema);
 
-export default Comment;
+module.exports = Comment;
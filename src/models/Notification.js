@@ -0,0 +1,232 @@
+/**
+ * 🔔 NOTIFICATION MODEL
+ *
+ * This model stores in-app notifications in their own collection instead of
+ * an embedded array on the User document.
+ *
+ * Key Features:
+ * - One document per notification, so history is never silently capped
+ * - Compound indexes for inbox listing and unread counts
+ * - Automatic retention cleanup (TTL)
+ * - Sender and related resource references
+ * - Grouping: similar unread notifications fold into one
+ *   ("Ana and 12 others liked your post")
+ *
+ * Learning Points:
+ * - Unbounded embedded arrays make documents grow forever
+ * - Compound indexes should follow the query shape (equality → sort)
+ * - TTL indexes let MongoDB expire old documents on its own
+ */
+
+const mongoose = require('mongoose');
+const { CONFIG } = require('../config/index.js');
+
+/**
+ * 📋 Notification Types
+ * Kept in sync with NOTIFICATION_TYPES in notification.service.js
+ */
+const NOTIFICATION_TYPE_VALUES = [
+  'follow',
+  'like_post',
+  'like_comment',
+  'comment',
+  'reply',
+  'mention',
+  'post_published',
+  'achievement',
+  'system'
+];
+
+/**
+ * 👥 Grouping
+ * Number of most recent actors kept on a grouped notification, and number of
+ * actor IDs remembered to avoid counting repeat actions twice (actorCount keeps
+ * the full total; an actor older than the last TRACKED_ACTORS_LIMIT may be
+ * counted again)
+ */
+const RECENT_ACTORS_LIMIT = 3;
+const TRACKED_ACTORS_LIMIT = 200;
+
+/**
+ * ⏳ Retention
+ */
+const getRetentionExpiry = (from = new Date()) => {
+  const days = CONFIG.NOTIFICATION_RETENTION_DAYS;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * 📋 Notification Schema Definition
+ */
+const notificationSchema = new mongoose.Schema({
+  // Who receives / triggered the notification
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required'],
+  },
+
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  // Content
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPE_VALUES,
+      message: 'Invalid notification type',
+    },
+    required: [true, 'Notification type is required'],
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+  },
+
+  // Related resource (post, comment, user...)
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+
+  relatedType: {
+    type: String,
+    enum: ['user', 'post', 'comment', 'system', null],
+    default: null,
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // Grouping - notifications sharing a groupKey fold into one unread document
+  groupKey: {
+    type: String,
+    default: null,
+  },
+
+  actorCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'Actor count must be at least 1'],
+  },
+
+  // Newest first, capped at RECENT_ACTORS_LIMIT
+  recentActors: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    _id: false,
+  }],
+
+  // Latest actors folded into the group (capped at TRACKED_ACTORS_LIMIT), so repeat actions are not counted twice
+  actorIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false,
+  },
+
+  // Bumped whenever another actor is folded in; the inbox sorts on it
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Read state
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+
+  readAt: {
+    type: Date,
+  },
+
+  // Retention (TTL will remove the document after this date)
+  expiresAt: {
+    type: Date,
+    default: () => getRetentionExpiry(),
+  },
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.actorIds;
+      return ret;
+    }
+  }
+});
+
+/**
+ * 🔗 Indexes for Performance
+ */
+// Inbox listing filtered by read state, most recent activity first (also serves unread counts)
+notificationSchema.index({ recipient: 1, isRead: 1, lastActivityAt: -1 });
+// Unfiltered inbox listing, most recent activity first
+notificationSchema.index({ recipient: 1, lastActivityAt: -1 });
+// Open group lookup when folding a new notification
+notificationSchema.index(
+  { recipient: 1, groupKey: 1, isRead: 1, createdAt: -1 },
+  { partialFilterExpression: { groupKey: { $type: 'string' } } }
+);
+
+// TTL index for automatic retention cleanup
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * 🔐 Instance Methods
+ */
+
+// Mark a single notification as read
+notificationSchema.methods.markAsRead = async function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+    await this.save();
+  }
+
+  return this;
+};
+
+/**
+ * 🔍 Static Methods
+ */
+
+// Count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Compute the retention expiry for a notification created at `from`
+notificationSchema.statics.getRetentionExpiry = getRetentionExpiry;
+
+// Start of the window in which new notifications fold into an open group
+notificationSchema.statics.getGroupWindowStart = function(now = new Date()) {
+  return new Date(now.getTime() - CONFIG.NOTIFICATION_GROUP_WINDOW_HOURS * 60 * 60 * 1000);
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPE_VALUES = NOTIFICATION_TYPE_VALUES;
+module.exports.RECENT_ACTORS_LIMIT = RECENT_ACTORS_LIMIT;
+module.exports.TRACKED_ACTORS_LIMIT = TRACKED_ACTORS_LIMIT;
@@ -0,0 +1,177 @@
+/**
+ * 📤 OUTBOX EMAIL MODEL
+ *
+ * Every outgoing email is first written to this collection and then
+ * delivered by the mail service's outbox worker. A failed delivery is
+ * retried with exponential backoff instead of being lost.
+ *
+ * Key Features:
+ * - Persistent queue that survives restarts and SMTP outages
+ * - Retry bookkeeping (attempts, next attempt, last error)
+ * - Stale-lock recovery for messages claimed by a crashed worker
+ * - Automatic cleanup of old messages (TTL)
+ *
+ * Learning Points:
+ * - The outbox pattern decouples the API request from the slow mail server
+ * - Atomic "claim" updates stop two workers sending the same email
+ * - Bodies may contain one-time links, so they are dropped once sent
+ */
+
+const mongoose = require('mongoose');
+const { CONFIG } = require('../config/index.js');
+
+const OUTBOX_STATUS_VALUES = ['pending', 'sending', 'sent', 'failed'];
+
+// Keep delivered / failed messages for troubleshooting, then let TTL remove them
+const OUTBOX_RETENTION_DAYS = 30;
+
+/**
+ * 📋 Outbox Email Schema Definition
+ */
+const outboxEmailSchema = new mongoose.Schema({
+  // Envelope
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required'],
+    lowercase: true,
+    trim: true,
+  },
+
+  template: {
+    type: String,
+    required: [true, 'Template name is required'],
+  },
+
+  // Rendered content (html/text are cleared after delivery)
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [300, 'Subject cannot exceed 300 characters'],
+  },
+
+  html: String,
+  text: String,
+
+  // Optional link back to the user the email is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: OUTBOX_STATUS_VALUES,
+    default: 'pending',
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: () => CONFIG.EMAIL_MAX_ATTEMPTS,
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  lockedAt: Date,
+  lastError: String,
+
+  sentAt: Date,
+  messageId: String,
+  transport: String,
+
+  // Retention (TTL will remove the document after this date)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  },
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.html;
+      delete ret.text;
+      return ret;
+    }
+  }
+});
+
+/**
+ * 🔗 Indexes for Performance
+ */
+// Worker claim query: due pending messages, oldest first
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+// Stale lock recovery
+outboxEmailSchema.index({ status: 1, lockedAt: 1 });
+// TTL index for automatic cleanup
+outboxEmailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * 🔍 Static Methods
+ */
+
+// Atomically claim the next due message (or one whose worker died mid-send)
+outboxEmailSchema.statics.claimNext = function(staleLockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - staleLockMs) } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * 🔐 Instance Methods
+ */
+
+// Record a successful delivery
+outboxEmailSchema.methods.markSent = function({ messageId, transport }) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.messageId = messageId;
+  this.transport = transport;
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  this.html = undefined;
+  this.text = undefined;
+  return this.save();
+};
+
+// Record a failed delivery and schedule the retry (or give up)
+outboxEmailSchema.methods.markFailed = function(error, retryBaseMs) {
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (this.attempts - 1));
+  }
+
+  return this.save();
+};
+
+const OutboxEmail = mongoose.model('OutboxEmail', outboxEmailSchema);
+
+module.exports = OutboxEmail;
+module.exports.OUTBOX_STATUS_VALUES = OUTBOX_STATUS_VALUES;
@@ -0,0 +1,201 @@
+/**
+ * 🔑 PERSONAL ACCESS TOKEN MODEL
+ *
+ * Long-lived API tokens a user creates for scripts and integrations.
+ * They are sent as `Authorization: Bearer vnp_...` and accepted by the
+ * `authenticate` middleware alongside JWT access tokens.
+ *
+ * Key Features:
+ * - Only a keyed hash of the token is stored; the raw value is shown once
+ * - Scoped to content permissions (TOKEN_SCOPES in config/permissions.js)
+ * - Optional expiry (TTL cleanup) and last-used tracking
+ * - Soft revocation so the token list keeps its history
+ *
+ * Learning Points:
+ * - Store API tokens like passwords: a database leak must not leak tokens
+ * - A recognisable prefix lets secret scanners and middleware spot tokens
+ * - Scopes limit the damage a leaked token can do
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TOKEN_SCOPES } = require('../config/permissions.js');
+const { hashToken } = require('../utils/encryption.js');
+
+/**
+ * 🏷️ Token format
+ */
+const TOKEN_PREFIX = 'vnp_';
+
+// Characters of the token kept in clear so users can tell tokens apart
+const DISPLAY_PREFIX_LENGTH = 8;
+
+// Skip last-used writes when the token was used this recently
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 📋 Personal Access Token Schema Definition
+ */
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters'],
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false,
+  },
+
+  // First characters of the raw token, e.g. "vnp_AbC123xy"
+  prefix: {
+    type: String,
+    required: true,
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPES,
+        message: 'Invalid token scope',
+      },
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required',
+    },
+  },
+
+  // Optional - tokens without an expiry stay valid until revoked
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * 🔗 Indexes for Performance
+ */
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+// TTL index - expired tokens are removed a week after they stop working
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * 📊 Virtual Properties
+ */
+personalAccessTokenSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+personalAccessTokenSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+/**
+ * 🔐 Instance Methods
+ */
+
+// Record a use, at most once per LAST_USED_UPDATE_INTERVAL_MS
+personalAccessTokenSchema.methods.touch = async function(ipAddress) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS) {
+    return this;
+  }
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ipAddress || null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: now, lastUsedIp: this.lastUsedIp } }
+  );
+
+  return this;
+};
+
+/**
+ * 🔍 Static Methods
+ */
+
+// Does this bearer value look like a personal access token?
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+};
+
+// Generate a new raw token with its hash and display prefix
+personalAccessTokenSchema.statics.generate = function() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+// Find an unrevoked, unexpired token by its raw value
+personalAccessTokenSchema.statics.findValidToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Count a user's tokens that can still be used
+personalAccessTokenSchema.statics.countActive = function(userId) {
+  return this.countDocuments({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Revoke every token of a user (sign-out everywhere, password change, account recovery)
+personalAccessTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
+module.exports.TOKEN_PREFIX = TOKEN_PREFIX;
@@ -20,8 +20,8 @@
  * - Performance metrics help writers improve
  */
 
-import mongoose from 'mongoose';
-import { appLogger } from '../utils/logger.js';
+const mongoose = require('mongoose');
+const { appLogger } = require('../utils/logger.js');
 
 /**
  * 📋 Post Schema Definition
@@ -698,4 +698,4 @@ postSchema.statics.getStatistics = async function() {
 // Create the Post model
 const Post = mongoose.model('Post', postSchema);
 
-export default Post;
+module.exports = Post;
@@ -0,0 +1,80 @@
+/**
+ * 👥 ROLE MODEL
+ *
+ * Roles group permissions (see config/permissions.js). `User.role` holds a
+ * role name, so custom roles like "moderator" or "editor" can be created
+ * from the admin API without a deploy.
+ *
+ * Key Features:
+ * - Unique, URL-safe role names
+ * - Permissions validated against the catalogue
+ * - System roles (admin, writer, reader) cannot be deleted or renamed
+ *
+ * Learning Points:
+ * - Storing role → permission mappings as data keeps RBAC flexible
+ * - Checking permissions instead of role names decouples code from roles
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSIONS, WILDCARD_PERMISSION } = require('../config/permissions.js');
+
+// Role names are stored on users and used in URLs
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+/**
+ * 📋 Role Schema Definition
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [ROLE_NAME_PATTERN, 'Role name must be 2-30 lowercase letters, numbers, - or _'],
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: '',
+  },
+
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: [...PERMISSIONS, WILDCARD_PERMISSION],
+        message: 'Unknown permission: {VALUE}',
+      },
+    }],
+    default: [],
+  },
+
+  // Built-in roles every deployment relies on
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.ROLE_NAME_PATTERN = ROLE_NAME_PATTERN;
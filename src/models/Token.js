@@ -6,7 +6,7 @@
  * 
  * Key Features:
  * - Refresh token storage and validation
- * - Token blacklisting for logout/revocation
+ * - Token blacklisting for logout/revocation (mirrored to Redis when configured)
  * - Automatic token cleanup (TTL)
  * - Security tracking and logging
  * - Device/session management
@@ -18,9 +18,11 @@
  * - Device tracking helps with security monitoring
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { CONFIG } = require('../config/index.js');
 const { appLogger } = require('../utils/logger.js');
+const cache = require('../cache/index.js');
 
 /**
  * 📋 Token Schema Definition
@@ -35,7 +37,7 @@ const tokenSchema = new mongoose.Schema({
   
   tokenType: {
     type: String,
-    enum: ['refresh', 'blacklist', 'reset_password', 'email_verification'],
+    enum: ['refresh', 'blacklist', 'reset_password', 'email_verification', 'email_change', 'email_change_cancel', 'magic_link'],
     required: [true, 'Token type is required'],
   },
   
@@ -95,10 +97,12 @@ const tokenSchema = new mongoose.Schema({
   
   revocationReason: {
     type: String,
-    enum: ['logout', 'security_breach', 'admin_action', 'password_change', 'expired', 'other'],
+    enum: ['logout', 'security_breach', 'admin_action', 'password_change', 'expired', 'used', 'rotated', 'other'],
   },
   
   // Additional metadata for specific token types
+  // Refresh tokens: { familyId, parentId, generation } - see AuthService.refreshToken
+  // Email change tokens: { requestId, newEmail } - see AuthService.requestEmailChange
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
@@ -123,6 +127,8 @@ tokenSchema.index({ token: 1, tokenType: 1 });
 tokenSchema.index({ user: 1, tokenType: 1, isActive: 1 });
 tokenSchema.index({ sessionId: 1, isActive: 1 });
 tokenSchema.index({ user: 1, createdAt: -1 });
+tokenSchema.index({ 'metadata.familyId': 1, isActive: 1 }, { sparse: true });
+tokenSchema.index({ 'metadata.requestId': 1, isActive: 1 }, { sparse: true });
 
 // TTL index for automatic cleanup of expired tokens
 tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -167,8 +173,14 @@ tokenSchema.pre('save', function(next) {
         // Password reset tokens expire in 1 hour
         this.expiresAt = new Date(now.getTime() + 60 * 60 * 1000);
         break;
+      case 'magic_link':
+        // Sign-in links are short-lived and single-use
+        this.expiresAt = new Date(now.getTime() + 15 * 60 * 1000);
+        break;
       case 'email_verification':
-        // Email verification tokens expire in 24 hours
+      case 'email_change':
+      case 'email_change_cancel':
+        // Email verification/change tokens expire in 24 hours
         this.expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
         break;
       default:
@@ -315,9 +327,47 @@ tokenSchema.statics.createToken = async function(tokenData) {
   return newToken;
 };
 
+/**
+ * ⚡ Blacklist cache
+ * With a shared cache (Redis), a cache hit answers "blacklisted" without
+ * touching MongoDB. MongoDB stays the source of truth: a miss (eviction, a
+ * flush, a failed write) falls through to it. Tokens MongoDB does not know
+ * are remembered for BLACKLIST_MISS_TTL_MS under a separate key, so a token
+ * in use costs one query per interval rather than one per request. The
+ * blacklist key is always checked first, so revoking a token takes effect
+ * at once even while its miss entry lives.
+ */
+const BLACKLIST_MISS_TTL_MS = 60 * 1000;
+
+// Entries written per round trip when warming the cache
+const BLACKLIST_WARM_BATCH_SIZE = 500;
+
+const tokenHash = (tokenString) => crypto.createHash('sha256').update(tokenString).digest('hex');
+const blacklistKey = (tokenString) => `blacklist:${tokenHash(tokenString)}`;
+const blacklistMissKey = (tokenString) => `blacklist-miss:${tokenHash(tokenString)}`;
+
+// Throws when the shared cache can't take the entry
+const cacheBlacklistEntry = async (entry) => {
+  const store = cache.getStore();
+  const ttlMs = new Date(entry.expiresAt).getTime() - Date.now();
+  if (!store.shared || ttlMs <= 0) {
+    return;
+  }
+  
+  try {
+    await store.set(blacklistKey(entry.token), '1', ttlMs);
+  } catch (error) {
+    appLogger.logSecurity('blacklist_cache_write_failed', 'high', {
+      tokenId: entry._id,
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
 // Blacklist a token
 tokenSchema.statics.blacklistToken = async function(tokenString, userId, reason = 'logout') {
-  // Create blacklist entry
+  // Create blacklist entry (MongoDB first: it is what lookups fall back to)
   const blacklistToken = new this({
     token: tokenString,
     tokenType: 'blacklist',
@@ -335,19 +385,72 @@ tokenSchema.statics.blacklistToken = async function(tokenString, userId, reason
     await originalToken.revoke(reason);
   }
   
+  // A failed cache write fails the revoking request rather than passing silently
+  await cacheBlacklistEntry(blacklistToken);
+  
   return blacklistToken;
 };
 
 // Check if token is blacklisted
 tokenSchema.statics.isBlacklisted = async function(tokenString) {
+  const store = cache.getStore();
+  if (store.shared) {
+    try {
+      const [hit, miss] = await Promise.all([
+        store.get(blacklistKey(tokenString)),
+        store.get(blacklistMissKey(tokenString)),
+      ]);
+      if (hit !== null) {
+        return true;
+      }
+      if (miss !== null) {
+        return false;
+      }
+    } catch (error) {
+      appLogger.warn('Token blacklist cache unavailable, checking MongoDB', {
+        error: error.message,
+      });
+    }
+  }
+  
   const blacklistedToken = await this.findOne({
     token: tokenString,
     tokenType: 'blacklist'
-  });
+  }).select('token expiresAt').lean();
+  
+  // Put back entries the cache lost (eviction, flush), or remember the miss
+  if (store.shared) {
+    const write = blacklistedToken
+      ? cacheBlacklistEntry(blacklistedToken)
+      : store.set(blacklistMissKey(tokenString), '1', BLACKLIST_MISS_TTL_MS);
+    write.catch(() => {});
+  }
   
   return !!blacklistedToken;
 };
 
+// Copy unexpired blacklist entries into the shared cache (on startup, or after Redis lost its data)
+tokenSchema.statics.warmBlacklistCache = async function() {
+  if (!cache.getStore().shared) {
+    return 0;
+  }
+  
+  const entries = await this.find({
+    tokenType: 'blacklist',
+    expiresAt: { $gt: new Date() }
+  }).select('token expiresAt').lean();
+  
+  for (let i = 0; i < entries.length; i += BLACKLIST_WARM_BATCH_SIZE) {
+    await Promise.all(entries.slice(i, i + BLACKLIST_WARM_BATCH_SIZE).map(cacheBlacklistEntry));
+  }
+  
+  appLogger.info('Token blacklist loaded into shared cache', {
+    count: entries.length,
+  });
+  
+  return entries.length;
+};
+
 // Clean up expired tokens (manual cleanup)
 tokenSchema.statics.cleanupExpiredTokens = async function() {
   const result = await this.deleteMany({
@@ -375,12 +478,15 @@ tokenSchema.statics.getUserActiveSessions = function(userId) {
 };
 
 // Revoke all user tokens (for security purposes)
+// Revert links of confirmed email changes survive: they are how the previous
+// owner takes the account back, so a sign-out or password reset must not disarm them.
 tokenSchema.statics.revokeAllUserTokens = async function(userId, reason = 'security_breach', revokedBy = null) {
   const result = await this.updateMany(
     {
       user: userId,
       isActive: true,
-      revokedAt: { $exists: false }
+      revokedAt: { $exists: false },
+      $nor: [{ tokenType: 'email_change_cancel', 'metadata.confirmedAt': { $exists: true } }]
     },
     {
       $set: {
@@ -402,6 +508,32 @@ tokenSchema.statics.revokeAllUserTokens = async function(userId, reason = 'secur
   return result;
 };
 
+// Revoke every token of a refresh token family (e.g. on reuse of a rotated token)
+tokenSchema.statics.revokeFamily = async function(familyId, reason = 'security_breach') {
+  const result = await this.updateMany(
+    {
+      tokenType: 'refresh',
+      'metadata.familyId': familyId,
+      isActive: true,
+    },
+    {
+      $set: {
+        isActive: false,
+        revokedAt: new Date(),
+        revocationReason: reason,
+      }
+    }
+  );
+  
+  appLogger.logSecurity('token_family_revoked', 'high', {
+    familyId,
+    reason,
+    revokedCount: result.modifiedCount,
+  });
+  
+  return result;
+};
+
 // Get token statistics
 tokenSchema.statics.getStatistics = async function() {
   const stats = await this.aggregate([
@@ -436,6 +568,20 @@ tokenSchema.statics.findBySession = function(sessionId) {
   });
 };
 
+// Whether a session was ended (logout, revoked session, password change, token reuse).
+// Access tokens carry the session ID, so they stop working with their session instead
+// of living out their expiry. Rotation retires refresh tokens without ending the session.
+tokenSchema.statics.isSessionRevoked = async function(sessionId) {
+  const revoked = await this.exists({
+    sessionId,
+    tokenType: 'refresh',
+    revokedAt: { $exists: true },
+    revocationReason: { $ne: 'rotated' }
+  });
+  
+  return !!revoked;
+};
+
 // Create the Token model
 const Token = mongoose.model('Token', tokenSchema);
 
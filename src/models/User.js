@@ -25,11 +25,59 @@
  * - Indexes improve query performance
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { CONFIG } = require('../config/index.js');
 const { appLogger } = require('../utils/logger.js');
+const { getAccessKeyring, getRefreshKeyring, TOKEN_AUDIENCES } = require('../utils/jwt-keyring.js');
+const { NOTIFICATION_TYPE_VALUES } = require('./Notification.js');
+
+/**
+ * 🔔 Notification Preference Defaults
+ * One { inApp, email, push } switch set per notification type.
+ * High-volume types (likes, new posts, achievements) are not emailed by default.
+ */
+const EMAIL_BY_DEFAULT = ['follow', 'comment', 'reply', 'mention', 'system'];
+
+const notificationTypePreferences = NOTIFICATION_TYPE_VALUES.reduce((fields, type) => {
+  fields[type] = {
+    inApp: { type: Boolean, default: true },
+    email: { type: Boolean, default: EMAIL_BY_DEFAULT.includes(type) },
+    push: { type: Boolean, default: true },
+  };
+  return fields;
+}, {});
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes since midnight for `date` in the given IANA timezone
+const minutesInTimezone = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(p => p.type === 'hour').value);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+const toMinutes = (timeOfDay) => {
+  const [hour, minute] = timeOfDay.split(':').map(Number);
+  return hour * 60 + minute;
+};
 
 /**
  * 📋 User Schema Definition
@@ -61,12 +109,12 @@ const userSchema = new mongoose.Schema({
   },
   
   // Role-based Information
+  // Name of a role in the roles collection (reader, writer, admin or a custom role)
   role: {
     type: String,
-    enum: {
-      values: ['reader', 'writer', 'admin'],
-      message: 'Role must be either reader, writer, or admin'
-    },
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Invalid role name'],
     required: [true, 'User role is required'],
   },
   
@@ -199,6 +247,45 @@ const userSchema = new mongoose.Schema({
     },
   },
   
+  // Notification Preferences
+  notificationPreferences: {
+    // Global channel switches (override the per-type settings)
+    channels: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+    },
+    
+    // Per notification type, per channel
+    types: notificationTypePreferences,
+    
+    // No email/push interruptions in this window (user's local time)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        default: '22:00',
+        match: [TIME_OF_DAY_REGEX, 'Quiet hours must use HH:MM format'],
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: [TIME_OF_DAY_REGEX, 'Quiet hours must use HH:MM format'],
+      },
+      timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+          validator: isValidTimezone,
+          message: 'Invalid timezone',
+        },
+      },
+    },
+  },
+  
   // Security Features
   loginAttempts: {
     type: Number,
@@ -224,6 +311,56 @@ const userSchema = new mongoose.Schema({
     default: false,
   },
   
+  emailVerifiedAt: {
+    type: Date,
+  },
+  
+  // Devices this account has signed in from (see utils/device.js)
+  knownDevices: {
+    type: [{
+      fingerprint: String,
+      browser: String,
+      os: String,
+      platform: String,
+      firstSeenAt: Date,
+      lastSeenAt: Date,
+      _id: false,
+    }],
+    select: false,
+  },
+  
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    // AES-256-GCM encrypted base32 secrets (see utils/encryption.js)
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // One-time recovery codes, stored as keyed hashes
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date,
+        _id: false,
+      }],
+      select: false,
+    },
+  },
+  
   isActive: {
     type: Boolean,
     default: true,
@@ -295,6 +432,9 @@ const userSchema = new mongoose.Schema({
       delete ret.loginAttempts;
       delete ret.lockUntil;
       delete ret.__v;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+      }
       return ret;
     }
   },
@@ -399,30 +539,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAccessToken = function() {
-  return jwt.sign(
+// Generate JWT token (signed with the current key of the access keyring)
+userSchema.methods.generateAccessToken = function(sessionId) {
+  return getAccessKeyring().sign(
     { 
       id: this._id,
       email: this.email,
       role: this.role,
       displayName: this.displayName,
+      sid: sessionId, // ties the access token to its session (see /api/auth/sessions)
     },
-    CONFIG.JWT_SECRET,
     {
       expiresIn: CONFIG.JWT_EXPIRES_IN,
+      audience: TOKEN_AUDIENCES.access,
     }
   );
 };
 
 // Generate refresh token
 userSchema.methods.generateRefreshToken = function() {
-  return jwt.sign(
+  return getRefreshKeyring().sign(
     { 
       id: this._id,
       tokenType: 'refresh',
+      jti: crypto.randomUUID(), // unique even when rotated twice within a second
     },
-    CONFIG.JWT_REFRESH_SECRET,
     {
       expiresIn: CONFIG.JWT_REFRESH_EXPIRES_IN,
     }
@@ -442,8 +583,8 @@ userSchema.methods.incLoginAttempts = async function() {
   const updates = { $inc: { loginAttempts: 1 } };
   
   // If we have hit max attempts and it's not locked yet, lock the account
-  if (this.loginAttempts + 1 >= CONFIG.security.maxLoginAttempts && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + CONFIG.security.lockoutDuration };
+  if (this.loginAttempts + 1 >= CONFIG.MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + CONFIG.LOCKOUT_DURATION };
     
     appLogger.error('Account locked due to failed login attempts', {
       userId: this._id,
@@ -564,6 +705,39 @@ userSchema.methods.unbanUser = async function(adminId) {
   });
 };
 
+// Check whether `at` falls inside the user's quiet hours
+userSchema.methods.isInQuietHours = function(at = new Date()) {
+  const quietHours = this.notificationPreferences?.quietHours;
+  if (!quietHours?.enabled) {
+    return false;
+  }
+  
+  const now = minutesInTimezone(at, quietHours.timezone || 'UTC');
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  
+  // Windows may wrap past midnight (e.g. 22:00 → 07:00)
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Resolve which channels a notification type should be delivered on
+userSchema.methods.getNotificationDelivery = function(type, at = new Date()) {
+  const preferences = this.notificationPreferences || {};
+  const channels = preferences.channels || {};
+  const typePreferences = preferences.types?.[type] || {};
+  
+  const enabled = (channel) => channels[channel] !== false && typePreferences[channel] !== false;
+  
+  return {
+    inApp: enabled('inApp'),
+    email: enabled('email'),
+    push: enabled('push'),
+    quiet: this.isInQuietHours(at),
+  };
+};
+
 /**
  * 🔍 Static Methods
  */
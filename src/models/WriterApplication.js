@@ -0,0 +1,129 @@
+/**
+ * ✍️ WRITER APPLICATION MODEL
+ *
+ * A reader's request to become a writer. Admins review pending
+ * applications in a queue and approve or reject them with notes;
+ * approval switches the applicant's role on their existing account.
+ *
+ * Key Features:
+ * - Pen name, genres and a writing sample for review
+ * - One pending application per user (partial unique index)
+ * - Review trail: reviewer, notes, decision date
+ *
+ * Learning Points:
+ * - Partial indexes enforce "only one X in state Y" rules in the database
+ * - Keeping the decided application documents the role change history
+ */
+
+const mongoose = require('mongoose');
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+/**
+ * 📋 Writer Application Schema Definition
+ */
+const writerApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required'],
+  },
+
+  // Becomes User.penName on approval
+  penName: {
+    type: String,
+    required: [true, 'Pen name is required'],
+    trim: true,
+    minlength: [2, 'Pen name must be at least 2 characters long'],
+    maxlength: [50, 'Pen name must not exceed 50 characters'],
+  },
+
+  genres: {
+    type: [{
+      type: String,
+      enum: [
+        'Lyrical', 'Narrative', 'Sonnet', 'Haiku',
+        'Fantasy', 'Free Verse', 'Drama', 'Epic',
+        'Comedy', 'Romance', 'Mystery', 'Horror',
+        'Science Fiction', 'Historical', 'Other'
+      ],
+    }],
+    validate: {
+      validator: genres => genres.length >= 1 && genres.length <= 5,
+      message: 'Choose between 1 and 5 genres',
+    },
+  },
+
+  sample: {
+    title: {
+      type: String,
+      required: [true, 'Sample title is required'],
+      trim: true,
+      maxlength: [200, 'Sample title must not exceed 200 characters'],
+    },
+    content: {
+      type: String,
+      required: [true, 'Writing sample is required'],
+      minlength: [100, 'Writing sample must be at least 100 characters long'],
+      maxlength: [10000, 'Writing sample must not exceed 10000 characters'],
+    },
+  },
+
+  // Optional note from the applicant to the reviewers
+  statement: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Statement must not exceed 1000 characters'],
+  },
+
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'pending',
+  },
+
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes must not exceed 1000 characters'],
+  },
+
+}, {
+  timestamps: true, // createdAt, updatedAt
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * 🔗 Indexes for Performance
+ */
+// Review queue, oldest first
+writerApplicationSchema.index({ status: 1, createdAt: 1 });
+// An applicant's history, newest first
+writerApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// At most one pending application per user
+writerApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const WriterApplication = mongoose.model('WriterApplication', writerApplicationSchema);
+
+module.exports = WriterApplication;
+module.exports.APPLICATION_STATUSES = APPLICATION_STATUSES;
@@ -0,0 +1,37 @@
+/**
+ * 🧠 In-Memory Pub/Sub Adapter
+ *
+ * Default realtime adapter. Delivers messages within a single Node process,
+ * which is all a one-instance deployment needs.
+ *
+ * Adapter contract (shared with the Redis adapter):
+ * - publish(channel, message)   → Promise<void>
+ * - subscribe(channel, handler) → Promise<void>
+ * - close()                     → Promise<void>
+ */
+
+const { EventEmitter } = require('events');
+
+class MemoryPubSubAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    // Serialise like a network adapter would, so payloads behave the same
+    const payload = JSON.parse(JSON.stringify(message));
+    setImmediate(() => this.emitter.emit(channel, payload));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = MemoryPubSubAdapter;
@@ -0,0 +1,62 @@
+/**
+ * 🔴 Redis Pub/Sub Adapter
+ *
+ * Fans realtime messages out across every Node process connected to the
+ * same Redis server, so a user connected to instance A still receives
+ * events produced on instance B.
+ *
+ * Redis requires a dedicated connection for subscriptions, hence the
+ * separate publisher/subscriber clients.
+ */
+
+const { createClient } = require('redis');
+const { appLogger } = require('../../utils/logger.js');
+
+class RedisPubSubAdapter {
+  constructor(url) {
+    this.name = 'redis';
+    this.publisher = createClient({ url });
+    this.subscriber = this.publisher.duplicate();
+    this.connecting = null;
+
+    [this.publisher, this.subscriber].forEach(client => {
+      client.on('error', (error) => {
+        appLogger.error('Realtime Redis adapter error', { error: error.message });
+      });
+    });
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = Promise.all([
+        this.publisher.connect(),
+        this.subscriber.connect()
+      ]);
+    }
+    return this.connecting;
+  }
+
+  async publish(channel, message) {
+    await this.connect();
+    await this.publisher.publish(channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.connect();
+    await this.subscriber.subscribe(channel, (raw) => {
+      try {
+        handler(JSON.parse(raw));
+      } catch (error) {
+        appLogger.error('Invalid realtime message received', { channel, error: error.message });
+      }
+    });
+  }
+
+  async close() {
+    if (!this.connecting) return;
+    await Promise.allSettled([this.publisher.quit(), this.subscriber.quit()]);
+    this.connecting = null;
+  }
+}
+
+module.exports = RedisPubSubAdapter;
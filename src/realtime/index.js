@@ -0,0 +1,56 @@
+/**
+ * 📡 REALTIME BOOTSTRAP
+ *
+ * Wires the realtime service to the HTTP server:
+ * - picks the pub/sub adapter (in-memory by default, Redis for multi-process)
+ * - starts the SSE heartbeat
+ * - closes open streams when the server shuts down
+ *
+ * The transport itself is Server-Sent Events served by /api/realtime/stream.
+ */
+
+const { CONFIG } = require('../config/index.js');
+const { appLogger } = require('../utils/logger.js');
+const realtimeService = require('../services/realtime.service.js');
+const RedisPubSubAdapter = require('./adapters/redis.adapter.js');
+
+/**
+ * 🔌 Build the configured pub/sub adapter (null keeps the in-memory default)
+ */
+const createAdapter = () => {
+  if (CONFIG.REALTIME_ADAPTER === 'redis') {
+    if (!CONFIG.REDIS_URL) {
+      appLogger.warn('REALTIME_ADAPTER=redis but REDIS_URL is not set, using in-memory adapter');
+      return null;
+    }
+    return new RedisPubSubAdapter(CONFIG.REDIS_URL);
+  }
+
+  return null;
+};
+
+/**
+ * 🚀 Initialize realtime delivery for an HTTP server
+ *
+ * @param {http.Server} server - The HTTP server
+ * @returns {Promise<Object>} The realtime service
+ */
+const initializeSocket = async (server) => {
+  const adapter = createAdapter();
+  if (adapter) {
+    await realtimeService.setAdapter(adapter);
+  }
+
+  await realtimeService.start({ heartbeatInterval: CONFIG.REALTIME_HEARTBEAT_INTERVAL });
+
+  // Open streams would otherwise keep server.close() waiting forever
+  server.on('close', () => {
+    realtimeService.close().catch(error => {
+      appLogger.error('Error closing realtime service', { error: error.message });
+    });
+  });
+
+  return realtimeService;
+};
+
+module.exports = { initializeSocket };
@@ -1,14 +1,56 @@
 /**
- * Simple Admin Routes
- * Basic admin routes for testing the integration
+ * Admin Routes
+ * Moderation, user management, role management and analytics endpoints
+ * backed by AdminService and RoleService
+ *
+ * Every route requires a user signed in with a session (not a personal
+ * access token) whose role grants the route's permission, so custom roles
+ * such as "moderator" can reach only the tools they need.
  */
 
 const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, hasPermission, requireSession, requireStepUp } = require('../middlewares/auth');
+const { adminSchemas, userSchemas, writerApplicationSchemas } = require('../validators/schemas');
+const adminController = require('../controllers/admin.controller');
+const roleController = require('../controllers/role.controller');
+const userController = require('../controllers/user.controller');
+const writerApplicationController = require('../controllers/writer-application.controller');
+
 const router = express.Router();
 
-// Placeholder routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Admin routes working' });
-});
+router.use(authenticate, requireSession);
+
+// Dashboard & analytics
+router.get('/dashboard', hasPermission('analytics:view'), adminController.getDashboardSummary);
+router.get('/analytics', hasPermission('analytics:view'), validate(adminSchemas.systemAnalytics), adminController.getSystemAnalytics);
+router.get('/activity', hasPermission('analytics:view'), validate(adminSchemas.activity), adminController.getAdminActivity);
+router.get('/reports', hasPermission('report:review'), adminController.getReportedContent);
+router.get('/config', hasPermission('system:config'), adminController.getConfig);
+
+// User management
+router.get('/users', hasPermission('user:view'), validate(adminSchemas.getUsers), adminController.getAllUsers);
+router.get('/search/users', hasPermission('user:view'), validate(adminSchemas.searchUsers), adminController.searchUsers);
+router.post('/users/:userId/ban', hasPermission('user:ban'), requireStepUp, validate(adminSchemas.toggleBan), adminController.toggleUserBan);
+router.put('/users/:userId/role', hasPermission('role:manage'), requireStepUp, validate(adminSchemas.assignRole), roleController.assignRole);
+router.delete('/users/:userId', hasPermission('user:delete'), requireStepUp, validate(userSchemas.getById), userController.adminDeleteUser);
+
+// Content moderation
+router.get('/posts', hasPermission('post:moderate'), validate(adminSchemas.getPosts), adminController.getAllPosts);
+router.delete('/posts/:postId', hasPermission('post:moderate'), validate(adminSchemas.deletePost), adminController.deletePost);
+router.post('/posts/:postId/feature', hasPermission('post:feature'), validate(adminSchemas.featurePost), adminController.togglePostFeatured);
+
+// Writer applications
+router.get('/writer-applications', hasPermission('application:review'), validate(writerApplicationSchemas.queue), writerApplicationController.getQueue);
+router.get('/writer-applications/:applicationId', hasPermission('application:review'), validate(writerApplicationSchemas.getById), writerApplicationController.getApplication);
+router.post('/writer-applications/:applicationId/approve', hasPermission('application:review'), validate(writerApplicationSchemas.approve), writerApplicationController.approve);
+router.post('/writer-applications/:applicationId/reject', hasPermission('application:review'), validate(writerApplicationSchemas.reject), writerApplicationController.reject);
+
+// Roles & permissions
+router.get('/permissions', hasPermission('role:manage'), roleController.getPermissions);
+router.get('/roles', hasPermission('role:manage'), roleController.getRoles);
+router.post('/roles', hasPermission('role:manage'), validate(adminSchemas.createRole), roleController.createRole);
+router.put('/roles/:roleName', hasPermission('role:manage'), validate(adminSchemas.updateRole), roleController.updateRole);
+router.delete('/roles/:roleName', hasPermission('role:manage'), validate(adminSchemas.deleteRole), roleController.deleteRole);
 
 module.exports = router;
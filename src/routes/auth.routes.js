@@ -5,28 +5,74 @@
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-// const { validate } = require('../middlewares/validation');
-// const { authSchemas } = require('../validators/schemas');
+const { validate } = require('../middlewares/validation');
+const { authSchemas } = require('../validators/schemas');
+const { authenticate, requireSession, requireStepUp } = require('../middlewares/auth');
 const authController = require('../controllers/auth.controller');
+const RateLimitStore = require('../cache/rate-limit.store');
 
 const router = express.Router();
 
-// Basic rate limiting
+// Endpoints that check a password, a code or a one-time credential; everything
+// else under /api/auth only counts toward the general limit (see app.js)
 const authRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // limit each IP to 5 requests per windowMs
   message: {
     error: 'Too many authentication attempts from this IP, please try again later.',
   },
+  store: new RateLimitStore('auth-routes'),
+});
+
+// Verification emails are limited per account, on top of the IP limit
+const verificationRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each user to 3 verification emails per hour
+  keyGenerator: (req) => req.user.id,
+  message: {
+    error: 'Too many verification emails requested, please try again later.',
+  },
+  store: new RateLimitStore('verification'),
+});
+
+// Sign-in links are limited per address too, so nobody can flood an inbox
+const magicLinkRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each email address to 3 sign-in links per hour
+  keyGenerator: (req) => req.body.email.toLowerCase(),
+  message: {
+    error: 'Too many sign-in links requested, please try again later.',
+  },
+  store: new RateLimitStore('magic-link'),
 });
 
 // Routes
-router.post('/register', authRateLimit, authController.register);
+router.get('/csrf-token', authController.getCsrfToken);
+router.post('/register', authRateLimit, validate(authSchemas.register), authController.register);
 router.post('/login', authRateLimit, authController.login);
+router.post('/magic-link', authRateLimit, validate(authSchemas.requestMagicLink), magicLinkRateLimit, authController.requestMagicLink);
+router.post('/magic-link/verify', authRateLimit, validate(authSchemas.magicLinkLogin), authController.magicLinkLogin);
 router.post('/refresh', authController.refreshToken);
 router.post('/logout', authController.logout);
-router.post('/forgot-password', authRateLimit, authController.forgotPassword);
-router.post('/reset-password', authRateLimit, authController.resetPassword);
-router.get('/me', authController.getCurrentUser);
+router.post('/forgot-password', authRateLimit, validate(authSchemas.forgotPassword), authController.forgotPassword);
+router.post('/change-password', authenticate, requireSession, requireStepUp, validate(authSchemas.changePassword), authController.changePassword);
+router.post('/reset-password', authRateLimit, validate(authSchemas.resetPassword), authController.resetPassword);
+router.post('/verify-email', validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.post('/resend-verification', authenticate, requireSession, verificationRateLimit, authController.resendVerification);
+router.post('/change-email', authenticate, requireSession, authRateLimit, validate(authSchemas.changeEmail), authController.changeEmail);
+router.post('/confirm-email-change', validate(authSchemas.emailChangeToken), authController.confirmEmailChange);
+router.post('/cancel-email-change', validate(authSchemas.emailChangeToken), authController.cancelEmailChange);
+router.post('/verify-2fa', authRateLimit, validate(authSchemas.verify2FA), authController.verify2FA);
+router.post('/step-up', authenticate, requireSession, authRateLimit, validate(authSchemas.stepUp), authController.stepUp);
+router.post('/enable-2fa', authenticate, requireSession, validate(authSchemas.enable2FA), authController.enable2FA);
+router.post('/confirm-2fa', authenticate, requireSession, validate(authSchemas.confirm2FA), authController.confirm2FA);
+router.post('/disable-2fa', authenticate, requireSession, authRateLimit, validate(authSchemas.disable2FA), authController.disable2FA);
+router.get('/sessions', authenticate, requireSession, authController.getActiveSessions);
+router.delete('/sessions', authenticate, requireSession, requireStepUp, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, requireSession, validate(authSchemas.revokeSession), authController.revokeSession);
+router.get('/tokens', authenticate, requireSession, authController.listPersonalAccessTokens);
+router.post('/tokens', authenticate, requireSession, requireStepUp, validate(authSchemas.createPersonalAccessToken), authController.createPersonalAccessToken);
+router.delete('/tokens/:tokenId', authenticate, requireSession, validate(authSchemas.revokePersonalAccessToken), authController.revokePersonalAccessToken);
+router.get('/me', authenticate, requireSession, authController.getCurrentUser);
 
 module.exports = router;
\ No newline at end of file
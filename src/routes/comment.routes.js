@@ -1,14 +1,55 @@
 /**
- * Simple Comment Routes
- * Basic comment routes for testing the integration
+ * Comment Routes
+ * Threaded discussion endpoints backed by CommentService
+ *
+ * Two routers are exported:
+ * - the default router, mounted at /api/comments, for single comments
+ * - postCommentsRouter, mounted under /api/posts/:postId/comments
  */
 
 const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, optionalAuth, ownerOrAdmin, hasPermission, requireSession, requireVerifiedEmail } = require('../middlewares/auth');
+const { commentSchemas } = require('../validators/schemas');
+const commentController = require('../controllers/comment.controller');
+const Comment = require('../models/Comment');
+
 const router = express.Router();
+const postCommentsRouter = express.Router({ mergeParams: true });
+
+// /api/posts/:postId/comments
+postCommentsRouter.get('/', optionalAuth, validate(commentSchemas.list), commentController.getPostComments);
+postCommentsRouter.post(
+  '/',
+  authenticate,
+  requireVerifiedEmail,
+  hasPermission('comment:create'),
+  validate(commentSchemas.create),
+  commentController.createComment
+);
 
-// Placeholder routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Comment routes working' });
-});
+// /api/comments
+router.get('/user/:userId', validate(commentSchemas.getByUser), commentController.getUserComments);
+router.get('/:commentId', optionalAuth, validate(commentSchemas.getById), commentController.getCommentById);
+router.get('/:commentId/replies', validate(commentSchemas.getById), commentController.getCommentReplies);
+router.put(
+  '/:commentId',
+  authenticate,
+  hasPermission('comment:update'),
+  validate(commentSchemas.update),
+  ownerOrAdmin(Comment, 'commentId', 'author', null),
+  commentController.updateComment
+);
+router.delete(
+  '/:commentId',
+  authenticate,
+  hasPermission('comment:delete'),
+  validate(commentSchemas.getById),
+  ownerOrAdmin(Comment, 'commentId'),
+  commentController.deleteComment
+);
+router.post('/:commentId/like', authenticate, hasPermission('comment:like'), validate(commentSchemas.getById), commentController.toggleLike);
+router.post('/:commentId/report', authenticate, requireSession, validate(commentSchemas.report), commentController.reportComment);
 
 module.exports = router;
+module.exports.postCommentsRouter = postCommentsRouter;
@@ -1,14 +1,27 @@
 /**
- * Simple Notification Routes
- * Basic notification routes for testing the integration
+ * Notification Routes
+ * Authenticated inbox endpoints backed by NotificationService
  */
 
 const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireSession } = require('../middlewares/auth');
+const { notificationSchemas } = require('../validators/schemas');
+const notificationController = require('../controllers/notification.controller');
+
 const router = express.Router();
 
-// Placeholder routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Notification routes working' });
-});
+router.use(authenticate, requireSession);
+
+// Inbox
+router.get('/', validate(notificationSchemas.list), notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.get('/stats', notificationController.getNotificationStats);
+router.get('/types', notificationController.getNotificationTypes);
+
+// Read state & cleanup
+router.patch('/mark-read', validate(notificationSchemas.byIds), notificationController.markAsRead);
+router.patch('/mark-all-read', notificationController.markAllAsRead);
+router.delete('/', validate(notificationSchemas.byIds), notificationController.deleteNotifications);
 
 module.exports = router;
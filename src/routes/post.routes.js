@@ -1,18 +1,59 @@
 /**
- * Simple Post Routes
- * Basic post routes for testing the integration
+ * Post Routes
+ * Story publishing, reading and interaction endpoints backed by PostService
  */
 
 const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, optionalAuth, ownerOrAdmin, hasPermission, requireVerifiedEmail } = require('../middlewares/auth');
+const { postSchemas } = require('../validators/schemas');
+const postController = require('../controllers/post.controller');
+const { postCommentsRouter } = require('./comment.routes');
+const Post = require('../models/Post');
+
 const router = express.Router();
 
-// Placeholder routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Post routes working' });
-});
+// Listings (static paths must come before /:postId)
+router.get('/', optionalAuth, validate(postSchemas.search), postController.getPosts);
+router.get('/trending', postController.getTrendingPosts);
+router.get('/bookmarks', authenticate, hasPermission('post:bookmark'), postController.getUserBookmarks);
+router.get('/slug/:slug', optionalAuth, validate(postSchemas.getBySlug), postController.getPostBySlug);
+router.get('/author/:authorId', optionalAuth, postController.getPostsByAuthor);
+
+// Single post
+router.get('/:postId', optionalAuth, validate(postSchemas.getById), postController.getPostById);
+
+// Authoring
+router.post(
+  '/',
+  authenticate,
+  requireVerifiedEmail,
+  hasPermission('post:create'),
+  validate(postSchemas.create),
+  postController.createPost
+);
+router.put(
+  '/:postId',
+  authenticate,
+  hasPermission('post:update'),
+  validate({ ...postSchemas.getById, ...postSchemas.update }),
+  ownerOrAdmin(Post, 'postId', 'author', null),
+  postController.updatePost
+);
+router.delete(
+  '/:postId',
+  authenticate,
+  hasPermission('post:delete'),
+  validate(postSchemas.getById),
+  ownerOrAdmin(Post, 'postId'),
+  postController.deletePost
+);
+
+// Interactions
+router.post('/:postId/like', authenticate, hasPermission('post:like'), validate(postSchemas.getById), postController.toggleLike);
+router.post('/:postId/bookmark', authenticate, hasPermission('post:bookmark'), validate(postSchemas.getById), postController.toggleBookmark);
 
-router.post('/', (req, res) => {
-  res.json({ message: 'Create post endpoint' });
-});
+// Comments on a post
+router.use('/:postId/comments', postCommentsRouter);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Realtime Routes
+ * Server-Sent Events stream for live notifications and post counters
+ */
+
+const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireSession } = require('../middlewares/auth');
+const { realtimeSchemas } = require('../validators/schemas');
+const realtimeController = require('../controllers/realtime.controller');
+
+const router = express.Router();
+
+router.use(authenticate, requireSession);
+
+router.get('/stream', validate(realtimeSchemas.stream), realtimeController.stream);
+router.put(
+  '/connections/:connectionId/posts',
+  validate(realtimeSchemas.watchPosts),
+  realtimeController.updateWatchedPosts
+);
+
+module.exports = router;
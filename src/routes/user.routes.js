@@ -1,18 +1,44 @@
 /**
- * Simple User Routes
- * Basic user routes for testing the integration
+ * User Routes
+ * Profile, follow graph, user search and writer application endpoints
  */
 
 const express = require('express');
+const { validate } = require('../middlewares/validation');
+const { authenticate, optionalAuth, requireSession, requireStepUp, requireVerifiedEmail } = require('../middlewares/auth');
+const { userSchemas, writerApplicationSchemas } = require('../validators/schemas');
+const userController = require('../controllers/user.controller');
+const writerApplicationController = require('../controllers/writer-application.controller');
+
 const router = express.Router();
 
-// Placeholder routes
-router.get('/', (req, res) => {
-  res.json({ message: 'User routes working' });
-});
+// Static paths must come before /:userId
+router.get('/search', optionalAuth, validate(userSchemas.search), userController.searchUsers);
+
+// Current user
+router.get('/me', authenticate, requireSession, userController.getCurrentUserProfile);
+router.put('/me', authenticate, requireSession, validate(userSchemas.update), userController.updateUserProfile);
+router.delete('/me', authenticate, requireSession, requireStepUp, userController.deleteCurrentUser);
+
+// Reader → writer upgrade
+router.get('/me/writer-application', authenticate, requireSession, writerApplicationController.getMyApplication);
+router.post(
+  '/me/writer-application',
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+  validate(writerApplicationSchemas.apply),
+  writerApplicationController.apply
+);
+router.delete('/me/writer-application', authenticate, requireSession, writerApplicationController.withdraw);
+
+// Public profiles
+router.get('/:userId', optionalAuth, validate(userSchemas.getById), userController.getUserProfile);
+router.get('/:userId/followers', optionalAuth, validate(userSchemas.getById), userController.getUserFollowers);
+router.get('/:userId/following', optionalAuth, validate(userSchemas.getById), userController.getUserFollowing);
 
-router.get('/profile', (req, res) => {
-  res.json({ message: 'User profile endpoint' });
-});
+// Follow graph
+router.post('/:userId/follow', authenticate, requireSession, validate(userSchemas.follow), userController.followUser);
+router.delete('/:userId/follow', authenticate, requireSession, validate(userSchemas.follow), userController.unfollowUser);
 
 module.exports = router;
@@ -14,10 +14,10 @@
  * - Activity logging and audit trails
  * 
  * Security Notes:
- * - All operations require admin role verification
+ * - All operations require the matching permission (see config/permissions.js)
  * - Sensitive operations are logged for audit
  * - Rate limiting applies even to admin operations
- * - Admin actions cannot be performed on other admins
+ * - Admin actions cannot be performed on other admins (or, for moderators, other moderators)
  * 
  * Learning Notes:
  * - Admin services handle privileged operations
@@ -30,6 +30,8 @@ const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Token = require('../models/Token');
+const roleService = require('./role.service');
+const realtimeService = require('./realtime.service');
 const { 
   NotFoundError, 
   ValidationError, 
@@ -81,11 +83,7 @@ class AdminService {
 
     // Text search across multiple fields
     if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { displayName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+      query.$or = this._buildUserSearch(search);
     }
 
     // Build sort object
@@ -95,7 +93,7 @@ class AdminService {
     // Execute query with pagination
     const [users, total] = await Promise.all([
       User.find(query)
-        .select('username displayName email role isActive isVerified followerCount createdAt lastActive')
+        .select('fullName penName email role isActive isVerified isBanned banExpiresAt stats.followersCount createdAt lastActive')
         .sort(sort)
         .skip(offset || (page - 1) * limit)
         .limit(limit)
@@ -161,19 +159,19 @@ class AdminService {
     }
 
     if (typeof reported === 'boolean' && reported) {
-      query.reportCount = { $gt: 0 };
+      query.moderationStatus = 'flagged';
     }
 
     if (typeof featured === 'boolean') {
-      query.featured = featured;
+      query.isFeatured = featured;
     }
 
     // Text search
     if (search) {
+      const pattern = this._escapeRegex(search);
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } }
+        { title: { $regex: pattern, $options: 'i' } },
+        { excerpt: { $regex: pattern, $options: 'i' } }
       ];
     }
 
@@ -184,8 +182,8 @@ class AdminService {
     // Execute query with pagination
     const [posts, total] = await Promise.all([
       Post.find(query)
-        .populate('author', 'username displayName email')
-        .select('title excerpt status featured reportCount likeCount commentCount viewCount createdAt')
+        .populate('author', 'fullName penName email')
+        .select('title excerpt status isFeatured moderationStatus flaggedBy stats metrics.views createdAt')
         .sort(sort)
         .skip(offset || (page - 1) * limit)
         .limit(limit)
@@ -215,9 +213,10 @@ class AdminService {
    * @param {string} targetUserId - ID of user to ban/unban
    * @param {string} adminId - ID of admin performing action
    * @param {Object} actionData - Action details
+   * @param {string} actorRole - Role of the user performing the action
    * @returns {Promise<Object>} Action result
    */
-  async toggleUserBan(targetUserId, adminId, actionData) {
+  async toggleUserBan(targetUserId, adminId, actionData, actorRole) {
     const { action, reason, duration } = actionData;
 
     logger.info('Admin: Toggle user ban', { 
@@ -233,53 +232,48 @@ class AdminService {
       throw new NotFoundError('Target user not found');
     }
 
-    // Prevent admin actions on other admins
-    if (targetUser.role === 'admin') {
+    // Prevent admin actions on other admins (roles holding the wildcard permission)
+    if (await roleService.isSuperRole(targetUser.role)) {
       throw new ForbiddenError('Cannot perform admin actions on other administrators');
     }
 
+    // Only full admins can ban fellow moderators
+    const targetPermissions = await roleService.getRolePermissions(targetUser.role);
+    if (targetPermissions.has('user:ban') && !(await roleService.isSuperRole(actorRole))) {
+      throw new ForbiddenError('Cannot perform moderation actions on other moderators');
+    }
+
     // Prevent self-targeting
     if (targetUserId === adminId) {
       throw new ForbiddenError('Cannot perform admin actions on yourself');
     }
 
-    let updateData = {};
     let message = '';
 
     if (action === 'ban') {
-      updateData = {
-        isActive: false,
-        bannedAt: new Date(),
-        banReason: reason
-      };
-
-      if (duration) {
-        const banUntil = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
-        updateData.banUntil = banUntil;
-      }
+      const expiresAt = duration
+        ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000)
+        : null;
+
+      await targetUser.banUser(reason, adminId, expiresAt);
 
       message = duration 
         ? `User banned for ${duration} days` 
         : 'User banned permanently';
 
-      // Invalidate all user tokens
-      await Token.deleteMany({ user: targetUserId });
+      // Invalidate all user sessions
+      await Token.revokeAllUserTokens(targetUserId, 'admin_action', adminId);
+      realtimeService.closeSessions(targetUserId, {}, 'account_banned');
 
     } else if (action === 'unban') {
-      updateData = {
-        isActive: true,
-        $unset: { 
-          bannedAt: 1, 
-          banReason: 1, 
-          banUntil: 1 
-        }
-      };
+      if (!targetUser.isBanned) {
+        throw new ValidationError('User is not banned');
+      }
+
+      await targetUser.unbanUser(adminId);
       message = 'User unbanned successfully';
     }
 
-    // Update user
-    await User.findByIdAndUpdate(targetUserId, updateData);
-
     // Log admin action for audit
     logger.warn('Admin action performed', {
       action: `user_${action}`,
@@ -309,7 +303,7 @@ class AdminService {
   async deletePost(postId, adminId, reason) {
     logger.info('Admin: Delete post', { postId, adminId, reason });
 
-    const post = await Post.findById(postId);
+    const post = await Post.findOne({ _id: postId, deletedAt: null });
     if (!post) {
       throw new NotFoundError('Post not found');
     }
@@ -317,9 +311,12 @@ class AdminService {
     // Soft delete with admin reason
     await Post.findByIdAndUpdate(postId, {
       status: 'deleted',
+      isPublished: false,
       deletedAt: new Date(),
       deletedBy: adminId,
-      deletionReason: reason
+      moderatedBy: adminId,
+      moderatedAt: new Date(),
+      moderationNotes: reason
     });
 
     // Log admin action
@@ -350,15 +347,18 @@ class AdminService {
   async togglePostFeatured(postId, adminId, featured) {
     logger.info('Admin: Toggle post featured', { postId, adminId, featured });
 
-    const post = await Post.findById(postId);
+    const post = await Post.findOne({ _id: postId, deletedAt: null });
     if (!post) {
       throw new NotFoundError('Post not found');
     }
 
+    if (featured && post.status !== 'published') {
+      throw new ValidationError('Only published posts can be featured');
+    }
+
     await Post.findByIdAndUpdate(postId, {
-      featured,
-      featuredAt: featured ? new Date() : null,
-      featuredBy: featured ? adminId : null
+      isFeatured: featured,
+      featuredAt: featured ? new Date() : null
     });
 
     // Log admin action
@@ -419,7 +419,7 @@ class AdminService {
       // Total counts
       User.countDocuments({ isActive: true }),
       Post.countDocuments({ status: 'published' }),
-      Comment.countDocuments({}),
+      Comment.countDocuments({ deletedAt: null }),
 
       // New items in timeframe
       User.countDocuments({ 
@@ -431,7 +431,8 @@ class AdminService {
         status: 'published' 
       }),
       Comment.countDocuments({ 
-        createdAt: { $gte: startDate } 
+        createdAt: { $gte: startDate },
+        deletedAt: null
       }),
 
       // Active users (logged in within timeframe)
@@ -441,22 +442,22 @@ class AdminService {
       }),
 
       // Reported content
-      Post.countDocuments({ reportCount: { $gt: 0 } }),
-      Comment.countDocuments({ reportCount: { $gt: 0 } })
+      Post.countDocuments({ moderationStatus: 'flagged', deletedAt: null }),
+      Comment.countDocuments({ moderationStatus: 'flagged', deletedAt: null })
     ]);
 
     // Get top users by followers
     const topUsers = await User.find({ isActive: true })
-      .select('username displayName followerCount')
-      .sort({ followerCount: -1 })
+      .select('fullName penName role stats.followersCount')
+      .sort({ 'stats.followersCount': -1 })
       .limit(10)
       .lean();
 
     // Get top posts by engagement
     const topPosts = await Post.find({ status: 'published' })
-      .populate('author', 'username displayName')
-      .select('title likeCount commentCount viewCount')
-      .sort({ likeCount: -1, commentCount: -1 })
+      .populate('author', 'fullName penName')
+      .select('title stats metrics.views')
+      .sort({ 'stats.likesCount': -1, 'stats.commentsCount': -1 })
       .limit(10)
       .lean();
 
@@ -524,18 +525,20 @@ class AdminService {
     logger.info('Admin: Fetching reported content');
 
     const [reportedPosts, reportedComments] = await Promise.all([
-      Post.find({ reportCount: { $gt: 0 } })
-        .populate('author', 'username displayName')
-        .select('title excerpt reportCount reports createdAt')
-        .sort({ reportCount: -1 })
+      Post.find({ moderationStatus: 'flagged', deletedAt: null })
+        .populate('author', 'fullName penName')
+        .populate('flaggedBy.user', 'fullName penName')
+        .select('title excerpt flaggedBy createdAt')
+        .sort({ updatedAt: -1 })
         .limit(20)
         .lean(),
 
-      Comment.find({ reportCount: { $gt: 0 } })
-        .populate('author', 'username displayName')
+      Comment.find({ moderationStatus: 'flagged', deletedAt: null })
+        .populate('author', 'fullName penName')
         .populate('post', 'title')
-        .select('content reportCount reports createdAt')
-        .sort({ reportCount: -1 })
+        .populate('flaggedBy.user', 'fullName penName')
+        .select('content post flaggedBy createdAt')
+        .sort({ updatedAt: -1 })
         .limit(20)
         .lean()
     ]);
@@ -565,11 +568,7 @@ class AdminService {
     logger.info('Admin: Searching users', { query, options });
 
     const searchQuery = {
-      $or: [
-        { username: { $regex: query, $options: 'i' } },
-        { displayName: { $regex: query, $options: 'i' } },
-        { email: { $regex: query, $options: 'i' } }
-      ]
+      $or: this._buildUserSearch(query)
     };
 
     if (!includeInactive) {
@@ -577,12 +576,41 @@ class AdminService {
     }
 
     const users = await User.find(searchQuery)
-      .select('username displayName email role isActive isVerified createdAt')
+      .select('fullName penName email role isActive isVerified isBanned createdAt')
       .limit(limit)
       .lean();
 
     return users;
   }
+
+  /**
+   * Private helper methods
+   */
+
+  /**
+   * Escape user input for use inside a regular expression
+   * 
+   * @param {string} value - Raw search input
+   * @returns {string} Escaped pattern
+   */
+  _escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build the $or clause used by admin user searches
+   * 
+   * @param {string} search - Raw search input
+   * @returns {Array} Mongo $or conditions
+   */
+  _buildUserSearch(search) {
+    const pattern = this._escapeRegex(search);
+    return [
+      { fullName: { $regex: pattern, $options: 'i' } },
+      { penName: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } }
+    ];
+  }
 }
 
 module.exports = new AdminService();
@@ -8,9 +8,16 @@
  * - User registration with validation
  * - Secure login with account lockout protection
  * - JWT access and refresh token management
+ * - Refresh token rotation with reuse detection
  * - Password reset functionality
+ * - Passwordless sign-in with single-use magic links
+ * - Email address verification
+ * - Email address changes confirmed by both old and new address
+ * - TOTP two-factor authentication with recovery codes
+ * - Step-up re-authentication for sensitive operations
  * - Account security monitoring
- * - Device/session management
+ * - Device/session management (new device sign-in alerts)
+ * - Scoped personal access tokens for API integrations
  * 
  * Learning Points:
  * - Separation of concerns in service layer
@@ -26,10 +33,31 @@ const {
   AuthenticationError, 
   ConflictError, 
   ValidationError,
+  NotFoundError,
   ErrorFactory 
 } = require('../utils/errors.js');
 const User = require('../models/User.js');
 const Token = require('../models/Token.js');
+const PersonalAccessToken = require('../models/PersonalAccessToken.js');
+const mailService = require('./mail.service.js');
+const notificationService = require('./notification.service.js');
+const realtimeService = require('./realtime.service.js');
+const { getAccessKeyring, TOKEN_AUDIENCES } = require('../utils/jwt-keyring.js');
+const roleService = require('./role.service.js');
+const { SELF_REGISTRATION_ROLES } = require('../config/permissions.js');
+const { NOTIFICATION_TYPES } = require('./notification.service.js');
+const { getDeviceFingerprint, parseUserAgent } = require('../utils/device.js');
+const totp = require('../utils/totp.js');
+const { encrypt, decrypt, hashToken } = require('../utils/encryption.js');
+
+// Password reset links stay valid for one hour
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Most recently seen devices remembered per account
+const MAX_KNOWN_DEVICES = 20;
+
+// Usable personal access tokens allowed per account
+const MAX_PERSONAL_ACCESS_TOKENS = 20;
 
 /**
  * 🔧 Authentication Service Class
@@ -39,7 +67,7 @@ class AuthService {
   /**
    * 👤 Register a new user
    */
-  async registerUser(userData) {
+  async registerUser(userData, deviceInfo = {}) {
     const { email, password, role, ...otherData } = userData;
     
     try {
@@ -49,11 +77,11 @@ class AuthService {
         throw new ConflictError('An account with this email already exists');
       }
       
-      // Create user based on role
+      // Sign-up can't grant staff roles, whatever the request says
       const user = new User({
         email: email.toLowerCase(),
         password,
-        role,
+        role: SELF_REGISTRATION_ROLES.includes(role) ? role : 'reader',
         ...otherData,
       });
       
@@ -61,7 +89,8 @@ class AuthService {
       await user.save();
       
       // Generate tokens
-      const tokens = await this.generateTokens(user);
+      const tokens = await this.generateTokens(user, deviceInfo);
+      await this.recordLoginDevice(user, deviceInfo, { notify: false });
       
       // Log successful registration
       appLogger.info('User registered successfully', {
@@ -70,6 +99,16 @@ class AuthService {
         role: user.role,
       });
       
+      // Emails must never fail the registration itself (verification can be resent)
+      mailService.sendWelcome(user).catch(error => {
+        appLogger.error('Failed to queue welcome email', { userId: user._id, error: error.message });
+      });
+      if (!user.isVerified) {
+        this.issueEmailVerification(user).catch(error => {
+          appLogger.error('Failed to issue email verification', { userId: user._id, error: error.message });
+        });
+      }
+      
       return {
         user: this.sanitizeUser(user),
         tokens,
@@ -137,8 +176,22 @@ class AuthService {
       // Reset login attempts on successful login
       await user.resetLoginAttempts();
       
+      // Second factor required: hand out a short-lived challenge instead of tokens
+      if (user.twoFactor?.enabled) {
+        appLogger.logAuth('two_factor_challenge_issued', {
+          userId: user._id,
+        });
+        
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user),
+          expiresIn: CONFIG.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+        };
+      }
+      
       // Generate tokens
       const tokens = await this.generateTokens(user, deviceInfo);
+      await this.recordLoginDevice(user, deviceInfo);
       
       // Log successful login
       appLogger.info('User logged in successfully', {
@@ -165,37 +218,88 @@ class AuthService {
   }
   
   /**
-   * 🔄 Refresh access token
+   * 🔄 Refresh access token (rotating the refresh token)
+   * 
+   * Every refresh token belongs to a family started at login. Each refresh
+   * revokes the presented token and issues its successor in the same family.
+   * A rotated token should never be seen again: if it is, someone kept a copy,
+   * so the whole family is revoked and every device of that session must log in again.
+   *
+   * The presented token is claimed with a single conditional update, so two
+   * concurrent refreshes with the same token can't both succeed: the loser
+   * finds it already revoked and is treated as reuse.
    */
   async refreshToken(refreshTokenString, deviceInfo = {}) {
     try {
-      // Find and validate refresh token
-      const tokenDoc = await Token.findValidToken(refreshTokenString, 'refresh');
-      if (!tokenDoc) {
+      const tokenDoc = await Token.findOne({ token: refreshTokenString, tokenType: 'refresh' });
+      if (!tokenDoc || tokenDoc.isExpired) {
         throw new AuthenticationError('Invalid or expired refresh token');
       }
       
+      // Tokens issued before rotation existed start their own family
+      const familyId = tokenDoc.metadata?.familyId || tokenDoc._id.toString();
+      
+      const claimed = await Token.findOneAndUpdate(
+        {
+          token: refreshTokenString,
+          tokenType: 'refresh',
+          isActive: true,
+          revokedAt: { $exists: false },
+        },
+        {
+          $set: {
+            isActive: false,
+            revokedAt: new Date(),
+            revocationReason: 'rotated',
+          },
+        }
+      );
+      
+      if (!claimed) {
+        await Token.revokeFamily(familyId, 'security_breach');
+        if (tokenDoc.sessionId) {
+          realtimeService.closeSessions(tokenDoc.user, { sessionId: tokenDoc.sessionId });
+        }
+        
+        appLogger.logSecurity('refresh_token_reuse_detected', 'high', {
+          userId: tokenDoc.user,
+          familyId,
+          tokenId: tokenDoc._id,
+          sessionId: tokenDoc.sessionId,
+          previousRevocationReason: tokenDoc.revocationReason,
+          deviceInfo,
+        });
+        
+        throw new AuthenticationError('Refresh token has already been used, please log in again');
+      }
+      
       // Get user
       const user = await User.findById(tokenDoc.user);
       if (!user || !user.isActive) {
         throw new AuthenticationError('User account is not active');
       }
       
-      // Update token usage
-      await tokenDoc.use();
-      
-      // Generate new access token
-      const accessToken = user.generateAccessToken();
+      // The presented token is retired; issue its successor in the same family
+      const tokens = await this.generateTokens(user, deviceInfo, {
+        sessionId: tokenDoc.sessionId,
+        familyId,
+        parentId: tokenDoc._id,
+        generation: (tokenDoc.metadata?.generation || 0) + 1,
+        sessionStartedAt: tokenDoc.metadata?.sessionStartedAt || tokenDoc.createdAt,
+      });
       
       // Log token refresh
       appLogger.logAuth('token_refreshed', {
         userId: user._id,
         sessionId: tokenDoc.sessionId,
+        familyId,
         deviceInfo,
       });
       
       return {
-        accessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
         user: this.sanitizeUser(user),
       };
       
@@ -234,6 +338,7 @@ class AuthService {
             }
           }
         );
+        realtimeService.closeSessions(userId, { sessionId }, 'logged_out');
       }
       
       // Log logout
@@ -261,6 +366,8 @@ class AuthService {
     try {
       // Revoke all user tokens
       await Token.revokeAllUserTokens(userId, 'logout_all_devices');
+      await PersonalAccessToken.revokeAllForUser(userId);
+      realtimeService.closeSessions(userId, {}, 'logged_out');
       
       // Log logout from all devices
       appLogger.logAuth('user_logged_out_all_devices', {
@@ -303,6 +410,8 @@ class AuthService {
       
       // Revoke all existing tokens (force re-login)
       await Token.revokeAllUserTokens(userId, 'password_change');
+      await PersonalAccessToken.revokeAllForUser(userId);
+      realtimeService.closeSessions(userId, {}, 'password_changed');
       
       // Log password change
       appLogger.logSecurity('password_changed', 'medium', {
@@ -341,11 +450,11 @@ class AuthService {
         token: resetToken,
         tokenType: 'reset_password',
         user: user._id,
-        expiresAt: new Date(Date.now() + 60 * 60 * 1000), // 1 hour
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
       });
       
-      // In a real application, you would send an email here
-      // For now, we'll just log it
+      await mailService.sendPasswordReset(user, resetToken, RESET_TOKEN_TTL_MINUTES);
+      
       appLogger.logBusiness('password_reset_requested', {
         userId: user._id,
         email: user.email,
@@ -369,20 +478,16 @@ class AuthService {
   /**
    * 🔐 Reset password with token
    */
-  async resetPassword(email, resetToken, newPassword) {
+  async resetPassword(resetToken, newPassword) {
     try {
-      // Find user
-      const user = await User.findOne({ email: email.toLowerCase() });
-      if (!user) {
-        throw new AuthenticationError('Invalid reset token');
-      }
-      
-      // Find and validate reset token
+      // Find and validate reset token (the emailed link carries only the token)
       const tokenDoc = await Token.findValidToken(resetToken, 'reset_password');
-      if (!tokenDoc || !tokenDoc.user.equals(user._id)) {
+      if (!tokenDoc || !tokenDoc.user) {
         throw new AuthenticationError('Invalid or expired reset token');
       }
       
+      const user = tokenDoc.user;
+      
       // Update password
       user.password = newPassword;
       user.passwordChangedAt = new Date();
@@ -392,7 +497,9 @@ class AuthService {
       await tokenDoc.revoke('used');
       
       // Revoke all existing tokens (force re-login)
-      await Token.revokeAllUserTokens(user._id, 'password_reset');
+      await Token.revokeAllUserTokens(user._id, 'password_change');
+      await PersonalAccessToken.revokeAllForUser(user._id);
+      realtimeService.closeSessions(user._id, {}, 'password_changed');
       
       // Log password reset
       appLogger.logSecurity('password_reset_completed', 'medium', {
@@ -404,7 +511,6 @@ class AuthService {
       
     } catch (error) {
       appLogger.logSecurity('password_reset_failed', 'medium', {
-        email,
         error: error.message,
       });
       
@@ -413,45 +519,55 @@ class AuthService {
   }
   
   /**
-   * 👤 Get user profile
+   * ✨ Request a passwordless sign-in link
+   * Answers the same whether or not the account exists.
    */
-  async getUserProfile(userId) {
+  async requestMagicLink(email, deviceInfo = {}) {
+    const response = { message: 'If an account with that email exists, a sign-in link has been sent.' };
+    
     try {
-      const user = await User.findById(userId).select('-password');
-      if (!user) {
-        throw new AuthenticationError('User not found');
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || !user.isActive || user.deletedAt || user.isCurrentlyBanned) {
+        return response;
       }
       
-      return this.sanitizeUser(user);
+      // An unverified account may have been registered by someone else with this address
+      if (!user.isVerified && CONFIG.REQUIRE_EMAIL_VERIFICATION) {
+        appLogger.logAuth('magic_link_skipped_unverified', {
+          userId: user._id,
+        });
+        
+        return response;
+      }
       
-    } catch (error) {
-      appLogger.error('Get user profile failed', {
-        userId,
-        error: error.message,
+      // Only the latest link works
+      await Token.updateMany(
+        { user: user._id, tokenType: 'magic_link', isActive: true },
+        { $set: { isActive: false, revokedAt: new Date(), revocationReason: 'other' } }
+      );
+      
+      const loginToken = crypto.randomBytes(32).toString('hex');
+      
+      await Token.createToken({
+        token: loginToken,
+        tokenType: 'magic_link',
+        user: user._id,
+        deviceInfo,
+        expiresAt: new Date(Date.now() + CONFIG.MAGIC_LINK_TOKEN_MINUTES * 60 * 1000),
       });
       
-      throw error;
-    }
-  }
-  
-  /**
-   * 📱 Get user sessions
-   */
-  async getUserSessions(userId) {
-    try {
-      const sessions = await Token.getUserActiveSessions(userId);
+      await mailService.sendMagicLink(user, loginToken, CONFIG.MAGIC_LINK_TOKEN_MINUTES);
       
-      return sessions.map(session => ({
-        sessionId: session.sessionId,
-        deviceInfo: session.deviceInfo,
-        createdAt: session.createdAt,
-        lastUsedAt: session.lastUsedAt,
-        expiresAt: session.expiresAt,
-      }));
+      appLogger.logAuth('magic_link_requested', {
+        userId: user._id,
+        deviceInfo,
+      });
+      
+      return response;
       
     } catch (error) {
-      appLogger.error('Get user sessions failed', {
-        userId,
+      appLogger.error('Magic link request failed', {
+        email,
         error: error.message,
       });
       
@@ -460,38 +576,89 @@ class AuthService {
   }
   
   /**
-   * 🔐 Revoke session
+   * 🔑 Sign in with a magic link token
+   * Applies the same account checks as a password login. Accounts with 2FA
+   * still get a challenge: the link replaces the password, not the second factor.
    */
-  async revokeSession(userId, sessionId) {
+  async loginWithMagicLink(loginToken, deviceInfo = {}) {
     try {
-      const result = await Token.updateMany(
-        { 
-          user: userId, 
-          sessionId, 
-          isActive: true 
-        },
-        { 
-          $set: { 
-            isActive: false, 
+      const usableToken = {
+        token: loginToken,
+        tokenType: 'magic_link',
+        isActive: true,
+        expiresAt: { $gt: new Date() },
+      };
+      
+      // Check the account before claiming, so a locked or banned account keeps its link
+      const pendingToken = await Token.findOne(usableToken).select('user');
+      if (!pendingToken) {
+        throw new AuthenticationError('Invalid or expired sign-in link');
+      }
+      
+      const user = await User.findById(pendingToken.user);
+      if (!user || !user.isActive || user.deletedAt) {
+        throw new AuthenticationError('Invalid or expired sign-in link');
+      }
+      
+      if (user.isLocked) {
+        throw new AuthenticationError('Account is temporarily locked due to too many failed attempts');
+      }
+      
+      if (user.isCurrentlyBanned) {
+        throw new AuthenticationError('Account is banned');
+      }
+      
+      this.assertAccountStatus(user);
+      
+      // Claim the token atomically so a link works once, even under parallel requests
+      const tokenDoc = await Token.findOneAndUpdate(
+        usableToken,
+        {
+          $set: {
+            isActive: false,
             revokedAt: new Date(),
-            revocationReason: 'manual_revocation'
-          }
-        }
+            revocationReason: 'used',
+            lastUsedAt: new Date(),
+          },
+          $inc: { usageCount: 1 },
+        },
+        { new: true }
       );
       
-      appLogger.logAuth('session_revoked', {
-        userId,
-        sessionId,
-        revokedTokens: result.modifiedCount,
+      if (!tokenDoc) {
+        throw new AuthenticationError('Invalid or expired sign-in link');
+      }
+      
+      if (user.twoFactor?.enabled) {
+        appLogger.logAuth('two_factor_challenge_issued', {
+          userId: user._id,
+          method: 'magic_link',
+        });
+        
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user),
+          expiresIn: CONFIG.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+        };
+      }
+      
+      const tokens = await this.generateTokens(user, deviceInfo);
+      await this.recordLoginDevice(user, deviceInfo);
+      
+      appLogger.logAuth('magic_link_login', {
+        userId: user._id,
+        deviceInfo,
       });
       
-      return { message: 'Session revoked successfully' };
+      return {
+        user: this.sanitizeUser(user),
+        tokens,
+      };
       
     } catch (error) {
-      appLogger.error('Revoke session failed', {
-        userId,
-        sessionId,
+      appLogger.logAuth('magic_link_login_failed', {
         error: error.message,
+        deviceInfo,
       });
       
       throw error;
@@ -499,82 +666,1014 @@ class AuthService {
   }
   
   /**
-   * 🔧 Private Helper Methods
-   */
-  
-  /**
-   * Generate access and refresh tokens
+   * ✉️ Issue a new email verification token and email it
+   * Earlier verification links stop working.
    */
-  async generateTokens(user, deviceInfo = {}) {
-    const sessionId = crypto.randomBytes(16).toString('hex');
-    
-    // Generate access token
-    const accessToken = user.generateAccessToken();
+  async issueEmailVerification(user) {
+    await Token.updateMany(
+      { user: user._id, tokenType: 'email_verification', isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revocationReason: 'other' } }
+    );
     
-    // Generate refresh token
-    const refreshToken = user.generateRefreshToken();
+    const verificationToken = crypto.randomBytes(32).toString('hex');
     
-    // Store refresh token in database
     await Token.createToken({
-      token: refreshToken,
-      tokenType: 'refresh',
+      token: verificationToken,
+      tokenType: 'email_verification',
       user: user._id,
-      sessionId,
-      deviceInfo,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+      expiresAt: new Date(Date.now() + CONFIG.EMAIL_VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000),
     });
     
-    return {
-      accessToken,
-      refreshToken,
-      sessionId,
-      expiresIn: CONFIG.JWT_EXPIRES_IN,
-    };
+    await mailService.sendEmailVerification(user, verificationToken, CONFIG.EMAIL_VERIFICATION_TOKEN_HOURS);
+    
+    appLogger.logBusiness('email_verification_issued', {
+      userId: user._id,
+    });
+    
+    return { message: 'Verification email sent.' };
   }
   
   /**
-   * Remove sensitive data from user object
+   * ✅ Verify email address with token
    */
-  sanitizeUser(user) {
-    const sanitized = user.toObject();
-    delete sanitized.password;
-    delete sanitized.loginAttempts;
-    delete sanitized.lockUntil;
-    delete sanitized.__v;
-    return sanitized;
+  async verifyEmail(verificationToken) {
+    try {
+      const tokenDoc = await Token.findValidToken(verificationToken, 'email_verification');
+      if (!tokenDoc || !tokenDoc.user) {
+        throw new AuthenticationError('Invalid or expired verification token');
+      }
+      
+      const user = tokenDoc.user;
+      if (!user.isVerified) {
+        user.isVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+      
+      await tokenDoc.revoke('used');
+      
+      appLogger.logSecurity('email_verified', 'low', {
+        userId: user._id,
+      });
+      
+      return { message: 'Email verified successfully.' };
+      
+    } catch (error) {
+      appLogger.logSecurity('email_verification_failed', 'low', {
+        error: error.message,
+      });
+      
+      throw error;
+    }
   }
   
   /**
-   * Validate user data for registration
+   * 🔁 Resend the verification email to the current user
    */
-  validateRegistrationData(userData) {
-    const { email, password, role, fullName } = userData;
-    
-    const errors = [];
-    
-    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      errors.push({ field: 'email', message: 'Valid email is required' });
-    }
-    
-    if (!password || password.length < 8) {
-      errors.push({ 
-        field: 'password', 
-        message: 'Password must be at least 8 characters' 
-      });
+  async resendVerificationEmail(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User');
     }
     
-    if (!role || !['reader', 'writer'].includes(role)) {
-      errors.push({ field: 'role', message: 'Role must be either reader or writer' });
+    if (user.isVerified) {
+      throw new ConflictError('Email address is already verified');
     }
     
-    if (!fullName || fullName.trim().length < 2) {
-      errors.push({ field: 'fullName', message: 'Full name must be at least 2 characters' });
+    return this.issueEmailVerification(user);
+  }
+
+  /**
+   * 📨 Request an email change
+   * Emails a confirmation link to the new address and an alert with a cancel
+   * link to the current one. The email only changes once confirmed; the cancel
+   * link keeps working after that, to take the account back.
+   */
+  async requestEmailChange(userId, currentPassword, newEmail) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        throw new AuthenticationError('Current password is incorrect');
+      }
+
+      const email = newEmail.toLowerCase();
+      if (email === user.email) {
+        throw new ValidationError('The new email address is the same as the current one');
+      }
+
+      const emailTaken = await User.exists({ email });
+      if (emailTaken) {
+        throw new ConflictError('This email address is already in use');
+      }
+
+      // Only the latest request can be confirmed or cancelled. Revert links of
+      // confirmed changes stay valid: a new request must not disarm them.
+      await this.revokeEmailChangeTokens({ user: user._id, 'metadata.confirmedAt': { $exists: false } });
+
+      const requestId = crypto.randomUUID();
+      const confirmToken = crypto.randomBytes(32).toString('hex');
+      const cancelToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + CONFIG.EMAIL_CHANGE_TOKEN_HOURS * 60 * 60 * 1000);
+      const metadata = { requestId, newEmail: email, previousEmail: user.email };
+
+      await Token.createToken({ token: confirmToken, tokenType: 'email_change', user: user._id, expiresAt, metadata });
+      await Token.createToken({ token: cancelToken, tokenType: 'email_change_cancel', user: user._id, expiresAt, metadata });
+
+      await mailService.sendEmailChangeConfirmation(user, email, confirmToken, CONFIG.EMAIL_CHANGE_TOKEN_HOURS);
+      await mailService.sendEmailChangeAlert(user, email, cancelToken, CONFIG.EMAIL_CHANGE_TOKEN_HOURS);
+
+      appLogger.logSecurity('email_change_requested', 'medium', {
+        userId: user._id,
+        requestId,
+      });
+
+      return { message: `We sent a confirmation link to ${email}. Your email changes once you confirm it.` };
+
+    } catch (error) {
+      appLogger.logSecurity('email_change_request_failed', 'low', {
+        userId,
+        error: error.message,
+      });
+
+      throw error;
     }
-    
-    if (errors.length > 0) {
-      throw new ValidationError('Registration validation failed', errors);
+  }
+
+  /**
+   * ✅ Confirm an email change with the token sent to the new address
+   * The cancel link sent to the previous address stays valid for its full
+   * lifetime and now reverts the change (see cancelEmailChange).
+   */
+  async confirmEmailChange(confirmToken) {
+    try {
+      const tokenDoc = await Token.findValidToken(confirmToken, 'email_change');
+      if (!tokenDoc || !tokenDoc.user) {
+        throw new AuthenticationError('Invalid or expired email change link');
+      }
+
+      const user = tokenDoc.user;
+      const { requestId, newEmail } = tokenDoc.metadata;
+
+      const emailTaken = await User.exists({ email: newEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        await this.revokeEmailChangeTokens({ 'metadata.requestId': requestId });
+        throw new ConflictError('This email address is already in use');
+      }
+
+      const previousEmail = user.email;
+
+      // Following the link proves the user owns the new address
+      user.email = newEmail;
+      user.isVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      const confirmedAt = new Date();
+      await tokenDoc.revoke('used');
+      await Token.updateOne(
+        { 'metadata.requestId': requestId, tokenType: 'email_change_cancel', isActive: true },
+        { $set: { 'metadata.confirmedAt': confirmedAt, 'metadata.previousEmail': previousEmail } }
+      );
+
+      appLogger.logSecurity('email_changed', 'medium', {
+        userId: user._id,
+        requestId,
+        previousEmail,
+      });
+
+      return { message: 'Email address changed successfully.', email: newEmail };
+
+    } catch (error) {
+      appLogger.logSecurity('email_change_confirm_failed', 'low', {
+        error: error.message,
+      });
+
+      throw error;
     }
   }
+
+  /**
+   * 🚫 Cancel an email change with the token sent to the previous address
+   * Before confirmation this drops the request. After confirmation the change
+   * is reverted and every session is signed out, since whoever made it may
+   * still be signed in.
+   */
+  async cancelEmailChange(cancelToken) {
+    try {
+      const tokenDoc = await Token.findValidToken(cancelToken, 'email_change_cancel');
+      if (!tokenDoc || !tokenDoc.user) {
+        throw new AuthenticationError('Invalid or expired cancel link');
+      }
+
+      const { requestId, confirmedAt } = tokenDoc.metadata;
+      if (confirmedAt) {
+        return this.revertEmailChange(tokenDoc);
+      }
+
+      await this.revokeEmailChangeTokens({ 'metadata.requestId': requestId });
+
+      // The request came from a signed-in session the owner may not recognise
+      appLogger.logSecurity('email_change_cancelled', 'high', {
+        userId: tokenDoc.user._id,
+        requestId,
+      });
+
+      return { message: 'Email change cancelled. If you did not request it, change your password now.' };
+
+    } catch (error) {
+      appLogger.logSecurity('email_change_cancel_failed', 'low', {
+        error: error.message,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * ↩️ Move the account back to its previous address and sign out everywhere
+   */
+  async revertEmailChange(tokenDoc) {
+    const user = tokenDoc.user;
+    const { requestId, previousEmail } = tokenDoc.metadata;
+
+    const emailTaken = await User.exists({ email: previousEmail, _id: { $ne: user._id } });
+    if (emailTaken) {
+      throw new ConflictError('Your previous email address is now used by another account, contact support');
+    }
+
+    const changedEmail = user.email;
+    user.email = previousEmail;
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    await tokenDoc.revoke('used');
+    await Token.revokeAllUserTokens(user._id, 'security_breach');
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    realtimeService.closeSessions(user._id, {}, 'session_revoked');
+
+    appLogger.logSecurity('email_change_reverted', 'high', {
+      userId: user._id,
+      requestId,
+      changedEmail,
+    });
+
+    return { message: 'Your email address was changed back and every session was signed out. Change your password now.' };
+  }
+
+  /**
+   * Revoke active email change tokens (confirm and cancel) matching a filter
+   */
+  async revokeEmailChangeTokens(filter, reason = 'other') {
+    return Token.updateMany(
+      { ...filter, tokenType: { $in: ['email_change', 'email_change_cancel'] }, isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revocationReason: reason } }
+    );
+  }
+
+  /**
+   * 📱 Start 2FA enrolment: create a secret to scan into an authenticator app
+   * 2FA is only switched on once confirm2FA() receives a valid code.
+   */
+  async enable2FA(userId, password) {
+    const user = await User.findById(userId).select('+password');
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    
+    if (!(await user.comparePassword(password))) {
+      throw new AuthenticationError('Invalid password');
+    }
+    
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+    
+    appLogger.logSecurity('two_factor_setup_started', 'low', {
+      userId: user._id,
+    });
+    
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: CONFIG.TWO_FACTOR_ISSUER,
+      }),
+    };
+  }
+  
+  /**
+   * ✅ Finish 2FA enrolment with a code from the authenticator app
+   * Returns the recovery codes; they are never shown again.
+   */
+  async confirm2FA(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      throw new ValidationError('Start two-factor setup before confirming it');
+    }
+    
+    const step = totp.verifyCode(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new AuthenticationError('Invalid verification code');
+    }
+    
+    const recoveryCodes = this.generateRecoveryCodes();
+    
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => ({
+        hash: hashToken(this.normalizeRecoveryCode(recoveryCode)),
+      })),
+    };
+    await user.save();
+    
+    appLogger.logSecurity('two_factor_enabled', 'medium', {
+      userId: user._id,
+    });
+    
+    return { recoveryCodes };
+  }
+  
+  /**
+   * 📴 Disable 2FA (password and a current code or recovery code required)
+   */
+  async disable2FA(userId, password, code) {
+    const user = await User.findById(userId)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    
+    if (!user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is not enabled');
+    }
+    
+    if (!(await user.comparePassword(password))) {
+      throw new AuthenticationError('Invalid password');
+    }
+    
+    if (!(await this.verifySecondFactor(user, code))) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    appLogger.logSecurity('two_factor_disabled', 'high', {
+      userId: user._id,
+    });
+    
+    return { message: 'Two-factor authentication disabled.' };
+  }
+  
+  /**
+   * 🔐 Complete a 2FA login: exchange challenge token + code for tokens
+   */
+  async verify2FA(challengeToken, code, deviceInfo = {}) {
+    let userId;
+    
+    try {
+      const decoded = getAccessKeyring().verify(challengeToken, { audience: TOKEN_AUDIENCES.twoFactorChallenge });
+      if (decoded.purpose !== '2fa_challenge') {
+        throw new Error('Wrong token purpose');
+      }
+      userId = decoded.sub;
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired two-factor challenge, please log in again');
+    }
+    
+    try {
+      const user = await User.findById(userId)
+        .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+      if (!user || !user.isActive || !user.twoFactor?.enabled) {
+        throw new AuthenticationError('Invalid or expired two-factor challenge, please log in again');
+      }
+      
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (user.isLocked) {
+        throw new AuthenticationError('Account is temporarily locked due to too many failed attempts');
+      }
+      
+      const method = await this.verifySecondFactor(user, code);
+      if (!method) {
+        await user.incLoginAttempts();
+        throw new AuthenticationError('Invalid two-factor code');
+      }
+      
+      await user.resetLoginAttempts();
+      
+      const tokens = await this.generateTokens(user, deviceInfo);
+      await this.recordLoginDevice(user, deviceInfo);
+      
+      appLogger.logSecurity('two_factor_login_succeeded', method === 'recovery_code' ? 'medium' : 'low', {
+        userId: user._id,
+        method,
+      });
+      
+      return {
+        user: this.sanitizeUser(user),
+        tokens,
+      };
+      
+    } catch (error) {
+      appLogger.logSecurity('two_factor_login_failed', 'medium', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🛡️ Step-up re-authentication
+   * Re-checks the password (or a 2FA code) of a signed-in user and returns a
+   * short-lived elevated token bound to the current session. Sensitive routes
+   * require it through the requireStepUp middleware.
+   */
+  async stepUp(userId, sessionId, { password, code } = {}) {
+    try {
+      const user = await User.findById(userId)
+        .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+      
+      if (user.isLocked) {
+        throw new AuthenticationError('Account is temporarily locked due to too many failed attempts');
+      }
+      
+      let method = null;
+      if (code) {
+        if (!user.twoFactor?.enabled) {
+          throw new ValidationError('Two-factor authentication is not enabled, confirm with your password instead');
+        }
+        method = await this.verifySecondFactor(user, code);
+      } else if (await user.comparePassword(password)) {
+        method = 'password';
+      }
+      
+      // Wrong answers count towards the same lockout as failed logins
+      if (!method) {
+        await user.incLoginAttempts();
+        throw new AuthenticationError(code ? 'Invalid two-factor code' : 'Invalid password');
+      }
+      
+      await user.resetLoginAttempts();
+      
+      const stepUpToken = getAccessKeyring().sign(
+        { sub: user._id.toString(), sid: sessionId || null, purpose: 'step_up', method },
+        { expiresIn: CONFIG.STEP_UP_EXPIRES_IN, audience: TOKEN_AUDIENCES.stepUp }
+      );
+      
+      appLogger.logSecurity('step_up_granted', 'low', {
+        userId: user._id,
+        sessionId,
+        method,
+      });
+      
+      return {
+        stepUpToken,
+        expiresIn: CONFIG.STEP_UP_EXPIRES_IN,
+      };
+      
+    } catch (error) {
+      appLogger.logSecurity('step_up_failed', 'medium', {
+        userId,
+        sessionId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔍 Check a step-up token against the signed-in user and session
+   * 
+   * @returns {Object|null} Decoded token, or null if invalid, expired or minted for another session
+   */
+  verifyStepUpToken(stepUpToken, userId, sessionId) {
+    try {
+      const decoded = getAccessKeyring().verify(stepUpToken, { audience: TOKEN_AUDIENCES.stepUp });
+      
+      if (decoded.purpose !== 'step_up' ||
+          decoded.sub !== userId.toString() ||
+          decoded.sid !== (sessionId || null)) {
+        return null;
+      }
+      
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * 👤 Get user profile
+   */
+  async getUserProfile(userId) {
+    try {
+      const user = await User.findById(userId).select('-password');
+      if (!user) {
+        throw new AuthenticationError('User not found');
+      }
+      
+      return this.sanitizeUser(user);
+      
+    } catch (error) {
+      appLogger.error('Get user profile failed', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 📱 Get user sessions
+   */
+  async getUserSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Token.getUserActiveSessions(userId);
+      
+      return sessions.map(session => ({
+        sessionId: session.sessionId,
+        current: !!currentSessionId && session.sessionId === currentSessionId,
+        device: parseUserAgent(session.deviceInfo?.userAgent),
+        ipAddress: session.deviceInfo?.ipAddress,
+        startedAt: session.metadata?.sessionStartedAt || session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+      }));
+      
+    } catch (error) {
+      appLogger.error('Get user sessions failed', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔐 Revoke session
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const result = await Token.updateMany(
+        { 
+          user: userId, 
+          tokenType: 'refresh',
+          sessionId, 
+          isActive: true 
+        },
+        { 
+          $set: { 
+            isActive: false, 
+            revokedAt: new Date(),
+            revocationReason: 'logout'
+          }
+        }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new NotFoundError('Session');
+      }
+      
+      realtimeService.closeSessions(userId, { sessionId });
+      
+      appLogger.logAuth('session_revoked', {
+        userId,
+        sessionId,
+        revokedTokens: result.modifiedCount,
+      });
+      
+      return { message: 'Session revoked successfully' };
+      
+    } catch (error) {
+      appLogger.error('Revoke session failed', {
+        userId,
+        sessionId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔐 Revoke every session except the current one
+   * Needs the current session ID: without it the caller's own session would go too.
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    try {
+      if (!currentSessionId) {
+        throw new ValidationError('The current session is unknown; sign in again and retry');
+      }
+      
+      const filter = { user: userId, tokenType: 'refresh', isActive: true, sessionId: { $ne: currentSessionId } };
+      
+      const result = await Token.updateMany(filter, {
+        $set: {
+          isActive: false,
+          revokedAt: new Date(),
+          revocationReason: 'logout',
+        }
+      });
+      
+      realtimeService.closeSessions(userId, { exceptSessionId: currentSessionId });
+      
+      appLogger.logSecurity('other_sessions_revoked', 'medium', {
+        userId,
+        currentSessionId,
+        revokedTokens: result.modifiedCount,
+      });
+      
+      return { revokedCount: result.modifiedCount };
+      
+    } catch (error) {
+      appLogger.error('Revoke other sessions failed', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔑 Create a personal access token
+   * The raw token is returned once and never stored.
+   */
+  async createPersonalAccessToken(userId, { name, scopes, expiresInDays }) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError('User');
+      }
+      
+      // A token can never do more than its owner's role allows
+      const allowed = await roleService.getRolePermissions(user.role);
+      const forbidden = scopes.filter(scope => !allowed.has(scope));
+      if (forbidden.length > 0) {
+        throw new ValidationError(`Your role cannot grant these scopes: ${forbidden.join(', ')}`);
+      }
+      
+      const activeCount = await PersonalAccessToken.countActive(userId);
+      if (activeCount >= MAX_PERSONAL_ACCESS_TOKENS) {
+        throw new ConflictError(
+          `You can have at most ${MAX_PERSONAL_ACCESS_TOKENS} active tokens. Revoke one before creating another.`
+        );
+      }
+      
+      const { token, tokenHash, prefix } = PersonalAccessToken.generate();
+      const tokenDoc = await PersonalAccessToken.create({
+        user: userId,
+        name,
+        tokenHash,
+        prefix,
+        scopes,
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null,
+      });
+      
+      appLogger.logSecurity('personal_access_token_created', 'medium', {
+        userId,
+        tokenId: tokenDoc._id,
+        scopes,
+        expiresAt: tokenDoc.expiresAt,
+      });
+      
+      return {
+        token,
+        personalAccessToken: this.formatPersonalAccessToken(tokenDoc),
+      };
+      
+    } catch (error) {
+      appLogger.error('Create personal access token failed', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔑 List a user's personal access tokens (never the token values)
+   */
+  async listPersonalAccessTokens(userId) {
+    try {
+      const tokens = await PersonalAccessToken.find({ user: userId, revokedAt: null })
+        .sort({ createdAt: -1 });
+      
+      return tokens.map(tokenDoc => this.formatPersonalAccessToken(tokenDoc));
+      
+    } catch (error) {
+      appLogger.error('List personal access tokens failed', {
+        userId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 🔑 Revoke a personal access token
+   */
+  async revokePersonalAccessToken(userId, tokenId) {
+    try {
+      const tokenDoc = await PersonalAccessToken.findOneAndUpdate(
+        { _id: tokenId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      
+      if (!tokenDoc) {
+        throw new NotFoundError('Personal access token');
+      }
+      
+      appLogger.logSecurity('personal_access_token_revoked', 'medium', {
+        userId,
+        tokenId,
+      });
+      
+      return { message: 'Personal access token revoked successfully' };
+      
+    } catch (error) {
+      appLogger.error('Revoke personal access token failed', {
+        userId,
+        tokenId,
+        error: error.message,
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 📱 Remember the device a user signed in from
+   * Sends a "new sign-in" notification for devices not seen before (except
+   * the very first one, so existing accounts aren't alerted on their next login).
+   * Never fails the login itself.
+   */
+  async recordLoginDevice(user, deviceInfo = {}, { notify = true } = {}) {
+    try {
+      const fingerprint = getDeviceFingerprint(deviceInfo);
+      const now = new Date();
+      
+      const seen = await User.updateOne(
+        { _id: user._id, 'knownDevices.fingerprint': fingerprint },
+        { $set: { 'knownDevices.$.lastSeenAt': now } }
+      );
+      if (seen.matchedCount > 0) {
+        return { newDevice: false };
+      }
+      
+      const { knownDevices = [] } = await User.findById(user._id).select('+knownDevices').lean();
+      
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $push: {
+            knownDevices: {
+              $each: [{
+                fingerprint,
+                browser: deviceInfo.browser,
+                os: deviceInfo.os,
+                platform: deviceInfo.platform,
+                firstSeenAt: now,
+                lastSeenAt: now,
+              }],
+              $slice: -MAX_KNOWN_DEVICES,
+            }
+          }
+        }
+      );
+      
+      if (notify && knownDevices.length > 0) {
+        const device = `${deviceInfo.browser || 'Unknown browser'} on ${deviceInfo.os || 'unknown OS'}`;
+        
+        await notificationService.createNotification({
+          recipientId: user._id,
+          type: NOTIFICATION_TYPES.SYSTEM,
+          title: 'New sign-in to your account',
+          message: `New sign-in from ${device}${deviceInfo.ipAddress ? ` (${deviceInfo.ipAddress})` : ''}. If this wasn't you, change your password and sign out of other sessions.`,
+          relatedType: 'system',
+          metadata: {
+            event: 'new_device_login',
+            device: {
+              browser: deviceInfo.browser,
+              os: deviceInfo.os,
+              platform: deviceInfo.platform,
+            },
+            ipAddress: deviceInfo.ipAddress,
+          },
+        });
+        
+        appLogger.logSecurity('new_device_login', 'medium', {
+          userId: user._id,
+          browser: deviceInfo.browser,
+          os: deviceInfo.os,
+          ipAddress: deviceInfo.ipAddress,
+        });
+      }
+      
+      return { newDevice: true };
+      
+    } catch (error) {
+      appLogger.error('Failed to record login device', {
+        userId: user._id,
+        error: error.message,
+      });
+      
+      return { newDevice: false };
+    }
+  }
+  
+  /**
+   * 🔧 Private Helper Methods
+   */
+  
+  /**
+   * Generate access and refresh tokens
+   * Without `rotation`, a new session and refresh token family are started.
+   */
+  async generateTokens(user, deviceInfo = {}, rotation = {}) {
+    const sessionId = rotation.sessionId || crypto.randomBytes(16).toString('hex');
+    
+    // Generate access token
+    const accessToken = user.generateAccessToken(sessionId);
+    
+    // Generate refresh token
+    const refreshToken = user.generateRefreshToken();
+    
+    // Store refresh token in database
+    await Token.createToken({
+      token: refreshToken,
+      tokenType: 'refresh',
+      user: user._id,
+      sessionId,
+      deviceInfo,
+      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+      metadata: {
+        familyId: rotation.familyId || crypto.randomUUID(),
+        parentId: rotation.parentId || null,
+        generation: rotation.generation || 0,
+        sessionStartedAt: rotation.sessionStartedAt || new Date(),
+      },
+    });
+    
+    return {
+      accessToken,
+      refreshToken,
+      sessionId,
+      expiresIn: CONFIG.JWT_EXPIRES_IN,
+    };
+  }
+  
+  /**
+   * Sign the short-lived token proving the password step of a 2FA login
+   * Its own audience means it can never be used as an access token.
+   */
+  generateTwoFactorChallenge(user) {
+    return getAccessKeyring().sign(
+      { sub: user._id.toString(), purpose: '2fa_challenge' },
+      { expiresIn: CONFIG.TWO_FACTOR_CHALLENGE_EXPIRES_IN, audience: TOKEN_AUDIENCES.twoFactorChallenge }
+    );
+  }
+  
+  /**
+   * Check a TOTP code or an unused recovery code
+   * Both are consumed atomically, so a code can never be used twice.
+   * 
+   * @returns {Promise<string|null>} 'totp', 'recovery_code' or null
+   */
+  async verifySecondFactor(user, code) {
+    const value = String(code || '').trim();
+    
+    if (/^\d{6}$/.test(value)) {
+      const step = totp.verifyCode(decrypt(user.twoFactor.secret), value);
+      if (step === null) {
+        return null;
+      }
+      
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+          ],
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+    
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': {
+          $elemMatch: { hash: hashToken(this.normalizeRecoveryCode(value)), usedAt: null },
+        },
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    
+    return result.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+  
+  /**
+   * Account status checks for sensitive operations and passwordless sign-in
+   * (also behind the validateAccountStatus middleware)
+   */
+  assertAccountStatus(user) {
+    // Check if account is verified (if verification is required)
+    if (!user.isVerified && CONFIG.REQUIRE_EMAIL_VERIFICATION) {
+      throw ErrorFactory.authorization('Email verification required');
+    }
+    
+    // Check for recent password change (security measure)
+    const passwordChangedRecently = user.passwordChangedAt && 
+      (Date.now() - user.passwordChangedAt.getTime()) < 300000; // 5 minutes
+    
+    if (passwordChangedRecently) {
+      throw ErrorFactory.authorization('Please log in again after password change');
+    }
+  }
+  
+  /**
+   * Generate human-friendly one-time recovery codes (e.g. "K7QXM-3FJ2A")
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: CONFIG.TWO_FACTOR_RECOVERY_CODES }, () => {
+      const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+  
+  normalizeRecoveryCode(code) {
+    return code.toUpperCase().replace(/[\s-]/g, '');
+  }
+  
+  /**
+   * Public view of a personal access token
+   */
+  formatPersonalAccessToken(tokenDoc) {
+    return {
+      id: tokenDoc._id,
+      name: tokenDoc.name,
+      prefix: tokenDoc.prefix,
+      scopes: tokenDoc.scopes,
+      expiresAt: tokenDoc.expiresAt,
+      lastUsedAt: tokenDoc.lastUsedAt,
+      lastUsedIp: tokenDoc.lastUsedIp,
+      createdAt: tokenDoc.createdAt,
+    };
+  }
+  
+  /**
+   * Remove sensitive data from user object
+   */
+  sanitizeUser(user) {
+    const sanitized = user.toObject();
+    delete sanitized.password;
+    delete sanitized.loginAttempts;
+    delete sanitized.lockUntil;
+    delete sanitized.__v;
+    if (sanitized.twoFactor) {
+      sanitized.twoFactor = { enabled: sanitized.twoFactor.enabled, enabledAt: sanitized.twoFactor.enabledAt };
+    }
+    return sanitized;
+  }
 }
 
 // Export singleton instance
@@ -25,6 +25,8 @@
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const realtimeService = require('./realtime.service');
+const notificationService = require('./notification.service');
 const { 
   NotFoundError, 
   ValidationError, 
@@ -102,25 +104,18 @@ class CommentService {
     const comment = new Comment(newCommentData);
     await comment.save();
 
-    // Update post comment count
-    await Post.findByIdAndUpdate(postId, {
-      $inc: { commentCount: 1 }
-    });
-
-    // Update parent comment reply count if this is a reply
-    if (parentComment) {
-      await Comment.findByIdAndUpdate(commentData.parentComment, {
-        $inc: { replyCount: 1 }
-      });
-    }
+    // Update post comment count (parent reply count is kept by the Comment pre-save hook)
+    const updatedPost = await Post.findByIdAndUpdate(
+      postId,
+      { $inc: { 'stats.commentsCount': 1 } },
+      { new: true }
+    ).select('stats.commentsCount');
+    realtimeService.emitPostCounters(postId, { commentsCount: updatedPost.stats.commentsCount });
 
     // Populate author information
     await comment.populate('author', 'username displayName avatar isVerified');
 
-    // TODO: Create notifications
-    // - Notify post author about new comment
-    // - Notify mentioned users
-    // - Notify parent comment author about reply
+    await this._notifyCommentCreated(comment, post, parentComment, authorId);
 
     logger.info('Comment created successfully', { 
       commentId: comment._id, 
@@ -212,6 +207,37 @@ class CommentService {
     };
   }
 
+  /**
+   * Get comments for a post as a reply tree
+   * Delegates to Comment.getThreadedComments, which nests replies
+   * under their parents up to the requested depth
+   * 
+   * @param {string} postId - Post ID to get comments for
+   * @param {Object} options - Tree options (maxDepth, sortBy, sortOrder)
+   * @returns {Promise<Array>} Root comments with nested replies
+   */
+  async getThreadedComments(postId, options = {}) {
+    const {
+      maxDepth = 3,
+      sortBy = 'createdAt',
+      sortOrder = 'asc'
+    } = options;
+
+    logger.info('Fetching threaded post comments', { postId, options });
+
+    // Verify post exists
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new NotFoundError('Post not found');
+    }
+
+    return Comment.getThreadedComments(postId, {
+      maxDepth,
+      sortBy,
+      sortOrder: sortOrder === 'desc' ? -1 : 1
+    });
+  }
+
   /**
    * Get comment by ID with population
    * 
@@ -326,7 +352,7 @@ class CommentService {
     }
 
     // Handle nested comment deletion strategy
-    if (comment.replyCount > 0) {
+    if (comment.stats.repliesCount > 0) {
       // If comment has replies, don't delete it completely
       // Instead, mark it as deleted but keep the structure
       await Comment.findByIdAndUpdate(commentId, {
@@ -342,14 +368,19 @@ class CommentService {
       await Comment.findByIdAndDelete(commentId);
 
       // Update post comment count
-      await Post.findByIdAndUpdate(comment.post, {
-        $inc: { commentCount: -1 }
-      });
+      const updatedPost = await Post.findByIdAndUpdate(
+        comment.post,
+        { $inc: { 'stats.commentsCount': -1 } },
+        { new: true }
+      ).select('stats.commentsCount');
+      if (updatedPost) {
+        realtimeService.emitPostCounters(comment.post, { commentsCount: updatedPost.stats.commentsCount });
+      }
 
       // Update parent comment reply count if this was a reply
       if (comment.parentComment) {
         await Comment.findByIdAndUpdate(comment.parentComment, {
-          $inc: { replyCount: -1 }
+          $inc: { 'stats.repliesCount': -1 }
         });
       }
 
@@ -374,26 +405,21 @@ class CommentService {
       throw new NotFoundError('Comment not found');
     }
 
-    const isLiked = comment.likes.includes(userId);
+    const isLiked = comment.isLikedBy(userId);
 
     if (isLiked) {
       // Unlike the comment
-      await Comment.findByIdAndUpdate(commentId, {
-        $pull: { likes: userId },
-        $inc: { likeCount: -1 }
-      });
+      await comment.unlikeComment(userId);
       
       logger.info('Comment unliked', { commentId, userId });
       return { isLiked: false, message: 'Comment unliked successfully' };
     } else {
       // Like the comment
-      await Comment.findByIdAndUpdate(commentId, {
-        $addToSet: { likes: userId },
-        $inc: { likeCount: 1 }
-      });
+      await comment.likeComment(userId);
       
-      // TODO: Create notification for comment author
-      // await this.notificationService.createCommentLikeNotification(userId, comment.author, commentId);
+      // A failed notification never fails the like
+      await notificationService.createCommentLikeNotification(userId, comment.author, commentId)
+        .catch(error => logger.error('Comment like notification failed', { commentId, userId, error: error.message }));
       
       logger.info('Comment liked', { commentId, userId });
       return { isLiked: true, message: 'Comment liked successfully' };
@@ -405,10 +431,11 @@ class CommentService {
    * 
    * @param {string} commentId - Comment ID to report
    * @param {string} userId - ID of user reporting
-   * @param {string} reason - Reason for reporting
+   * @param {string} reason - Report category (spam, inappropriate, ...)
+   * @param {string} description - Optional free-text details
    * @returns {Promise<Object>} Report result
    */
-  async reportComment(commentId, userId, reason) {
+  async reportComment(commentId, userId, reason, description = '') {
     logger.info('Reporting comment', { commentId, userId, reason });
 
     const comment = await Comment.findById(commentId);
@@ -417,25 +444,16 @@ class CommentService {
     }
 
     // Check if user already reported this comment
-    const existingReport = comment.reports.find(
-      report => report.reporter.toString() === userId
+    const existingReport = comment.flaggedBy.find(
+      flag => flag.user && flag.user.toString() === userId
     );
 
     if (existingReport) {
       throw new ValidationError('You have already reported this comment');
     }
 
-    // Add report
-    await Comment.findByIdAndUpdate(commentId, {
-      $push: {
-        reports: {
-          reporter: userId,
-          reason,
-          createdAt: new Date()
-        }
-      },
-      $inc: { reportCount: 1 }
-    });
+    // Flag the comment (moves it into the moderation queue on first report)
+    await comment.flagComment(userId, reason, description);
 
     // TODO: Implement auto-moderation logic
     // - Hide comment if it reaches certain report threshold
@@ -518,6 +536,48 @@ class CommentService {
     return validUserIds;
   }
 
+  /**
+   * Notify the parent comment author, the post author and mentioned users
+   * Each user gets one notification, the most specific one. Failures are
+   * logged and never fail the comment.
+   * 
+   * @param {Object} comment - Created comment
+   * @param {Object} post - Post commented on
+   * @param {Object|null} parentComment - Comment replied to, if any
+   * @param {string} authorId - ID of the comment author
+   */
+  async _notifyCommentCreated(comment, post, parentComment, authorId) {
+    const postId = post._id.toString();
+    const commentId = comment._id.toString();
+    const notified = new Set([authorId.toString()]);
+    const notifications = [];
+
+    if (parentComment && !notified.has(parentComment.author.toString())) {
+      notified.add(parentComment.author.toString());
+      notifications.push(notificationService.createReplyNotification(authorId, parentComment.author, commentId, postId));
+    }
+
+    if (!notified.has(post.author.toString())) {
+      notified.add(post.author.toString());
+      notifications.push(notificationService.createCommentNotification(authorId, post.author, postId, post.title));
+    }
+
+    comment.mentions
+      .filter(userId => !notified.has(userId.toString()))
+      .forEach(userId => {
+        notified.add(userId.toString());
+        notifications.push(notificationService.createMentionNotification(authorId, userId, commentId, postId));
+      });
+
+    const results = await Promise.allSettled(notifications);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => logger.error('Comment notification failed', {
+        commentId,
+        error: result.reason.message
+      }));
+  }
+
   /**
    * Get user interactions with comment
    * 
@@ -526,10 +586,10 @@ class CommentService {
    * @returns {Promise<Object>} User interaction data
    */
   async _getUserInteractions(commentId, userId) {
-    const comment = await Comment.findById(commentId).select('likes').lean();
+    const comment = await Comment.findById(commentId).select('likes');
 
     return {
-      isLiked: comment?.likes?.includes(userId) || false
+      isLiked: comment ? comment.isLikedBy(userId) : false
     };
   }
 }
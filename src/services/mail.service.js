@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Mail Service - Queues and delivers transactional email through a persistent outbox
+ * 
+ * Emails are never sent inside the request that triggers them. They are rendered
+ * from a template, stored in the OutboxEmail collection and delivered by a
+ * background worker, which retries failed deliveries with exponential backoff.
+ * 
+ * Transports:
+ * - smtp    → real delivery (EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS)
+ * - file    → JSON files in EMAIL_FILE_DIR (development, tests)
+ * - console → printed to stdout (default when SMTP is not configured)
+ * 
+ * Educational Notes:
+ * - A slow or unreachable mail server must not slow down or fail API requests
+ * - The outbox keeps emails across restarts; claiming is atomic so several
+ *   processes can run the worker safely
+ */
+
+const OutboxEmail = require('../models/OutboxEmail');
+const ConsoleMailTransport = require('../mailer/transports/console.transport');
+const { renderTemplate } = require('../mailer/templates');
+const { CONFIG } = require('../config/index.js');
+const logger = require('../utils/logger');
+
+// A message stuck in "sending" this long is assumed abandoned by a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+class MailService {
+  constructor() {
+    this.transport = new ConsoleMailTransport();
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Replace the mail transport
+   * 
+   * @param {Object} transport - Transport implementing send/close
+   * @returns {Promise<void>}
+   */
+  async setTransport(transport) {
+    const previous = this.transport;
+    this.transport = transport;
+    await previous.close();
+  }
+
+  /**
+   * Start the outbox worker
+   * 
+   * @param {Object} [options] - Worker options
+   * @param {number} [options.interval] - Polling interval in ms
+   */
+  start(options = {}) {
+    if (options.interval && !this.timer) {
+      this.timer = setInterval(() => this._kick(), options.interval);
+      this.timer.unref();
+    }
+
+    logger.info('Mail outbox worker started', { transport: this.transport.name });
+    this._kick();
+  }
+
+  /**
+   * Stop the worker, wait for the current batch and close the transport
+   * 
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await this.processing;
+    await this.transport.close();
+  }
+
+  /**
+   * Render a template and queue the email for delivery
+   * 
+   * @param {string} template - Template name (see mailer/templates)
+   * @param {string} to - Recipient address
+   * @param {Object} data - Template data
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.userId] - User the email concerns
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async queue(template, to, data, options = {}) {
+    const { subject, html, text } = renderTemplate(template, data);
+
+    const email = await OutboxEmail.create({
+      to,
+      template,
+      subject,
+      html,
+      text,
+      user: options.userId || null
+    });
+
+    logger.info('Email queued', { emailId: email._id, template, userId: options.userId });
+
+    // Try right away; the worker picks it up later if this attempt fails
+    this._kick();
+
+    return email;
+  }
+
+  /**
+   * Deliver every due message in the outbox
+   * Concurrent calls share the run already in progress.
+   * 
+   * @returns {Promise<number>} Number of messages attempted
+   */
+  processOutbox() {
+    if (!this.processing) {
+      this.processing = this._drain().finally(() => {
+        this.processing = null;
+      });
+    }
+
+    return this.processing;
+  }
+
+  /**
+   * Queue a password reset email
+   * 
+   * @param {Object} user - User document (email, fullName, penName, role)
+   * @param {string} resetToken - Raw reset token
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendPasswordReset(user, resetToken, expiresInMinutes) {
+    return this.queue('passwordReset', user.email, {
+      name: user.displayName,
+      resetUrl: this._clientUrl('/reset-password', { token: resetToken }),
+      expiresInMinutes
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue a passwordless sign-in link
+   * 
+   * @param {Object} user - User document
+   * @param {string} loginToken - Raw magic link token
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendMagicLink(user, loginToken, expiresInMinutes) {
+    return this.queue('magicLink', user.email, {
+      name: user.displayName,
+      loginUrl: this._clientUrl('/magic-login', { token: loginToken }),
+      expiresInMinutes
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue an email address verification email
+   * 
+   * @param {Object} user - User document
+   * @param {string} verificationToken - Raw verification token
+   * @param {number} expiresInHours - Token lifetime
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendEmailVerification(user, verificationToken, expiresInHours) {
+    return this.queue('emailVerification', user.email, {
+      name: user.displayName,
+      verifyUrl: this._clientUrl('/verify-email', { token: verificationToken }),
+      expiresInHours
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue the confirmation link for an email change (sent to the new address)
+   * 
+   * @param {Object} user - User document
+   * @param {string} newEmail - Requested address
+   * @param {string} confirmToken - Raw confirmation token
+   * @param {number} expiresInHours - Token lifetime
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendEmailChangeConfirmation(user, newEmail, confirmToken, expiresInHours) {
+    return this.queue('emailChangeConfirmation', newEmail, {
+      name: user.displayName,
+      newEmail,
+      confirmUrl: this._clientUrl('/confirm-email-change', { token: confirmToken }),
+      expiresInHours
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue the email change alert with a cancel link (sent to the current address)
+   * 
+   * @param {Object} user - User document
+   * @param {string} newEmail - Requested address
+   * @param {string} cancelToken - Raw cancel token
+   * @param {number} expiresInHours - Token lifetime
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendEmailChangeAlert(user, newEmail, cancelToken, expiresInHours) {
+    return this.queue('emailChangeAlert', user.email, {
+      name: user.displayName,
+      newEmail,
+      cancelUrl: this._clientUrl('/cancel-email-change', { token: cancelToken }),
+      expiresInHours
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue a welcome email for a newly registered user
+   * 
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendWelcome(user) {
+    return this.queue('welcome', user.email, {
+      name: user.displayName,
+      role: user.role,
+      appUrl: this._clientUrl('/')
+    }, { userId: user._id });
+  }
+
+  /**
+   * Queue a new follower email
+   * 
+   * @param {Object} recipient - User who was followed
+   * @param {Object} follower - User who followed
+   * @returns {Promise<Object>} Queued outbox email
+   */
+  async sendNewFollower(recipient, follower) {
+    return this.queue('newFollower', recipient.email, {
+      name: recipient.displayName,
+      followerName: follower.displayName,
+      profileUrl: this._clientUrl(`/users/${follower._id}`)
+    }, { userId: recipient._id });
+  }
+
+  /**
+   * Private helper methods
+   */
+
+  async _drain() {
+    let attempted = 0;
+    let email;
+
+    while ((email = await OutboxEmail.claimNext(STALE_LOCK_MS))) {
+      attempted += 1;
+      await this._deliver(email);
+    }
+
+    return attempted;
+  }
+
+  async _deliver(email) {
+    try {
+      const result = await this.transport.send({
+        from: CONFIG.EMAIL_FROM,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text
+      });
+
+      await email.markSent({ messageId: result.messageId, transport: this.transport.name });
+
+      logger.info('Email sent', {
+        emailId: email._id,
+        template: email.template,
+        transport: this.transport.name,
+        attempts: email.attempts
+      });
+    } catch (error) {
+      await email.markFailed(error, CONFIG.EMAIL_RETRY_BASE_MS);
+
+      logger[email.status === 'failed' ? 'error' : 'warn']('Email delivery failed', {
+        emailId: email._id,
+        template: email.template,
+        attempts: email.attempts,
+        status: email.status,
+        nextAttemptAt: email.status === 'pending' ? email.nextAttemptAt : undefined,
+        error: error.message
+      });
+    }
+  }
+
+  _kick() {
+    this.processOutbox().catch(error => {
+      logger.error('Mail outbox processing failed', { error: error.message });
+    });
+  }
+
+  _clientUrl(pathname, query = {}) {
+    const url = new URL(pathname, CONFIG.CLIENT_URL);
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
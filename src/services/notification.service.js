@@ -6,15 +6,22 @@
  * 
  * Educational Notes:
  * - Notifications are critical for user engagement in social platforms
+ * - Notifications live in their own collection so history is not capped per user
  * - Batch processing can optimize database operations for high-volume notifications
- * - Real-time notifications can be enhanced with WebSocket integration
- * - Consider implementing notification preferences and channels (email, push, in-app)
+ * - New notifications are pushed live to the recipient's open streams (realtime.service)
+ * - Similar unread notifications are grouped ("Ana and 12 others liked your post")
+ *   so popular posts don't flood the inbox with near-identical rows
+ * - Recipients choose channels (in-app, email, push) per notification type
  */
 
 const mongoose = require('mongoose');
-const User = require('../models/user.model');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { RECENT_ACTORS_LIMIT, TRACKED_ACTORS_LIMIT } = require('../models/Notification');
+const realtimeService = require('./realtime.service');
+const mailService = require('./mail.service');
 const logger = require('../utils/logger');
-const { AppError } = require('../middlewares/error.middleware');
+const { AppError } = require('../utils/errors');
 
 /**
  * Notification Types - Defines all possible notification types in the system
@@ -32,6 +39,21 @@ const NOTIFICATION_TYPES = {
   SYSTEM: 'system'
 };
 
+/**
+ * Recipient fields needed to resolve preferences and address emails
+ */
+const RECIPIENT_FIELDS = 'notificationPreferences email fullName penName role';
+
+/**
+ * Email senders per notification type (types without one are in-app only)
+ */
+const EMAIL_SENDERS = {
+  [NOTIFICATION_TYPES.FOLLOW]: async (recipient, notificationData) => {
+    const follower = await User.findById(notificationData.senderId).select('fullName penName role');
+    return follower && mailService.sendNewFollower(recipient, follower);
+  }
+};
+
 class NotificationService {
   /**
    * Create a new notification for a user
@@ -45,7 +67,10 @@ class NotificationService {
    * @param {string} [notificationData.relatedId] - ID of related resource (post, comment, etc.)
    * @param {string} [notificationData.relatedType] - Type of related resource
    * @param {Object} [notificationData.metadata] - Additional notification data
-   * @returns {Promise<Object>} Created notification
+   * @param {Object} [notificationData.group] - Fold into an open unread notification
+   * @param {string} notificationData.group.key - Grouping key (type + target)
+   * @param {Function} notificationData.group.message - Builds the grouped message from "N others"
+   * @returns {Promise<Object>} Created (or grouped) notification
    */
   async createNotification(notificationData) {
     try {
@@ -57,7 +82,8 @@ class NotificationService {
         senderId,
         relatedId,
         relatedType,
-        metadata = {}
+        metadata = {},
+        group
       } = notificationData;
 
       // Validate notification type
@@ -71,14 +97,33 @@ class NotificationService {
       }
 
       // Check if recipient exists
-      const recipient = await User.findById(recipientId);
+      const recipient = await User.findById(recipientId).select(RECIPIENT_FIELDS);
       if (!recipient) {
         throw new AppError('Recipient not found', 404);
       }
 
-      // Create notification object
-      const notification = {
-        _id: new mongoose.Types.ObjectId(),
+      // Honour the recipient's channel, type and quiet-hours preferences
+      const delivery = this._resolveDelivery(recipient, type);
+      this._dispatchExternal(notificationData, delivery, recipient);
+
+      if (!delivery.inApp) {
+        logger.info(`Notification skipped for user ${recipientId} by preferences`, {
+          notificationType: type
+        });
+        return null;
+      }
+
+      if (group && senderId) {
+        const grouped = await this._foldIntoGroup(recipientId, senderId, group);
+        if (grouped) {
+          if (grouped.folded && !delivery.quiet) {
+            realtimeService.emitToUser(recipientId, 'notification', grouped.notification);
+          }
+          return grouped.notification;
+        }
+      }
+
+      const notification = await Notification.create({
         type,
         title,
         message,
@@ -86,27 +131,11 @@ class NotificationService {
         sender: senderId || null,
         relatedId: relatedId || null,
         relatedType: relatedType || null,
-        isRead: false,
         metadata,
-        createdAt: new Date()
-      };
-
-      // Add notification to user's notifications array
-      // Using $push with $slice to maintain a maximum number of notifications
-      const MAX_NOTIFICATIONS = 100;
-      await User.findByIdAndUpdate(
-        recipientId,
-        {
-          $push: {
-            notifications: {
-              $each: [notification],
-              $slice: -MAX_NOTIFICATIONS // Keep only the last 100 notifications
-            }
-          },
-          $inc: { unreadNotificationCount: 1 }
-        },
-        { new: true }
-      );
+        groupKey: group ? group.key : null,
+        recentActors: senderId ? [{ user: senderId }] : [],
+        actorIds: group && senderId ? [senderId] : []
+      });
 
       logger.info(`Notification created for user ${recipientId}`, {
         notificationType: type,
@@ -114,7 +143,13 @@ class NotificationService {
         relatedId
       });
 
-      return notification;
+      const created = notification.toObject();
+      delete created.actorIds;
+      if (!delivery.quiet) {
+        realtimeService.emitToUser(recipientId, 'notification', created);
+      }
+
+      return created;
     } catch (error) {
       logger.error('Error creating notification:', error);
       throw error;
@@ -133,43 +168,62 @@ class NotificationService {
       const validNotifications = notificationsData.filter(data => {
         // Filter out invalid notifications and self-notifications
         return data.recipientId && 
-               data.senderId !== data.recipientId &&
+               String(data.senderId) !== String(data.recipientId) &&
                Object.values(NOTIFICATION_TYPES).includes(data.type);
       });
 
-      const bulkOps = validNotifications.map(data => ({
-        updateOne: {
-          filter: { _id: data.recipientId },
-          update: {
-            $push: {
-              notifications: {
-                $each: [{
-                  _id: new mongoose.Types.ObjectId(),
-                  type: data.type,
-                  title: data.title,
-                  message: data.message,
-                  recipient: data.recipientId,
-                  sender: data.senderId || null,
-                  relatedId: data.relatedId || null,
-                  relatedType: data.relatedType || null,
-                  isRead: false,
-                  metadata: data.metadata || {},
-                  createdAt: new Date()
-                }],
-                $slice: -100
-              }
-            },
-            $inc: { unreadNotificationCount: 1 }
-          }
-        }
-      }));
+      if (validNotifications.length === 0) {
+        return [];
+      }
+
+      // Load every recipient's preferences in one query
+      const recipients = await User.find({
+        _id: { $in: validNotifications.map(data => data.recipientId) }
+      }).select(RECIPIENT_FIELDS);
+      const recipientsById = new Map(recipients.map(user => [user._id.toString(), user]));
+
+      const deliveries = new Map();
+      const inAppNotifications = validNotifications.filter(data => {
+        const recipient = recipientsById.get(data.recipientId.toString());
+        if (!recipient) return false;
 
-      if (bulkOps.length > 0) {
-        await User.bulkWrite(bulkOps);
-        logger.info(`Bulk created ${bulkOps.length} notifications`);
+        const delivery = this._resolveDelivery(recipient, data.type);
+        this._dispatchExternal(data, delivery, recipient);
+        deliveries.set(data, delivery);
+
+        return delivery.inApp;
+      });
+
+      if (inAppNotifications.length === 0) {
+        return [];
       }
 
-      return validNotifications;
+      const created = await Notification.insertMany(
+        inAppNotifications.map(data => ({
+          type: data.type,
+          title: data.title,
+          message: data.message,
+          recipient: data.recipientId,
+          sender: data.senderId || null,
+          relatedId: data.relatedId || null,
+          relatedType: data.relatedType || null,
+          metadata: data.metadata || {},
+          recentActors: data.senderId ? [{ user: data.senderId }] : []
+        })),
+        { ordered: false }
+      );
+
+      logger.info(`Bulk created ${created.length} notifications`);
+
+      // insertMany keeps input order, so created[i] matches inAppNotifications[i]
+      return created.map((notification, index) => {
+        const plain = notification.toObject();
+        delete plain.actorIds;
+        if (!deliveries.get(inAppNotifications[index]).quiet) {
+          realtimeService.emitToUser(plain.recipient, 'notification', plain);
+        }
+        return plain;
+      });
     } catch (error) {
       logger.error('Error creating bulk notifications:', error);
       throw error;
@@ -184,6 +238,7 @@ class NotificationService {
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=20] - Items per page
    * @param {boolean} [options.unreadOnly=false] - Show only unread notifications
+   * @param {boolean} [options.isRead] - Filter by read state (takes precedence over unreadOnly)
    * @param {Array<string>} [options.types] - Filter by notification types
    * @returns {Promise<Object>} Paginated notifications
    */
@@ -193,58 +248,47 @@ class NotificationService {
         page = 1,
         limit = 20,
         unreadOnly = false,
+        isRead,
         types = []
       } = options;
 
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+      // Build filter
+      const filter = { recipient: userId };
 
-      let notifications = user.notifications || [];
-
-      // Apply filters
-      if (unreadOnly) {
-        notifications = notifications.filter(n => !n.isRead);
+      if (typeof isRead === 'boolean') {
+        filter.isRead = isRead;
+      } else if (unreadOnly) {
+        filter.isRead = false;
       }
 
       if (types.length > 0) {
-        notifications = notifications.filter(n => types.includes(n.type));
+        filter.type = { $in: types };
       }
 
-      // Sort by creation date (newest first)
-      notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const paginatedNotifications = notifications.slice(startIndex, endIndex);
-
-      // Populate sender information for notifications that have it
-      const populatedNotifications = await Promise.all(
-        paginatedNotifications.map(async (notification) => {
-          if (notification.sender) {
-            const sender = await User.findById(notification.sender)
-              .select('username fullName profilePicture');
-            return {
-              ...notification.toObject(),
-              senderInfo: sender
-            };
-          }
-          return notification;
-        })
-      );
+      const skip = (page - 1) * limit;
+
+      const [notifications, totalNotifications, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ lastActivityAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('sender', 'fullName penName role avatar')
+          .populate('recentActors.user', 'fullName penName role avatar')
+          .lean(),
+        Notification.countDocuments(filter),
+        Notification.countUnread(userId)
+      ]);
 
       return {
-        notifications: populatedNotifications,
+        notifications,
         pagination: {
           currentPage: page,
-          totalPages: Math.ceil(notifications.length / limit),
-          totalNotifications: notifications.length,
-          hasNextPage: endIndex < notifications.length,
+          totalPages: Math.ceil(totalNotifications / limit),
+          totalNotifications,
+          hasNextPage: skip + notifications.length < totalNotifications,
           hasPrevPage: page > 1
         },
-        unreadCount: user.unreadNotificationCount || 0
+        unreadCount
       };
     } catch (error) {
       logger.error('Error fetching user notifications:', error);
@@ -252,6 +296,17 @@ class NotificationService {
     }
   }
 
+  /**
+   * Get the unread notification count for a user
+   * Single indexed count query, meant for UI badge polling
+   * 
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread notification count
+   */
+  async getUnreadCount(userId) {
+    return Notification.countUnread(userId);
+  }
+
   /**
    * Mark notification(s) as read
    * 
@@ -262,36 +317,21 @@ class NotificationService {
   async markAsRead(userId, notificationIds) {
     try {
       const idsArray = Array.isArray(notificationIds) ? notificationIds : [notificationIds];
-      
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
 
-      let unreadCountDecrease = 0;
-      
-      // Update notifications in the array
-      user.notifications.forEach(notification => {
-        if (idsArray.includes(notification._id.toString()) && !notification.isRead) {
-          notification.isRead = true;
-          notification.readAt = new Date();
-          unreadCountDecrease++;
-        }
-      });
-
-      // Update unread count
-      user.unreadNotificationCount = Math.max(0, 
-        (user.unreadNotificationCount || 0) - unreadCountDecrease
+      // Scoped to the recipient so users can only touch their own inbox
+      const result = await Notification.updateMany(
+        { _id: { $in: idsArray }, recipient: userId, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
       );
 
-      await user.save();
+      const remainingUnreadCount = await Notification.countUnread(userId);
 
-      logger.info(`Marked ${unreadCountDecrease} notifications as read for user ${userId}`);
+      logger.info(`Marked ${result.modifiedCount} notifications as read for user ${userId}`);
 
       return {
         success: true,
-        markedCount: unreadCountDecrease,
-        remainingUnreadCount: user.unreadNotificationCount
+        markedCount: result.modifiedCount,
+        remainingUnreadCount
       };
     } catch (error) {
       logger.error('Error marking notifications as read:', error);
@@ -307,27 +347,17 @@ class NotificationService {
    */
   async markAllAsRead(userId) {
     try {
-      const result = await User.findByIdAndUpdate(
-        userId,
-        {
-          $set: {
-            'notifications.$[].isRead': true,
-            'notifications.$[].readAt': new Date(),
-            unreadNotificationCount: 0
-          }
-        },
-        { new: true }
+      const result = await Notification.updateMany(
+        { recipient: userId, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
       );
 
-      if (!result) {
-        throw new AppError('User not found', 404);
-      }
-
       logger.info(`Marked all notifications as read for user ${userId}`);
 
       return {
         success: true,
-        message: 'All notifications marked as read'
+        message: 'All notifications marked as read',
+        markedCount: result.modifiedCount
       };
     } catch (error) {
       logger.error('Error marking all notifications as read:', error);
@@ -345,32 +375,17 @@ class NotificationService {
   async deleteNotifications(userId, notificationIds) {
     try {
       const idsArray = Array.isArray(notificationIds) ? notificationIds : [notificationIds];
-      
-      const result = await User.findByIdAndUpdate(
-        userId,
-        {
-          $pull: {
-            notifications: {
-              _id: { $in: idsArray.map(id => new mongoose.Types.ObjectId(id)) }
-            }
-          }
-        },
-        { new: true }
-      );
 
-      if (!result) {
-        throw new AppError('User not found', 404);
-      }
-
-      // Recalculate unread count
-      const unreadCount = result.notifications.filter(n => !n.isRead).length;
-      await User.findByIdAndUpdate(userId, { unreadNotificationCount: unreadCount });
+      const result = await Notification.deleteMany({
+        _id: { $in: idsArray },
+        recipient: userId
+      });
 
-      logger.info(`Deleted ${idsArray.length} notifications for user ${userId}`);
+      logger.info(`Deleted ${result.deletedCount} notifications for user ${userId}`);
 
       return {
         success: true,
-        deletedCount: idsArray.length
+        deletedCount: result.deletedCount
       };
     } catch (error) {
       logger.error('Error deleting notifications:', error);
@@ -386,27 +401,32 @@ class NotificationService {
    */
   async getNotificationStats(userId) {
     try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+      const recipient = new mongoose.Types.ObjectId(userId);
+
+      const [byTypeAndState, recent] = await Promise.all([
+        Notification.aggregate([
+          { $match: { recipient } },
+          { $group: { _id: { type: '$type', isRead: '$isRead' }, count: { $sum: 1 } } }
+        ]),
+        Notification.find({ recipient })
+          .sort({ lastActivityAt: -1 })
+          .limit(5)
+          .lean()
+      ]);
 
-      const notifications = user.notifications || [];
-      
       // Calculate statistics
       const stats = {
-        total: notifications.length,
-        unread: notifications.filter(n => !n.isRead).length,
-        read: notifications.filter(n => n.isRead).length,
+        total: 0,
+        unread: 0,
+        read: 0,
         byType: {},
-        recent: notifications
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-          .slice(0, 5)
+        recent
       };
 
-      // Group by type
-      notifications.forEach(notification => {
-        stats.byType[notification.type] = (stats.byType[notification.type] || 0) + 1;
+      byTypeAndState.forEach(({ _id, count }) => {
+        stats.total += count;
+        stats[_id.isRead ? 'read' : 'unread'] += count;
+        stats.byType[_id.type] = (stats.byType[_id.type] || 0) + count;
       });
 
       return stats;
@@ -416,6 +436,147 @@ class NotificationService {
     }
   }
 
+  /**
+   * Fold a new actor into the recipient's open unread notification for a group
+   * 
+   * A group stays open while it is unread and younger than
+   * NOTIFICATION_GROUP_WINDOW_HOURS. An actor already in the group (e.g. like,
+   * unlike, like again) is not counted twice. Each fold restarts the retention
+   * period, so an active group is not expired from under its newest actors.
+   * 
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} actorId - User who triggered the notification
+   * @param {Object} group - Grouping options ({ key, message })
+   * @returns {Promise<Object|null>} { notification, folded } or null when no group is open
+   * @private
+   */
+  async _foldIntoGroup(recipientId, actorId, group) {
+    const now = new Date();
+    const openGroup = {
+      recipient: recipientId,
+      groupKey: group.key,
+      isRead: false,
+      createdAt: { $gte: Notification.getGroupWindowStart(now) }
+    };
+
+    const notification = await Notification.findOneAndUpdate(
+      { ...openGroup, actorIds: { $ne: actorId } },
+      {
+        $inc: { actorCount: 1 },
+        $push: {
+          actorIds: {
+            $each: [actorId],
+            $slice: -TRACKED_ACTORS_LIMIT
+          },
+          recentActors: {
+            $each: [{ user: actorId, at: now }],
+            $position: 0,
+            $slice: RECENT_ACTORS_LIMIT
+          }
+        },
+        $set: {
+          sender: actorId,
+          lastActivityAt: now,
+          expiresAt: Notification.getRetentionExpiry(now)
+        }
+      },
+      { new: true, sort: { createdAt: -1 } }
+    ).lean();
+
+    if (!notification) {
+      const existing = await Notification.findOne({ ...openGroup, actorIds: actorId })
+        .sort({ createdAt: -1 })
+        .lean();
+      return existing ? { notification: existing, folded: false } : null;
+    }
+
+    // Only the write that produced this actorCount may set the message
+    notification.message = group.message(this._formatOthers(notification.actorCount - 1));
+    await Notification.updateOne(
+      { _id: notification._id, actorCount: notification.actorCount },
+      { $set: { message: notification.message } }
+    );
+
+    logger.info(`Notification grouped for user ${recipientId}`, {
+      groupKey: group.key,
+      actorCount: notification.actorCount
+    });
+
+    return { notification, folded: true };
+  }
+
+  /**
+   * Format the "N others" part of a grouped message
+   * 
+   * @param {number} count - Number of other actors
+   * @returns {string} e.g. "1 other", "12 others"
+   * @private
+   */
+  _formatOthers(count) {
+    return `${count} ${count === 1 ? 'other' : 'others'}`;
+  }
+
+  /**
+   * Work out how a notification should reach its recipient
+   * 
+   * - System notices always land in the inbox
+   * - During quiet hours, email/push are held back and rerouted to a silent
+   *   in-app copy so nothing is lost
+   * 
+   * @param {Object} recipient - Recipient user document
+   * @param {string} type - Notification type
+   * @returns {Object} Delivery plan { inApp, email, push, quiet }
+   * @private
+   */
+  _resolveDelivery(recipient, type) {
+    const delivery = recipient.getNotificationDelivery(type);
+
+    if (type === NOTIFICATION_TYPES.SYSTEM) {
+      delivery.inApp = true;
+    }
+
+    if (delivery.quiet && (delivery.email || delivery.push)) {
+      delivery.inApp = true;
+      delivery.email = false;
+      delivery.push = false;
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Hand a notification to the out-of-app channels it was routed to
+   * 
+   * Email goes through the mail outbox; failures are logged and never fail
+   * the in-app notification.
+   * 
+   * @param {Object} notificationData - Notification data
+   * @param {Object} delivery - Delivery plan from _resolveDelivery
+   * @param {Object} recipient - Recipient user document
+   * @private
+   */
+  _dispatchExternal(notificationData, delivery, recipient) {
+    const sendEmail = EMAIL_SENDERS[notificationData.type];
+
+    if (delivery.email && sendEmail) {
+      sendEmail(recipient, notificationData).catch(error => {
+        logger.error('Failed to queue notification email', {
+          recipientId: notificationData.recipientId,
+          notificationType: notificationData.type,
+          error: error.message
+        });
+      });
+    }
+
+    if (delivery.push) {
+      // No push provider is configured yet; record the routing decision
+      logger.debug('Notification routed to push', {
+        recipientId: notificationData.recipientId,
+        notificationType: notificationData.type
+      });
+    }
+  }
+
   /**
    * Helper method to create follow notification
    * 
@@ -424,13 +585,13 @@ class NotificationService {
    * @returns {Promise<Object>} Created notification
    */
   async createFollowNotification(followerId, followedId) {
-    const follower = await User.findById(followerId).select('username fullName');
+    const follower = await User.findById(followerId).select('fullName penName role');
     
     return this.createNotification({
       recipientId: followedId,
       type: NOTIFICATION_TYPES.FOLLOW,
       title: 'New Follower',
-      message: `${follower.fullName || follower.username} started following you`,
+      message: `${follower.displayName} started following you`,
       senderId: followerId,
       relatedId: followerId,
       relatedType: 'user'
@@ -447,16 +608,21 @@ class NotificationService {
    * @returns {Promise<Object>} Created notification
    */
   async createPostLikeNotification(likerId, postAuthorId, postId, postTitle) {
-    const liker = await User.findById(likerId).select('username fullName');
+    const liker = await User.findById(likerId).select('fullName penName role');
     
     return this.createNotification({
       recipientId: postAuthorId,
       type: NOTIFICATION_TYPES.LIKE_POST,
       title: 'Post Liked',
-      message: `${liker.fullName || liker.username} liked your post "${postTitle}"`,
+      message: `${liker.displayName} liked your post "${postTitle}"`,
       senderId: likerId,
       relatedId: postId,
-      relatedType: 'post'
+      relatedType: 'post',
+      metadata: { postTitle },
+      group: {
+        key: `${NOTIFICATION_TYPES.LIKE_POST}:${postId}`,
+        message: others => `${liker.displayName} and ${others} liked your post "${postTitle}"`
+      }
     });
   }
 
@@ -470,16 +636,91 @@ class NotificationService {
    * @returns {Promise<Object>} Created notification
    */
   async createCommentNotification(commenterId, postAuthorId, postId, postTitle) {
-    const commenter = await User.findById(commenterId).select('username fullName');
+    const commenter = await User.findById(commenterId).select('fullName penName role');
     
     return this.createNotification({
       recipientId: postAuthorId,
       type: NOTIFICATION_TYPES.COMMENT,
       title: 'New Comment',
-      message: `${commenter.fullName || commenter.username} commented on your post "${postTitle}"`,
+      message: `${commenter.displayName} commented on your post "${postTitle}"`,
       senderId: commenterId,
       relatedId: postId,
-      relatedType: 'post'
+      relatedType: 'post',
+      metadata: { postTitle },
+      group: {
+        key: `${NOTIFICATION_TYPES.COMMENT}:${postId}`,
+        message: others => `${commenter.displayName} and ${others} commented on your post "${postTitle}"`
+      }
+    });
+  }
+
+  /**
+   * Helper method to create reply notification
+   * 
+   * @param {string} replierId - User who replied
+   * @param {string} commentAuthorId - Author of the comment replied to
+   * @param {string} commentId - ID of the comment replied to
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Created notification
+   */
+  async createReplyNotification(replierId, commentAuthorId, commentId, postId) {
+    const replier = await User.findById(replierId).select('fullName penName role');
+    
+    return this.createNotification({
+      recipientId: commentAuthorId,
+      type: NOTIFICATION_TYPES.REPLY,
+      title: 'New Reply',
+      message: `${replier.displayName} replied to your comment`,
+      senderId: replierId,
+      relatedId: commentId,
+      relatedType: 'comment',
+      metadata: { postId }
+    });
+  }
+
+  /**
+   * Helper method to create mention notification
+   * 
+   * @param {string} mentionerId - User who wrote the mention
+   * @param {string} mentionedId - User who was mentioned
+   * @param {string} commentId - Comment containing the mention
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Created notification
+   */
+  async createMentionNotification(mentionerId, mentionedId, commentId, postId) {
+    const mentioner = await User.findById(mentionerId).select('fullName penName role');
+    
+    return this.createNotification({
+      recipientId: mentionedId,
+      type: NOTIFICATION_TYPES.MENTION,
+      title: 'New Mention',
+      message: `${mentioner.displayName} mentioned you in a comment`,
+      senderId: mentionerId,
+      relatedId: commentId,
+      relatedType: 'comment',
+      metadata: { postId }
+    });
+  }
+
+  /**
+   * Helper method to create comment like notification
+   * 
+   * @param {string} likerId - User who liked
+   * @param {string} commentAuthorId - Comment author
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Created notification
+   */
+  async createCommentLikeNotification(likerId, commentAuthorId, commentId) {
+    const liker = await User.findById(likerId).select('fullName penName role');
+    
+    return this.createNotification({
+      recipientId: commentAuthorId,
+      type: NOTIFICATION_TYPES.LIKE_COMMENT,
+      title: 'Comment Liked',
+      message: `${liker.displayName} liked your comment`,
+      senderId: likerId,
+      relatedId: commentId,
+      relatedType: 'comment'
     });
   }
 }
@@ -26,6 +26,8 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
+const realtimeService = require('./realtime.service');
+const notificationService = require('./notification.service');
 const { 
   NotFoundError, 
   ValidationError, 
@@ -165,6 +167,29 @@ class PostService {
     return post;
   }
 
+  /**
+   * Get post by slug
+   * Resolves the SEO slug to a post and reuses the ID lookup
+   * 
+   * @param {string} slug - Post slug
+   * @param {string} userId - ID of requesting user (optional)
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Post object with populated data
+   */
+  async getPostBySlug(slug, userId = null, options = {}) {
+    logger.info('Fetching post by slug', { slug, userId });
+
+    const post = await Post.findOne({ 'seo.slug': slug })
+      .select('_id')
+      .lean();
+
+    if (!post) {
+      throw new NotFoundError('Post not found');
+    }
+
+    return this.getPostById(post._id.toString(), userId, options);
+  }
+
   /**
    * Update post
    * Handles post updates with validation and permission checks
@@ -285,6 +310,7 @@ class PostService {
   async getPosts(filters = {}, pagination = {}, userId = null) {
     const {
       author,
+      genre,
       category,
       tags,
       status = 'published',
@@ -319,6 +345,11 @@ class PostService {
       query.author = author;
     }
 
+    // Genre filter
+    if (genre) {
+      query.genre = genre;
+    }
+
     // Category filter
     if (category) {
       query.category = category;
@@ -412,29 +443,26 @@ class PostService {
       throw new NotFoundError('Post not found');
     }
 
-    const isLiked = post.likes.includes(userId);
+    const isLiked = post.isLikedBy(userId);
 
     if (isLiked) {
       // Unlike the post
-      await Post.findByIdAndUpdate(postId, {
-        $pull: { likes: userId },
-        $inc: { likeCount: -1 }
-      });
+      await post.unlikePost(userId);
+      realtimeService.emitPostCounters(postId, { likesCount: post.stats.likesCount });
       
       logger.info('Post unliked', { postId, userId });
-      return { isLiked: false, message: 'Post unliked successfully' };
+      return { isLiked: false, likesCount: post.stats.likesCount, message: 'Post unliked successfully' };
     } else {
       // Like the post
-      await Post.findByIdAndUpdate(postId, {
-        $addToSet: { likes: userId },
-        $inc: { likeCount: 1 }
-      });
+      await post.likePost(userId);
+      realtimeService.emitPostCounters(postId, { likesCount: post.stats.likesCount });
       
-      // TODO: Create notification for post author
-      // await this.notificationService.createLikeNotification(userId, post.author, postId);
+      // Notify the author (grouped per post); a failed notification never fails the like
+      await notificationService.createPostLikeNotification(userId, post.author, postId, post.title)
+        .catch(error => logger.error('Post like notification failed', { postId, userId, error: error.message }));
       
       logger.info('Post liked', { postId, userId });
-      return { isLiked: true, message: 'Post liked successfully' };
+      return { isLiked: true, likesCount: post.stats.likesCount, message: 'Post liked successfully' };
     }
   }
 
@@ -454,22 +482,17 @@ class PostService {
       throw new NotFoundError('Post not found');
     }
 
-    const user = await User.findById(userId);
-    const isBookmarked = user.bookmarks.includes(postId);
+    const isBookmarked = post.isBookmarkedBy(userId);
 
     if (isBookmarked) {
       // Remove bookmark
-      await User.findByIdAndUpdate(userId, {
-        $pull: { bookmarks: postId }
-      });
+      await post.unbookmarkPost(userId);
       
       logger.info('Post unbookmarked', { postId, userId });
       return { isBookmarked: false, message: 'Post removed from bookmarks' };
     } else {
       // Add bookmark
-      await User.findByIdAndUpdate(userId, {
-        $addToSet: { bookmarks: postId }
-      });
+      await post.bookmarkPost(userId);
       
       logger.info('Post bookmarked', { postId, userId });
       return { isBookmarked: true, message: 'Post added to bookmarks' };
@@ -490,30 +513,27 @@ class PostService {
 
     logger.info('Fetching user bookmarks', { userId, pagination });
 
-    const user = await User.findById(userId)
-      .populate({
-        path: 'bookmarks',
-        populate: {
-          path: 'author',
-          select: 'username displayName avatar isVerified'
-        },
-        options: {
-          sort: { createdAt: -1 },
-          skip: offset,
-          limit: limit
-        }
-      })
-      .lean();
+    // Bookmarks live on the post documents themselves
+    const query = {
+      'bookmarks.user': userId,
+      status: 'published',
+      deletedAt: null
+    };
 
-    if (!user) {
-      throw new NotFoundError('User not found');
-    }
+    const [bookmarks, total] = await Promise.all([
+      Post.find(query)
+        .populate('author', 'username displayName avatar isVerified')
+        .sort({ 'bookmarks.bookmarkedAt': -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Post.countDocuments(query)
+    ]);
 
-    const total = user.bookmarks.length;
     const totalPages = Math.ceil(total / limit);
 
     return {
-      bookmarks: user.bookmarks,
+      bookmarks,
       pagination: {
         currentPage: page,
         totalPages,
@@ -676,6 +696,29 @@ class PostService {
     return media;
   }
 
+  /**
+   * Keep only the posts a user may view (same rules as getPostById)
+   * 
+   * @param {Array<string>} postIds - Post IDs
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Visible post IDs
+   */
+  async filterVisiblePostIds(postIds, userId) {
+    if (!postIds.length) {
+      return [];
+    }
+
+    const visible = await Post.find({
+      _id: { $in: postIds },
+      $or: [
+        { status: 'published' },
+        { status: { $in: ['draft', 'private'] }, author: userId }
+      ]
+    }).select('_id').lean();
+
+    return visible.map(post => post._id.toString());
+  }
+
   /**
    * Check if user can access post
    * 
@@ -737,14 +780,11 @@ class PostService {
    * @returns {Promise<Object>} User interaction data
    */
   async _getUserInteractions(postId, userId) {
-    const [post, user] = await Promise.all([
-      Post.findById(postId).select('likes').lean(),
-      User.findById(userId).select('bookmarks').lean()
-    ]);
+    const post = await Post.findById(postId).select('likes bookmarks');
 
     return {
-      isLiked: post?.likes?.includes(userId) || false,
-      isBookmarked: user?.bookmarks?.includes(postId) || false
+      isLiked: post ? post.isLikedBy(userId) : false,
+      isBookmarked: post ? post.isBookmarkedBy(userId) : false
     };
   }
 }
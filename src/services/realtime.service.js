@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Realtime Service - Pushes live events to connected clients over Server-Sent Events
+ *
+ * Each open SSE stream is registered here as a "client". Events are never written
+ * to clients directly: they are published through a pub/sub adapter and every
+ * process delivers them to its own local clients. That keeps delivery correct
+ * when the API runs as several Node processes behind a load balancer.
+ *
+ * Channels:
+ * - user events (e.g. new notifications) → every stream of that user
+ * - post events (e.g. like/comment counters) → every stream watching that post
+ * - session events (logout, revoked sessions, password change) → close the
+ *   streams those sessions opened
+ *
+ * Educational Notes:
+ * - SSE is one-way (server → client) and runs over plain HTTP, so the regular
+ *   auth middleware, cookies and proxies keep working
+ * - Heartbeat comments stop proxies from closing idle streams
+ * - Publishing is fire-and-forget: a realtime failure must never fail the request
+ */
+
+const crypto = require('crypto');
+const MemoryPubSubAdapter = require('../realtime/adapters/memory.adapter');
+const logger = require('../utils/logger');
+
+const CHANNELS = {
+  USER: 'realtime:user',
+  POST: 'realtime:post',
+  SESSION: 'realtime:session'
+};
+
+class RealtimeService {
+  constructor() {
+    this.adapter = new MemoryPubSubAdapter();
+    this.started = false;
+    this.clients = new Map();    // connectionId → client
+    this.userIndex = new Map();  // userId → Set<connectionId>
+    this.postIndex = new Map();  // postId → Set<connectionId>
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Replace the pub/sub adapter (e.g. Redis for multi-process deployments)
+   *
+   * @param {Object} adapter - Adapter implementing publish/subscribe/close
+   * @returns {Promise<void>}
+   */
+  async setAdapter(adapter) {
+    const previous = this.adapter;
+    this.adapter = adapter;
+    this.started = false;
+    await previous.close();
+    await this.start();
+  }
+
+  /**
+   * Subscribe this process to the realtime channels
+   *
+   * @param {Object} [options] - Start options
+   * @param {number} [options.heartbeatInterval] - Heartbeat interval in ms
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    if (!this.started) {
+      await this.adapter.subscribe(CHANNELS.USER, message => this._deliverToUser(message));
+      await this.adapter.subscribe(CHANNELS.POST, message => this._deliverToPost(message));
+      await this.adapter.subscribe(CHANNELS.SESSION, message => this._closeSessions(message));
+      this.started = true;
+    }
+
+    if (options.heartbeatInterval && !this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), options.heartbeatInterval);
+      this.heartbeatTimer.unref();
+    }
+
+    logger.info('Realtime service started', { adapter: this.adapter.name });
+  }
+
+  /**
+   * Register an open SSE response as a client
+   *
+   * @param {Object} params - Client details
+   * @param {string} params.userId - Authenticated user ID
+   * @param {string} [params.sessionId] - Session of the access token that opened the stream
+   * @param {Object} params.res - Express response (already switched to SSE)
+   * @param {Array<string>} [params.postIds] - Posts the client is viewing
+   * @param {number} [params.maxPerUser] - Oldest streams beyond this are closed
+   * @returns {Object} Registered client
+   */
+  registerClient({ userId, sessionId = null, res, postIds = [], maxPerUser }) {
+    const client = {
+      id: crypto.randomUUID(),
+      userId: userId.toString(),
+      sessionId,
+      res,
+      posts: new Set(),
+      connectedAt: new Date()
+    };
+
+    this.clients.set(client.id, client);
+    this._index(this.userIndex, client.userId, client.id);
+    this.watchPosts(client.id, client.userId, postIds);
+
+    // Drop the oldest streams if the user has too many open
+    const userConnections = [...this.userIndex.get(client.userId)];
+    if (maxPerUser && userConnections.length > maxPerUser) {
+      userConnections
+        .slice(0, userConnections.length - maxPerUser)
+        .forEach(id => this.disconnect(id, 'too_many_connections'));
+    }
+
+    logger.info('Realtime client connected', { userId: client.userId, connectionId: client.id });
+    return client;
+  }
+
+  /**
+   * Forget a client whose stream has closed
+   *
+   * @param {string} connectionId - Connection ID
+   */
+  removeClient(connectionId) {
+    const client = this.clients.get(connectionId);
+    if (!client) return;
+
+    client.posts.forEach(postId => this._unindex(this.postIndex, postId, connectionId));
+    this._unindex(this.userIndex, client.userId, connectionId);
+    this.clients.delete(connectionId);
+
+    logger.info('Realtime client disconnected', { userId: client.userId, connectionId });
+  }
+
+  /**
+   * Close a client's stream from the server side
+   *
+   * @param {string} connectionId - Connection ID
+   * @param {string} reason - Reason sent to the client before closing
+   */
+  disconnect(connectionId, reason) {
+    const client = this.clients.get(connectionId);
+    if (!client) return;
+
+    this._send(client, 'close', { reason });
+    client.res.end();
+    this.removeClient(connectionId);
+  }
+
+  /**
+   * Replace the set of posts a connection receives counter updates for
+   *
+   * @param {string} connectionId - Connection ID
+   * @param {string} userId - User that owns the connection
+   * @param {Array<string>} postIds - Posts currently on screen
+   * @returns {Array<string>|null} Watched post IDs, or null if the connection is unknown
+   */
+  watchPosts(connectionId, userId, postIds = []) {
+    const client = this.clients.get(connectionId);
+    if (!client || client.userId !== userId.toString()) {
+      return null;
+    }
+
+    client.posts.forEach(postId => this._unindex(this.postIndex, postId, connectionId));
+    client.posts = new Set(postIds.map(id => id.toString()));
+    client.posts.forEach(postId => this._index(this.postIndex, postId, connectionId));
+
+    return [...client.posts];
+  }
+
+  /**
+   * Push an event to every open stream of a user (on any process)
+   *
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToUser(userId, event, data) {
+    this._publish(CHANNELS.USER, { userId: userId.toString(), event, data });
+  }
+
+  /**
+   * Push updated counters for a post to everyone viewing it (on any process)
+   *
+   * @param {string} postId - Post ID
+   * @param {Object} counters - Counter values, e.g. { likesCount } or { commentsCount }
+   */
+  emitPostCounters(postId, counters) {
+    this._publish(CHANNELS.POST, {
+      postId: postId.toString(),
+      event: 'post:counters',
+      data: { postId: postId.toString(), ...counters }
+    });
+  }
+
+  /**
+   * Close a user's streams when their sessions end (on any process)
+   *
+   * @param {string} userId - User whose streams to close
+   * @param {Object} [scope] - Which streams; all of the user's when empty
+   * @param {string} [scope.sessionId] - Only streams opened by this session
+   * @param {string} [scope.exceptSessionId] - Every stream except this session's
+   * @param {string} [reason] - Reason sent to the client before closing
+   */
+  closeSessions(userId, { sessionId, exceptSessionId } = {}, reason = 'session_revoked') {
+    this._publish(CHANNELS.SESSION, {
+      userId: userId.toString(),
+      sessionId: sessionId || null,
+      exceptSessionId: exceptSessionId || null,
+      event: 'close',
+      reason
+    });
+  }
+
+  /**
+   * Get connection statistics for health checks
+   *
+   * @returns {Object} Realtime statistics
+   */
+  getStats() {
+    return {
+      adapter: this.adapter.name,
+      connections: this.clients.size,
+      users: this.userIndex.size,
+      watchedPosts: this.postIndex.size
+    };
+  }
+
+  /**
+   * Close every stream and the adapter (graceful shutdown)
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    [...this.clients.keys()].forEach(id => this.disconnect(id, 'server_shutdown'));
+
+    await this.adapter.close();
+    this.started = false;
+  }
+
+  /**
+   * Private helper methods
+   */
+
+  _publish(channel, message) {
+    Promise.resolve()
+      .then(() => this.adapter.publish(channel, message))
+      .catch(error => {
+        logger.error('Realtime publish failed', { channel, event: message.event, error: error.message });
+      });
+  }
+
+  _deliverToUser({ userId, event, data }) {
+    const connections = this.userIndex.get(userId);
+    if (!connections) return;
+
+    connections.forEach(id => this._send(this.clients.get(id), event, data));
+  }
+
+  _deliverToPost({ postId, event, data }) {
+    const connections = this.postIndex.get(postId);
+    if (!connections) return;
+
+    connections.forEach(id => this._send(this.clients.get(id), event, data));
+  }
+
+  _closeSessions({ userId, sessionId, exceptSessionId, reason }) {
+    const connections = this.userIndex.get(userId);
+    if (!connections) return;
+
+    [...connections]
+      .map(id => this.clients.get(id))
+      .filter(client => (!sessionId || client.sessionId === sessionId)
+        && (!exceptSessionId || client.sessionId !== exceptSessionId))
+      .forEach(client => this.disconnect(client.id, reason));
+  }
+
+  _send(client, event, data) {
+    if (!client || client.res.writableEnded) return;
+
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Push through the compression middleware buffer
+    client.res.flush?.();
+  }
+
+  _heartbeat() {
+    this.clients.forEach(client => {
+      if (client.res.writableEnded) return;
+      client.res.write(': ping\n\n');
+      client.res.flush?.();
+    });
+  }
+
+  _index(index, key, connectionId) {
+    if (!index.has(key)) {
+      index.set(key, new Set());
+    }
+    index.get(key).add(connectionId);
+  }
+
+  _unindex(index, key, connectionId) {
+    const set = index.get(key);
+    if (!set) return;
+
+    set.delete(connectionId);
+    if (set.size === 0) {
+      index.delete(key);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
+module.exports.CHANNELS = CHANNELS;
@@ -0,0 +1,339 @@
+/**
+ * Role Service
+ *
+ * Resolves what a user is allowed to do and manages the roles stored in
+ * the `roles` collection.
+ *
+ * Features:
+ * - Permission resolution for the auth middleware and controllers
+ * - Per-request caching: a role is read from the database at most once per request
+ * - Role CRUD and role assignment for the admin API
+ * - Fallback to DEFAULT_ROLES when a role has no document yet (fresh install)
+ *
+ * Security Notes:
+ * - System roles (admin, writer, reader) cannot be deleted
+ * - Only holders of the wildcard permission can grant it or manage its holders
+ * - Requests made with a personal access token are limited to the token's scopes
+ *
+ * Learning Notes:
+ * - Code checks permissions, never role names, so new roles need no code change
+ * - Caching on the request keeps checks cheap without serving stale roles
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  WILDCARD_PERMISSION,
+  DEFAULT_ROLE_PERMISSIONS,
+  expandPermissions
+} = require('../config/permissions');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  ForbiddenError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Resolved permissions per in-flight request (entries go away with the request)
+const requestCache = new WeakMap();
+
+class RoleService {
+  /**
+   * Get the permissions granted by a role
+   *
+   * @param {string} roleName - Role name
+   * @returns {Promise<Set<string>>} Expanded permissions ('*' kept as a marker)
+   */
+  async getRolePermissions(roleName) {
+    const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+    const granted = role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+
+    const permissions = new Set(expandPermissions(granted));
+    if (granted.includes(WILDCARD_PERMISSION)) {
+      permissions.add(WILDCARD_PERMISSION);
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Get the permissions of the authenticated user, cached on the request
+   *
+   * @param {Object} req - Express request (after authenticate)
+   * @returns {Promise<Set<string>>} Expanded permissions
+   */
+  getRequestPermissions(req) {
+    const cached = requestCache.get(req);
+    if (cached && cached.role === req.user.role) {
+      return cached.permissions;
+    }
+
+    const permissions = this.getRolePermissions(req.user.role);
+    requestCache.set(req, { role: req.user.role, permissions });
+
+    // Don't cache failed lookups
+    permissions.catch(() => requestCache.delete(req));
+
+    return permissions;
+  }
+
+  /**
+   * Check whether the authenticated request may use a permission
+   * Personal access tokens also need the permission in their scopes.
+   *
+   * @param {Object} req - Express request (after authenticate)
+   * @param {string} permission - Permission string, e.g. 'comment:moderate'
+   * @returns {Promise<boolean>} Whether the permission is granted
+   */
+  async can(req, permission) {
+    if (!req.user) return false;
+
+    const permissions = await this.getRequestPermissions(req);
+    if (!permissions.has(permission)) return false;
+
+    return req.authMethod !== 'pat' || (req.tokenScopes || []).includes(permission);
+  }
+
+  /**
+   * Check whether a role holds the wildcard permission
+   *
+   * @param {string} roleName - Role name
+   * @returns {Promise<boolean>} Whether the role is a super role
+   */
+  async isSuperRole(roleName) {
+    const permissions = await this.getRolePermissions(roleName);
+    return permissions.has(WILDCARD_PERMISSION);
+  }
+
+  /**
+   * List the permission catalogue
+   *
+   * @returns {Array<Object>} Permissions with descriptions
+   */
+  listPermissions() {
+    return PERMISSIONS.map(name => ({ name, description: PERMISSION_DESCRIPTIONS[name] }));
+  }
+
+  /**
+   * List every role with the number of users holding it
+   *
+   * @returns {Promise<Array<Object>>} Roles
+   */
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCounts = new Map(counts.map(c => [c._id, c.count]));
+
+    return roles.map(role => ({
+      ...role,
+      userCount: userCounts.get(role.name) || 0
+    }));
+  }
+
+  /**
+   * Create a custom role
+   *
+   * @param {Object} roleData - { name, description, permissions }
+   * @param {Object} actor - Admin performing the action ({ id, role })
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole({ name, description, permissions }, actor) {
+    logger.info('Admin: Create role', { name, permissions, actorId: actor.id });
+
+    await this._assertCanGrant(permissions, actor);
+
+    const existing = await Role.exists({ name });
+    if (existing) {
+      throw new ConflictError(`Role "${name}" already exists`);
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      isSystem: false,
+      updatedBy: actor.id
+    });
+
+    this._audit('role_created', actor, { role: name, permissions });
+
+    return role.toJSON();
+  }
+
+  /**
+   * Update a role's description and/or permissions
+   *
+   * @param {string} name - Role name
+   * @param {Object} updates - { description, permissions }
+   * @param {Object} actor - Admin performing the action ({ id, role })
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(name, { description, permissions }, actor) {
+    logger.info('Admin: Update role', { name, permissions, actorId: actor.id });
+
+    const role = await this._findOrSeedRole(name);
+
+    if (permissions) {
+      const isSuper = role.permissions.includes(WILDCARD_PERMISSION);
+      if (isSuper && !permissions.includes(WILDCARD_PERMISSION) && role.isSystem) {
+        throw new ForbiddenError(`The "${name}" role must keep the wildcard permission`);
+      }
+
+      await this._assertCanGrant(permissions, actor);
+      if (isSuper) {
+        await this._assertSuper(actor, 'change a role holding the wildcard permission');
+      }
+
+      role.permissions = permissions;
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+
+    role.updatedBy = actor.id;
+    await role.save();
+
+    this._audit('role_updated', actor, { role: name, permissions: role.permissions });
+
+    return role.toJSON();
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   *
+   * @param {string} name - Role name
+   * @param {Object} actor - Admin performing the action ({ id, role })
+   * @returns {Promise<Object>} Result message
+   */
+  async deleteRole(name, actor) {
+    logger.info('Admin: Delete role', { name, actorId: actor.id });
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new NotFoundError('Role');
+    }
+
+    if (role.isSystem) {
+      throw new ForbiddenError('System roles cannot be deleted');
+    }
+
+    if (role.permissions.includes(WILDCARD_PERMISSION)) {
+      await this._assertSuper(actor, 'delete a role holding the wildcard permission');
+    }
+
+    const holders = await User.countDocuments({ role: name });
+    if (holders > 0) {
+      throw new ConflictError(`Role "${name}" is still assigned to ${holders} user(s)`);
+    }
+
+    await role.deleteOne();
+
+    this._audit('role_deleted', actor, { role: name });
+
+    return { message: `Role "${name}" deleted successfully` };
+  }
+
+  /**
+   * Assign a role to a user
+   *
+   * @param {string} targetUserId - User receiving the role
+   * @param {string} roleName - Role name
+   * @param {Object} actor - Admin performing the action ({ id, role })
+   * @returns {Promise<Object>} { userId, previousRole, role }
+   */
+  async assignRole(targetUserId, roleName, actor) {
+    logger.info('Admin: Assign role', { targetUserId, roleName, actorId: actor.id });
+
+    if (targetUserId === actor.id) {
+      throw new ForbiddenError('Cannot change your own role');
+    }
+
+    const [targetUser, roleExists] = await Promise.all([
+      User.findById(targetUserId),
+      this._roleExists(roleName)
+    ]);
+
+    if (!targetUser) {
+      throw new NotFoundError('Target user');
+    }
+
+    if (!roleExists) {
+      throw new NotFoundError('Role');
+    }
+
+    // Only super roles may promote to, or demote from, a super role
+    const [targetIsSuper, newRoleIsSuper] = await Promise.all([
+      this.isSuperRole(targetUser.role),
+      this.isSuperRole(roleName)
+    ]);
+    if (targetIsSuper || newRoleIsSuper) {
+      await this._assertSuper(actor, 'grant or remove full access');
+    }
+
+    const previousRole = targetUser.role;
+    targetUser.role = roleName;
+    await targetUser.save();
+
+    this._audit('role_assigned', actor, { targetUserId, previousRole, role: roleName });
+
+    return { userId: targetUserId, previousRole, role: roleName };
+  }
+
+  /**
+   * Private helper methods
+   */
+
+  async _roleExists(name) {
+    return Boolean(DEFAULT_ROLE_PERMISSIONS[name]) || Boolean(await Role.exists({ name }));
+  }
+
+  // Default roles may not be seeded yet; create their document on first edit
+  async _findOrSeedRole(name) {
+    const role = await Role.findOne({ name });
+    if (role) return role;
+
+    if (!DEFAULT_ROLE_PERMISSIONS[name]) {
+      throw new NotFoundError('Role');
+    }
+
+    return new Role({
+      name,
+      permissions: DEFAULT_ROLE_PERMISSIONS[name],
+      isSystem: ['admin', 'writer', 'reader'].includes(name)
+    });
+  }
+
+  // Nobody can hand out permissions they don't hold themselves
+  async _assertCanGrant(permissions, actor) {
+    const held = await this.getRolePermissions(actor.role);
+    const missing = permissions.filter(permission => !held.has(permission));
+
+    if (missing.length > 0) {
+      throw new ValidationError(`You cannot grant permissions you don't hold: ${missing.join(', ')}`);
+    }
+  }
+
+  async _assertSuper(actor, action) {
+    if (!(await this.isSuperRole(actor.role))) {
+      throw new ForbiddenError(`Only full administrators can ${action}`);
+    }
+  }
+
+  _audit(action, actor, details) {
+    logger.warn('Admin action performed', {
+      action,
+      adminId: actor.id,
+      ...details,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new RoleService();
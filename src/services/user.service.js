@@ -23,6 +23,10 @@
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Token = require('../models/Token');
+const realtimeService = require('./realtime.service');
+const roleService = require('./role.service');
+const notificationService = require('./notification.service');
 const { NotFoundError, ValidationError, ForbiddenError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
@@ -39,34 +43,47 @@ class UserService {
   async getUserProfile(userId, requestingUserId = null, options = {}) {
     logger.info('Fetching user profile', { userId, requestingUserId });
 
+    const isOwnProfile = requestingUserId === userId;
+
     // Find user with selected fields based on privacy
-    const user = await User.findById(userId)
-      .select(this._getProfileFields(requestingUserId === userId))
-      .populate('followers', 'username displayName avatar')
-      .populate('following', 'username displayName avatar')
-      .lean();
+    const userDoc = await User.findOne({ _id: userId, isActive: true, deletedAt: null })
+      .select(this._getProfileFields(isOwnProfile))
+      .populate('followers.user', this._getRelationFields())
+      .populate('following.user', this._getRelationFields());
 
-    if (!user) {
+    if (!userDoc) {
       throw new NotFoundError('User not found');
     }
 
-    // Check if profiles are mutually following (for privacy)
-    const isFollowing = requestingUserId && user.followers.some(
-      follower => follower._id.toString() === requestingUserId
+    const user = userDoc.toObject();
+
+    // Check if requesting user follows this profile (for privacy)
+    const isFollowing = !!requestingUserId && user.followers.some(
+      follower => follower.user && follower.user._id.toString() === requestingUserId
     );
 
+    // Private profiles only show a minimal card to strangers
+    if (!this._canViewProfile(user, isOwnProfile, isFollowing, options.isAdmin)) {
+      return this._getPrivateProfileCard(user);
+    }
+
     // Apply privacy filters
-    const profile = this._applyPrivacyFilters(user, requestingUserId === userId, isFollowing);
+    const profile = this._applyPrivacyFilters(user, isOwnProfile, isFollowing);
 
     // Add user statistics
-    profile.stats = await this._getUserStats(userId);
+    profile.stats = {
+      ...user.stats,
+      ...(await this._getUserStats(userId))
+    };
 
     // Add relationship status if requesting user exists
-    if (requestingUserId && requestingUserId !== userId) {
+    if (requestingUserId && !isOwnProfile) {
       profile.relationshipStatus = {
-        isFollowing: user.followers.some(f => f._id.toString() === requestingUserId),
-        isFollowedBy: user.following.some(f => f._id.toString() === requestingUserId),
-        canMessage: this._canMessage(user, requestingUserId, isFollowing)
+        isFollowing,
+        isFollowedBy: user.following.some(
+          f => f.user && f.user._id.toString() === requestingUserId
+        ),
+        canFollow: user.privacySettings?.allowFollowers !== false
       };
     }
 
@@ -90,53 +107,62 @@ class UserService {
       throw new ForbiddenError('You can only update your own profile');
     }
 
-    // Remove sensitive fields that shouldn't be updated via this method
-    const allowedFields = [
-      'displayName', 'bio', 'location', 'website', 'avatar',
-      'coverImage', 'socialLinks', 'preferences', 'privacy'
-    ];
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
 
+    // Map the public profile payload onto the User model fields.
+    // Anything not listed here (email, role, password...) is ignored.
     const sanitizedData = {};
-    allowedFields.forEach(field => {
+
+    // Display name is the pen name for writers, full name for everyone else
+    if (updateData.displayName) {
+      const nameField = user.role === 'writer' ? 'penName' : 'fullName';
+      sanitizedData[nameField] = updateData.displayName;
+    }
+
+    ['bio', 'avatar'].forEach(field => {
       if (updateData.hasOwnProperty(field)) {
-        sanitizedData[field] = updateData[field];
+        sanitizedData[field] = updateData[field] || null;
       }
     });
 
     // Special handling for nested objects
-    if (updateData.socialLinks) {
-      sanitizedData.socialLinks = {
-        ...updateData.socialLinks
-      };
+    const website = updateData.website ?? updateData.socialLinks?.website;
+    if (website !== undefined) {
+      sanitizedData['socialLinks.website'] = website || null;
     }
 
-    if (updateData.preferences) {
-      sanitizedData.preferences = {
-        ...updateData.preferences
-      };
+    if (updateData.privacy) {
+      const { profileVisibility, showEmail } = updateData.privacy;
+
+      if (profileVisibility !== undefined) {
+        sanitizedData['privacySettings.profileVisibility'] = profileVisibility;
+      }
+      if (showEmail !== undefined) {
+        sanitizedData['privacySettings.showEmail'] = showEmail;
+      }
     }
 
-    if (updateData.privacy) {
-      sanitizedData.privacy = {
-        ...updateData.privacy
-      };
+    if (updateData.preferences?.notifications) {
+      Object.assign(
+        sanitizedData,
+        this._mapNotificationPreferences(updateData.preferences.notifications)
+      );
     }
 
     // Update timestamp
     sanitizedData.updatedAt = new Date();
 
-    const user = await User.findByIdAndUpdate(
+    const updatedUser = await User.findByIdAndUpdate(
       userId,
       { $set: sanitizedData },
       { new: true, runValidators: true }
     ).select(this._getProfileFields(true));
 
-    if (!user) {
-      throw new NotFoundError('User not found');
-    }
-
     logger.info('User profile updated successfully', { userId });
-    return user;
+    return updatedUser;
   }
 
   /**
@@ -169,10 +195,11 @@ class UserService {
 
     // Text search across multiple fields
     if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       filter.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { displayName: { $regex: search, $options: 'i' } },
-        { bio: { $regex: search, $options: 'i' } }
+        { fullName: { $regex: pattern, $options: 'i' } },
+        { penName: { $regex: pattern, $options: 'i' } },
+        { bio: { $regex: pattern, $options: 'i' } }
       ];
     }
 
@@ -186,17 +213,25 @@ class UserService {
       filter.isVerified = isVerified;
     }
 
-    // Only active users
+    // Only active users with public profiles
     filter.isActive = true;
-
-    // Build sort object
+    filter.deletedAt = null;
+    filter['privacySettings.profileVisibility'] = 'public';
+
+    // Build sort object (API sort keys map onto model fields)
+    const sortFields = {
+      createdAt: 'createdAt',
+      username: 'fullName',
+      displayName: 'fullName',
+      followerCount: 'stats.followersCount'
+    };
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    sort[sortFields[sortBy] || 'createdAt'] = sortOrder === 'desc' ? -1 : 1;
 
     // Execute search with pagination
     const [users, total] = await Promise.all([
       User.find(filter)
-        .select('username displayName bio avatar isVerified role followerCount createdAt')
+        .select('fullName penName bio avatar isVerified role stats.followersCount createdAt')
         .sort(sort)
         .skip(offset || (page - 1) * limit)
         .limit(limit)
@@ -247,35 +282,29 @@ class UserService {
       throw new NotFoundError('Follower user not found');
     }
 
+    if (!followee.isActive || followee.deletedAt) {
+      throw new NotFoundError('User to follow not found');
+    }
+
     // Check if already following
-    const isAlreadyFollowing = follower.following.includes(followeeId);
+    const isAlreadyFollowing = follower.following.some(f => f.user.equals(followeeId));
     if (isAlreadyFollowing) {
       throw new ValidationError('Already following this user');
     }
 
     // Check privacy settings
-    if (followee.privacy.profileVisibility === 'private') {
-      // For now, we'll allow following but they might need approval
-      // This could be extended to implement follow requests
-      logger.info('Following private account', { followerId, followeeId });
+    if (followee.privacySettings?.allowFollowers === false) {
+      throw new ForbiddenError('This user does not accept new followers');
     }
 
-    // Update both users atomically
-    await Promise.all([
-      User.findByIdAndUpdate(followerId, {
-        $push: { following: followeeId },
-        $inc: { followingCount: 1 }
-      }),
-      User.findByIdAndUpdate(followeeId, {
-        $push: { followers: followerId },
-        $inc: { followerCount: 1 }
-      })
-    ]);
+    // Updates both sides of the relationship and their counters
+    await follower.followUser(followee._id);
 
     logger.info('User followed successfully', { followerId, followeeId });
 
-    // TODO: Create notification for followee
-    // await this.notificationService.createFollowNotification(followerId, followeeId);
+    // A failed notification never fails the follow
+    await notificationService.createFollowNotification(followerId, followeeId)
+      .catch(error => logger.error('Follow notification failed', { followerId, followeeId, error: error.message }));
 
     return {
       success: true,
@@ -305,22 +334,13 @@ class UserService {
     }
 
     // Check if currently following
-    const isFollowing = follower.following.includes(followeeId);
+    const isFollowing = follower.following.some(f => f.user.equals(followeeId));
     if (!isFollowing) {
       throw new ValidationError('Not currently following this user');
     }
 
-    // Update both users atomically
-    await Promise.all([
-      User.findByIdAndUpdate(followerId, {
-        $pull: { following: followeeId },
-        $inc: { followingCount: -1 }
-      }),
-      User.findByIdAndUpdate(followeeId, {
-        $pull: { followers: followerId },
-        $inc: { followerCount: -1 }
-      })
-    ]);
+    // Updates both sides of the relationship and their counters
+    await follower.unfollowUser(followeeId);
 
     logger.info('User unfollowed successfully', { followerId, followeeId });
 
@@ -336,43 +356,17 @@ class UserService {
    * 
    * @param {string} userId - User ID
    * @param {Object} pagination - Pagination options
+   * @param {string} requestingUserId - ID of user making the request
    * @returns {Promise<Object>} Followers list with metadata
    */
-  async getUserFollowers(userId, pagination = {}) {
+  async getUserFollowers(userId, pagination = {}, requestingUserId = null) {
     const { page = 1, limit = 20 } = pagination;
-    const offset = (page - 1) * limit;
-
-    const user = await User.findById(userId)
-      .populate({
-        path: 'followers',
-        select: 'username displayName avatar bio isVerified',
-        options: {
-          sort: { createdAt: -1 },
-          skip: offset,
-          limit: limit
-        }
-      })
-      .lean();
-
-    if (!user) {
-      throw new NotFoundError('User not found');
-    }
 
-    const totalFollowers = await User.findById(userId).select('followerCount');
-    const total = totalFollowers.followerCount;
-    const totalPages = Math.ceil(total / limit);
+    const { items, meta } = await this._getRelationPage(
+      userId, 'followers', page, limit, requestingUserId
+    );
 
-    return {
-      followers: user.followers,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
-    };
+    return { followers: items, pagination: meta };
   }
 
   /**
@@ -380,43 +374,17 @@ class UserService {
    * 
    * @param {string} userId - User ID
    * @param {Object} pagination - Pagination options
+   * @param {string} requestingUserId - ID of user making the request
    * @returns {Promise<Object>} Following list with metadata
    */
-  async getUserFollowing(userId, pagination = {}) {
+  async getUserFollowing(userId, pagination = {}, requestingUserId = null) {
     const { page = 1, limit = 20 } = pagination;
-    const offset = (page - 1) * limit;
-
-    const user = await User.findById(userId)
-      .populate({
-        path: 'following',
-        select: 'username displayName avatar bio isVerified',
-        options: {
-          sort: { createdAt: -1 },
-          skip: offset,
-          limit: limit
-        }
-      })
-      .lean();
 
-    if (!user) {
-      throw new NotFoundError('User not found');
-    }
-
-    const totalFollowing = await User.findById(userId).select('followingCount');
-    const total = totalFollowing.followingCount;
-    const totalPages = Math.ceil(total / limit);
+    const { items, meta } = await this._getRelationPage(
+      userId, 'following', page, limit, requestingUserId
+    );
 
-    return {
-      following: user.following,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
-    };
+    return { following: items, pagination: meta };
   }
 
   /**
@@ -426,9 +394,10 @@ class UserService {
    * @param {string} userId - User ID to delete
    * @param {string} requestingUserId - ID of user making request
    * @param {boolean} isAdmin - Whether requester is admin
+   * @param {string} [actorRole] - Role of the requester (needed when isAdmin)
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteUser(userId, requestingUserId, isAdmin = false) {
+  async deleteUser(userId, requestingUserId, isAdmin = false, actorRole = null) {
     logger.info('Deleting user account', { userId, requestingUserId, isAdmin });
 
     // Authorization check
@@ -441,11 +410,25 @@ class UserService {
       throw new NotFoundError('User not found');
     }
 
-    // Prevent admin self-deletion
-    if (user.role === 'admin' && userId === requestingUserId) {
+    // Prevent admin self-deletion (roles holding the wildcard permission)
+    const isSuperTarget = await roleService.isSuperRole(user.role);
+    if (isSuperTarget && userId === requestingUserId) {
       throw new ForbiddenError('Admins cannot delete their own accounts');
     }
 
+    // Same guards as banning: never other administrators, and only full
+    // admins can delete fellow holders of user:delete
+    if (isAdmin && userId !== requestingUserId) {
+      if (isSuperTarget) {
+        throw new ForbiddenError('Cannot perform admin actions on other administrators');
+      }
+
+      const targetPermissions = await roleService.getRolePermissions(user.role);
+      if (targetPermissions.has('user:delete') && !(await roleService.isSuperRole(actorRole))) {
+        throw new ForbiddenError('Cannot perform moderation actions on other moderators');
+      }
+    }
+
     // TODO: Implement data cleanup
     // - Transfer or delete posts
     // - Handle comments
@@ -453,16 +436,19 @@ class UserService {
     // - Cancel subscriptions
     // - Clear tokens
 
-    // For now, just mark as inactive
+    // For now, soft delete and anonymise the login identity
     await User.findByIdAndUpdate(userId, {
       isActive: false,
-      deactivatedAt: new Date(),
-      // Clear sensitive data
+      deletedAt: new Date(),
+      // Clear sensitive data (frees the email for a new account)
       email: `deleted_${userId}@deleted.local`,
-      username: `deleted_${userId}`,
-      // Keep display name for post attribution
+      // Keep full name / pen name for post attribution
     });
 
+    // Sign the account out everywhere
+    await Token.revokeAllUserTokens(userId, isAdmin ? 'admin_action' : 'other', requestingUserId);
+    realtimeService.closeSessions(userId, {}, 'account_deleted');
+
     logger.info('User account deleted successfully', { userId });
 
     return {
@@ -498,10 +484,158 @@ class UserService {
    * @returns {string} Field selection string
    */
   _getProfileFields(isOwnProfile) {
-    const publicFields = 'username displayName bio avatar coverImage isVerified role followerCount followingCount createdAt socialLinks';
-    const privateFields = ' email preferences privacy lastActive';
+    const publicFields = 'fullName penName role avatar bio genres socialLinks privacySettings isVerified stats followers following createdAt';
+    const privateFields = ' email moodPreferences notificationPreferences lastActive lastLogin';
+
+    return isOwnProfile ? publicFields + privateFields : publicFields + ' email';
+  }
+
+  /**
+   * Map the notification preferences payload onto User model paths
+   * Shorthands are applied first so explicit per-type settings win.
+   * 
+   * @param {Object} preferences - Validated preferences.notifications payload
+   * @returns {Object} $set paths under notificationPreferences
+   */
+  _mapNotificationPreferences(preferences) {
+    const paths = {};
+    const base = 'notificationPreferences';
+    const channels = ['inApp', 'email', 'push'];
+
+    channels.forEach(channel => {
+      if (preferences[channel] !== undefined) {
+        paths[`${base}.channels.${channel}`] = preferences[channel];
+      }
+    });
+
+    // Shorthands switch every channel of the related types
+    const shorthands = {
+      newFollower: ['follow'],
+      newComment: ['comment', 'reply'],
+      newLike: ['like_post', 'like_comment']
+    };
+    Object.entries(shorthands).forEach(([key, types]) => {
+      if (preferences[key] === undefined) return;
+      types.forEach(type => channels.forEach(channel => {
+        paths[`${base}.types.${type}.${channel}`] = preferences[key];
+      }));
+    });
+
+    Object.entries(preferences.types || {}).forEach(([type, typeChannels]) => {
+      channels.forEach(channel => {
+        if (typeChannels[channel] !== undefined) {
+          paths[`${base}.types.${type}.${channel}`] = typeChannels[channel];
+        }
+      });
+    });
+
+    Object.entries(preferences.quietHours || {}).forEach(([key, value]) => {
+      if (value !== undefined) {
+        paths[`${base}.quietHours.${key}`] = value;
+      }
+    });
+
+    return paths;
+  }
+
+  /**
+   * Fields populated for follower/following entries
+   * 
+   * @returns {string} Field selection string
+   */
+  _getRelationFields() {
+    return 'fullName penName role avatar bio isVerified';
+  }
+
+  /**
+   * Check whether a profile may be viewed in full
+   * Honours privacySettings.profileVisibility
+   * 
+   * @param {Object} user - Target user
+   * @param {boolean} isOwnProfile - Whether viewing own profile
+   * @param {boolean} isFollowing - Whether requester follows this user
+   * @param {boolean} isAdmin - Whether requester is an admin
+   * @returns {boolean} Whether the full profile is visible
+   */
+  _canViewProfile(user, isOwnProfile, isFollowing, isAdmin = false) {
+    if (isOwnProfile || isAdmin) {
+      return true;
+    }
+
+    return user.privacySettings?.profileVisibility !== 'private' || isFollowing;
+  }
+
+  /**
+   * Minimal profile returned for private accounts
+   * 
+   * @param {Object} user - Target user
+   * @returns {Object} Public card for the user
+   */
+  _getPrivateProfileCard(user) {
+    return {
+      _id: user._id,
+      displayName: user.displayName,
+      role: user.role,
+      avatar: user.avatar,
+      isVerified: user.isVerified,
+      isPrivate: true
+    };
+  }
 
-    return isOwnProfile ? publicFields + privateFields : publicFields;
+  /**
+   * Paginate an embedded follower/following list
+   * Private method shared by getUserFollowers and getUserFollowing
+   * 
+   * @param {string} userId - User ID
+   * @param {string} relation - 'followers' or 'following'
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @param {string} requestingUserId - ID of user making the request
+   * @returns {Promise<Object>} Page items and pagination metadata
+   */
+  async _getRelationPage(userId, relation, page, limit, requestingUserId) {
+    const user = await User.findOne({ _id: userId, isActive: true, deletedAt: null })
+      .select('followers following privacySettings')
+      .populate(`${relation}.user`, this._getRelationFields())
+      .lean();
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isOwnProfile = requestingUserId === userId;
+    // followers are only populated when that is the relation being listed
+    const isFollowing = !!requestingUserId && user.followers.some(
+      f => f.user && (f.user._id || f.user).toString() === requestingUserId
+    );
+
+    if (!this._canViewProfile(user, isOwnProfile, isFollowing)) {
+      throw new ForbiddenError('This profile is private');
+    }
+
+    // Newest relationships first, skipping accounts that no longer exist
+    const entries = (user[relation] || [])
+      .filter(entry => entry.user)
+      .sort((a, b) => new Date(b.followedAt) - new Date(a.followedAt));
+
+    const offset = (page - 1) * limit;
+    const total = entries.length;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      items: entries.slice(offset, offset + limit).map(entry => ({
+        ...entry.user,
+        followedAt: entry.followedAt
+      })),
+      meta: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
   }
 
   /**
@@ -521,52 +655,15 @@ class UserService {
     const filtered = { ...user };
 
     // Apply email privacy
-    if (user.privacy?.showEmail === false) {
+    if (!user.privacySettings?.showEmail) {
       delete filtered.email;
     }
 
-    // Apply activity privacy
-    if (user.privacy?.showLastActive === false) {
-      delete filtered.lastActive;
-    }
-
-    // Apply follower/following privacy
-    if (user.privacy?.showFollowers === false && !isFollowing) {
-      filtered.followers = [];
-      filtered.followerCount = 0;
-    }
-
-    if (user.privacy?.showFollowing === false && !isFollowing) {
-      filtered.following = [];
-      filtered.followingCount = 0;
-    }
+    // Settings are only relevant to the owner
+    delete filtered.privacySettings;
 
     return filtered;
   }
-
-  /**
-   * Check if user can message another user
-   * Private method to determine messaging permissions
-   * 
-   * @param {Object} user - Target user
-   * @param {string} requestingUserId - Requesting user ID
-   * @param {boolean} isFollowing - Whether users follow each other
-   * @returns {boolean} Whether messaging is allowed
-   */
-  _canMessage(user, requestingUserId, isFollowing) {
-    const messagePrivacy = user.privacy?.allowMessagesFrom || 'followers';
-
-    switch (messagePrivacy) {
-      case 'everyone':
-        return true;
-      case 'followers':
-        return isFollowing;
-      case 'none':
-        return false;
-      default:
-        return isFollowing;
-    }
-  }
 }
 
 module.exports = new UserService();
@@ -0,0 +1,335 @@
+/**
+ * Writer Application Service
+ *
+ * Handles the reader → writer upgrade: readers apply with a pen name,
+ * genres and a writing sample; reviewers approve or reject from a queue.
+ *
+ * Features:
+ * - Apply, view status and withdraw (applicant side)
+ * - Review queue with pagination, approve/reject with notes (reviewer side)
+ * - Approval switches the role on the same account, so follows, likes,
+ *   bookmarks and comments (reading history) are kept
+ * - SYSTEM notification to the applicant on every decision
+ *
+ * Security Notes:
+ * - Only readers can apply, one pending application at a time
+ * - Reviews need the application:review permission (see routes/admin.routes.js)
+ * - A pending application is claimed atomically so two reviewers can't both decide it
+ */
+
+const User = require('../models/User');
+const WriterApplication = require('../models/WriterApplication');
+const notificationService = require('./notification.service');
+const { NOTIFICATION_TYPES } = require('./notification.service');
+const {
+  NotFoundError,
+  ConflictError,
+  ForbiddenError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const APPLICANT_FIELDS = 'fullName email role genres createdAt';
+
+class WriterApplicationService {
+  /**
+   * Submit an application to become a writer
+   *
+   * @param {string} userId - Applicant ID
+   * @param {Object} applicationData - { penName, genres, sample: { title, content }, statement }
+   * @returns {Promise<Object>} Created application
+   */
+  async apply(userId, applicationData) {
+    logger.info('Writer application submitted', { userId });
+
+    const user = await User.findById(userId).select('role');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.role !== 'reader') {
+      throw new ForbiddenError('Only readers can apply to become writers');
+    }
+
+    const pending = await WriterApplication.exists({ applicant: userId, status: 'pending' });
+    if (pending) {
+      throw new ConflictError('You already have a pending writer application');
+    }
+
+    await this._assertPenNameAvailable(applicationData.penName, userId);
+
+    try {
+      const application = await WriterApplication.create({
+        applicant: userId,
+        ...applicationData
+      });
+
+      return application.toJSON();
+    } catch (error) {
+      // Lost a race against a parallel submission (partial unique index)
+      if (error.code === 11000) {
+        throw new ConflictError('You already have a pending writer application');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the applicant's most recent application
+   *
+   * @param {string} userId - Applicant ID
+   * @returns {Promise<Object|null>} Latest application, or null if they never applied
+   */
+  async getLatestApplication(userId) {
+    return WriterApplication.findOne({ applicant: userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Withdraw the applicant's pending application
+   *
+   * @param {string} userId - Applicant ID
+   * @returns {Promise<Object>} Result message
+   */
+  async withdraw(userId) {
+    logger.info('Writer application withdrawn', { userId });
+
+    const application = await WriterApplication.findOneAndUpdate(
+      { applicant: userId, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+
+    if (!application) {
+      throw new NotFoundError('Pending writer application');
+    }
+
+    return { message: 'Writer application withdrawn' };
+  }
+
+  /**
+   * List applications for review (oldest first)
+   *
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Applications with pagination metadata
+   */
+  async getQueue(filters = {}, pagination = {}) {
+    const { status = 'pending' } = filters;
+    const { page = 1, limit = 20 } = pagination;
+
+    logger.info('Admin: Fetching writer applications', { status, page, limit });
+
+    const query = { status };
+    const [applications, total] = await Promise.all([
+      WriterApplication.find(query)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('applicant', APPLICANT_FIELDS)
+        .populate('reviewedBy', 'fullName')
+        .lean(),
+      WriterApplication.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      applications,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get one application with its applicant's history
+   *
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Application and previous applications
+   */
+  async getApplication(applicationId) {
+    const application = await WriterApplication.findById(applicationId)
+      .populate('applicant', APPLICANT_FIELDS)
+      .populate('reviewedBy', 'fullName')
+      .lean();
+
+    if (!application) {
+      throw new NotFoundError('Writer application not found');
+    }
+
+    const previous = await WriterApplication.find({
+      applicant: application.applicant._id,
+      _id: { $ne: application._id }
+    })
+      .sort({ createdAt: -1 })
+      .select('penName status reviewNotes reviewedAt createdAt')
+      .lean();
+
+    return { application, previousApplications: previous };
+  }
+
+  /**
+   * Approve an application: the applicant becomes a writer
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} reviewerId - Reviewer ID
+   * @param {string} [notes] - Notes for the applicant
+   * @returns {Promise<Object>} Decided application
+   */
+  async approve(applicationId, reviewerId, notes) {
+    logger.info('Admin: Approve writer application', { applicationId, reviewerId });
+
+    const pending = await this._findPending(applicationId);
+
+    const user = await User.findById(pending.applicant);
+    if (!user || !user.isActive || user.deletedAt) {
+      throw new ConflictError('The applicant account is no longer active');
+    }
+
+    if (user.role !== 'reader') {
+      throw new ConflictError(`The applicant is no longer a reader (current role: ${user.role})`);
+    }
+
+    await this._assertPenNameAvailable(pending.penName, user._id);
+
+    const application = await this._decide(applicationId, 'approved', reviewerId, notes);
+
+    // Same account, new role: follows, likes, bookmarks and comments stay
+    user.role = 'writer';
+    user.penName = application.penName;
+    user.genres = [...new Set([...(user.genres || []), ...application.genres])];
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Put the application back in the queue so it can be reviewed again
+      await WriterApplication.updateOne(
+        { _id: application._id },
+        { $set: { status: 'pending', reviewedBy: null, reviewedAt: null }, $unset: { reviewNotes: '' } }
+      );
+      throw error;
+    }
+
+    await this._notifyApplicant(application, {
+      title: 'You are now a writer!',
+      message: `Your writer application was approved. You can now publish as ${application.penName}.`
+    });
+
+    this._audit('writer_application_approved', reviewerId, application);
+
+    return application.toJSON();
+  }
+
+  /**
+   * Reject an application
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} reviewerId - Reviewer ID
+   * @param {string} notes - Reason, shown to the applicant
+   * @returns {Promise<Object>} Decided application
+   */
+  async reject(applicationId, reviewerId, notes) {
+    logger.info('Admin: Reject writer application', { applicationId, reviewerId });
+
+    await this._findPending(applicationId);
+
+    const application = await this._decide(applicationId, 'rejected', reviewerId, notes);
+
+    await this._notifyApplicant(application, {
+      title: 'Writer application update',
+      message: `Your writer application was not approved this time. Reviewer notes: ${notes}`
+    });
+
+    this._audit('writer_application_rejected', reviewerId, application);
+
+    return application.toJSON();
+  }
+
+  /**
+   * Private helper methods
+   */
+
+  async _findPending(applicationId) {
+    const application = await WriterApplication.findById(applicationId);
+    if (!application) {
+      throw new NotFoundError('Writer application not found');
+    }
+
+    if (application.status !== 'pending') {
+      throw new ConflictError(`Application has already been ${application.status}`);
+    }
+
+    return application;
+  }
+
+  // Claim the pending application atomically
+  async _decide(applicationId, status, reviewerId, notes) {
+    const application = await WriterApplication.findOneAndUpdate(
+      { _id: applicationId, status: 'pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date(),
+          reviewNotes: notes
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!application) {
+      throw new ConflictError('Application has already been reviewed');
+    }
+
+    return application;
+  }
+
+  async _assertPenNameAvailable(penName, userId) {
+    const taken = await User.exists({ _id: { $ne: userId }, penName })
+      .collation({ locale: 'en', strength: 2 });
+
+    if (taken) {
+      throw new ConflictError(`The pen name "${penName}" is already in use`);
+    }
+  }
+
+  async _notifyApplicant(application, { title, message }) {
+    try {
+      await notificationService.createNotification({
+        recipientId: application.applicant,
+        type: NOTIFICATION_TYPES.SYSTEM,
+        title,
+        message: message.slice(0, 500),
+        relatedType: 'system',
+        metadata: {
+          event: `writer_application_${application.status}`,
+          applicationId: application._id
+        }
+      });
+    } catch (error) {
+      // The decision stands even if the notification can't be delivered
+      logger.error('Writer application notification failed', {
+        applicationId: application._id,
+        error: error.message
+      });
+    }
+  }
+
+  _audit(action, reviewerId, application) {
+    logger.warn('Admin action performed', {
+      action,
+      adminId: reviewerId,
+      applicationId: application._id,
+      applicantId: application.applicant,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new WriterApplicationService();
@@ -0,0 +1,106 @@
+/**
+ * 📱 DEVICE DETECTION UTILITIES
+ *
+ * Turns a request's User-Agent into the `deviceInfo` stored on refresh
+ * tokens (browser, OS, device type) and derives a stable device fingerprint
+ * used to spot sign-ins from unrecognised devices.
+ *
+ * Learning Points:
+ * - User-Agent parsing is best effort; order matters (Edge and Opera
+ *   also claim to be Chrome, Chrome also claims to be Safari)
+ * - The fingerprint deliberately ignores the IP address and browser version,
+ *   which change all the time on the same device
+ */
+
+const crypto = require('crypto');
+
+// First match wins
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['ChromeOS', /CrOS [\w]+ ([\d.]+)/],
+  ['Linux', /Linux()/],
+];
+
+/**
+ * 🔍 Parse a User-Agent string
+ *
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, browserVersion, os, osVersion, platform }
+ */
+const parseUserAgent = (userAgent = '') => {
+  const match = (list) => {
+    for (const [name, pattern] of list) {
+      const found = userAgent.match(pattern);
+      if (found) {
+        return { name, version: (found[1] || '').replace(/_/g, '.') || undefined };
+      }
+    }
+    return { name: 'Unknown' };
+  };
+
+  const browser = match(BROWSERS);
+  const os = match(OPERATING_SYSTEMS);
+
+  let platform = 'desktop';
+  if (/bot|crawler|spider|curl|wget|postman/i.test(userAgent)) {
+    platform = 'bot';
+  } else if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    platform = 'tablet';
+  } else if (/Mobi|iPhone|iPod/i.test(userAgent)) {
+    platform = 'mobile';
+  } else if (!userAgent) {
+    platform = 'unknown';
+  }
+
+  return {
+    browser: browser.name,
+    browserVersion: browser.version,
+    os: os.name,
+    osVersion: os.version,
+    platform,
+  };
+};
+
+/**
+ * 🧾 Build the deviceInfo stored with a session from an Express request
+ */
+const getDeviceInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  const { browser, os, platform } = parseUserAgent(userAgent);
+
+  return {
+    userAgent,
+    ipAddress: req.ip,
+    browser,
+    os,
+    platform,
+  };
+};
+
+/**
+ * 🫆 Stable fingerprint for "have we seen this device before?"
+ */
+const getDeviceFingerprint = (deviceInfo = {}) => crypto
+  .createHash('sha256')
+  .update([deviceInfo.browser, deviceInfo.os, deviceInfo.platform].join('|'))
+  .digest('hex')
+  .slice(0, 32);
+
+module.exports = {
+  parseUserAgent,
+  getDeviceInfo,
+  getDeviceFingerprint,
+};
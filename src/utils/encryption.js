@@ -0,0 +1,60 @@
+/**
+ * 🔐 FIELD ENCRYPTION UTILITIES
+ *
+ * Symmetric encryption for secrets that must be readable again later
+ * (e.g. TOTP secrets), unlike passwords, which are hashed.
+ *
+ * Format: base64(iv).base64(authTag).base64(ciphertext) using AES-256-GCM.
+ *
+ * Learning Points:
+ * - GCM authenticates the ciphertext, so tampering is detected on decrypt
+ * - A fresh random IV per value is mandatory with GCM
+ * - The key lives in configuration, never next to the data
+ */
+
+const crypto = require('crypto');
+const { CONFIG } = require('../config/index.js');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * 🔑 Derive the 256-bit key from configuration
+ */
+const getKey = () => crypto.createHash('sha256').update(CONFIG.ENCRYPTION_KEY).digest();
+
+/**
+ * 🔒 Encrypt a string
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * 🔓 Decrypt a value produced by encrypt()
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * #️⃣ Keyed hash for one-time codes (recovery codes, etc.)
+ */
+const hashToken = (value) => crypto
+  .createHmac('sha256', getKey())
+  .update(value)
+  .digest('hex');
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hashToken,
+};
@@ -102,6 +102,17 @@ class AuthorizationError extends AppError {
   }
 }
 
+/**
+ * ⛔ Forbidden Error Class
+ * 
+ * Used when an authenticated user acts on a resource they don't own
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'Access forbidden') {
+    super(message, 403, 'FORBIDDEN_ERROR');
+  }
+}
+
 /**
  * 🔍 Not Found Error Class
  * 
@@ -298,6 +309,7 @@ module.exports = {
   ValidationError,
   AuthenticationError,
   AuthorizationError,
+  ForbiddenError,
   NotFoundError,
   ConflictError,
   RateLimitError,
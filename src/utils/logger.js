@@ -1,24 +1,211 @@
 /**
- * Simple Logger Utility
- * Basic logging for the application
+ * 📝 LOGGER
+ *
+ * Structured logging on winston. Every line is one JSON object with a
+ * timestamp, level, message and channel, plus the correlation ID of the
+ * request being handled (see middlewares/request-context.js).
+ *
+ * Channels, each its own stream:
+ * - app      → info/warn/error/debug/http (and metrics at debug level)
+ * - business → logBusiness(event, data): what users did (posts, follows, ...)
+ * - security → logSecurity(event, severity, data) and logAuth(event, data)
+ *
+ * All channels print to stdout. With LOG_DIR set, each also writes daily
+ * rotated files (app-YYYY-MM-DD.log, business-..., security-...) kept for
+ * LOG_RETENTION_DAYS.
+ *
+ * Passwords, tokens, secrets, cookies and Authorization headers are redacted
+ * before anything is written, wherever they sit in the logged data.
+ *
+ * Learning Points:
+ * - JSON lines can be searched by field (`correlationId`, `userId`, `event`)
+ * - Redacting in the logger protects every call site, including future ones
  */
 
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const { CONFIG } = require('../config/index.js');
+const { getCorrelationId } = require('./request-context.js');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Keys like password, newPassword, EMAIL_PASS, refreshToken, JWT_SECRET, authorization, cookie
+const SENSITIVE_KEY_PATTERN = /((^|_)pass$|password$|passwordhash$|secret$|token$|authorization$|cookie$|apikey$|recoverycodes$)/i;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/=-]+/g;
+
+// logSecurity severities → log levels
+const SEVERITY_LEVELS = {
+  low: 'info',
+  medium: 'warn',
+  high: 'error',
+  critical: 'error',
+};
+
+/**
+ * 🙈 Copy of a value with sensitive fields replaced
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return value.replace(BEARER_PATTERN, `Bearer ${REDACTED}`);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+
+  // Dates, ObjectIds and documents describe themselves
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    return json === value ? String(value) : redact(json, depth, seen);
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    output[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== undefined && item !== null && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return output;
+};
+
+/**
+ * 🧩 winston formats
+ */
+const correlationFormat = winston.format((info) => {
+  if (!info.correlationId) {
+    const correlationId = getCorrelationId();
+    if (correlationId) info.correlationId = correlationId;
+  }
+  return info;
+});
+
+const redactFormat = winston.format((info) => {
+  // Symbol keys (level/splat bookkeeping) are not returned by Object.keys
+  for (const key of Object.keys(info)) {
+    if (key === 'level') continue;
+    info[key] = SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+const prettyFormat = winston.format.printf(({ timestamp, level, message, channel, correlationId, ...meta }) => {
+  const rest = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+  const request = correlationId ? ` [${correlationId}]` : '';
+  return `${timestamp} ${level.toUpperCase()} ${channel}${request} ${message}${rest}`;
+});
+
+const lineFormat = winston.format.combine(
+  winston.format.timestamp(),
+  correlationFormat(),
+  redactFormat(),
+  CONFIG.LOG_FORMAT === 'pretty' ? prettyFormat : winston.format.json()
+);
+
+/**
+ * 🚰 One winston logger per channel
+ */
+const createStream = (channel) => {
+  const transports = [new winston.transports.Console({ stderrLevels: ['error'] })];
+
+  if (CONFIG.LOG_DIR) {
+    transports.push(new winston.transports.DailyRotateFile({
+      dirname: CONFIG.LOG_DIR,
+      filename: `${channel}-%DATE%.log`,
+      datePattern: 'YYYY-MM-DD',
+      maxFiles: `${CONFIG.LOG_RETENTION_DAYS}d`,
+    }));
+  }
+
+  return winston.createLogger({
+    level: CONFIG.LOG_LEVEL,
+    levels: winston.config.npm.levels,
+    format: lineFormat,
+    defaultMeta: { channel },
+    transports,
+  });
+};
+
+const streams = {
+  app: createStream('app'),
+  business: createStream('business'),
+  security: createStream('security'),
+};
+
+/**
+ * 📦 Normalize the data argument into log fields
+ * A `message` field would be glued onto the message by winston, so it moves to `detail`.
+ */
+const toFields = (data) => {
+  if (data === undefined || data === null) return {};
+  if (data instanceof Error) return { error: data };
+  if (typeof data !== 'object' || Array.isArray(data)) return { data };
+
+  if ('message' in data) {
+    const { message, ...rest } = data;
+    return { ...rest, detail: message };
+  }
+  return data;
+};
+
 const logger = {
+  log: (level, message, data) => {
+    streams.app.log(level, message, toFields(data));
+  },
+
   info: (message, data) => {
-    console.log(`[INFO] ${message}`, data ? JSON.stringify(data) : '');
+    streams.app.info(message, toFields(data));
   },
-  
+
   error: (message, data) => {
-    console.error(`[ERROR] ${message}`, data ? JSON.stringify(data) : '');
+    streams.app.error(message, toFields(data));
   },
-  
+
   warn: (message, data) => {
-    console.warn(`[WARN] ${message}`, data ? JSON.stringify(data) : '');
+    streams.app.warn(message, toFields(data));
+  },
+
+  http: (message, data) => {
+    streams.app.http(message, toFields(data));
   },
-  
+
   debug: (message, data) => {
-    console.debug(`[DEBUG] ${message}`, data ? JSON.stringify(data) : '');
-  }
+    streams.app.debug(message, toFields(data));
+  },
+
+  // Category helpers used by middlewares, models and services
+  logAuth: (event, data) => {
+    streams.security.info(event, { ...toFields(data), channel: 'auth', event });
+  },
+
+  logSecurity: (event, severity, data) => {
+    streams.security.log(SEVERITY_LEVELS[severity] || 'warn', event, { ...toFields(data), event, severity });
+  },
+
+  logBusiness: (event, data) => {
+    streams.business.info(event, { ...toFields(data), event });
+  },
+
+  logMetrics: (data) => {
+    streams.app.debug('metrics', { ...toFields(data), channel: 'metrics' });
+  },
 };
 
 // Export for CommonJS
@@ -27,3 +214,4 @@ module.exports = logger;
 // Export for ES6 modules (for compatibility with existing models)
 module.exports.appLogger = logger;
 module.exports.default = logger;
+module.exports.redact = redact;
@@ -0,0 +1,39 @@
+/**
+ * 🧵 REQUEST CONTEXT
+ *
+ * Per-request values (the correlation ID) kept in AsyncLocalStorage, so code
+ * deep inside services and models can log them without being handed `req`.
+ * The context follows the request through awaits, timers and callbacks.
+ *
+ * Learning Points:
+ * - AsyncLocalStorage is Node's built-in "thread-local" for async code
+ * - Outside a request (startup, background jobs) there is no context
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * ▶️ Run a function inside a context
+ *
+ * @param {Object} context - e.g. { correlationId }
+ * @param {Function} fn - Everything it starts sees the context
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * 📦 The current context (undefined outside a request)
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * 🔗 Correlation ID of the current request, if any
+ */
+const getCorrelationId = () => storage.getStore()?.correlationId;
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getCorrelationId,
+};
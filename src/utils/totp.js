@@ -0,0 +1,152 @@
+/**
+ * 🔢 TOTP (RFC 6238) UTILITIES
+ *
+ * Time-based one-time passwords as used by Google Authenticator, 1Password,
+ * Authy and friends: HMAC-SHA1 over a 30-second time step, truncated to
+ * 6 digits (RFC 4226 dynamic truncation).
+ *
+ * Learning Points:
+ * - Secrets are shared as base32 so users can type them in by hand
+ * - Verification accepts ±1 step to tolerate clock drift
+ * - Returning the matched step lets callers reject replays of the same code
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * 🔤 Encode bytes as unpadded base32 (RFC 4648)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * 🔤 Decode base32 (case-insensitive, spaces and padding ignored)
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 🎲 Generate a new random secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * ⏱️ Time step for a timestamp
+ */
+const timeStep = (at = Date.now()) => Math.floor(at / 1000 / PERIOD_SECONDS);
+
+/**
+ * 🔢 Compute the code for a given time step (RFC 4226 HOTP)
+ */
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * ✅ Verify a code within ±window steps
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Accepted steps before/after now
+ * @param {number} [options.at] - Timestamp to verify against (ms)
+ * @returns {number|null} The matched time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1, at = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const current = timeStep(at);
+  const expected = Buffer.from(String(code));
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 🔗 Build the otpauth:// provisioning URI (rendered as a QR code by clients)
+ *
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - Service name shown in the authenticator app
+ * @returns {string} Provisioning URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
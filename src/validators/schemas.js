@@ -20,6 +20,7 @@
  */
 
 const { z } = require('zod');
+const { PERMISSIONS, WILDCARD_PERMISSION, TOKEN_SCOPES, SELF_REGISTRATION_ROLES } = require('../config/permissions.js');
 
 /**
  * 🔧 Common Validation Helpers
@@ -46,12 +47,46 @@ const emailSchema = z.string()
 const mongoIdSchema = z.string()
   .regex(objectIdRegex, 'Invalid ID format');
 
+// Role names (built-in or custom roles, see models/Role.js)
+const roleNameSchema = z.string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers, - or _');
+
 // Username validation
 const usernameSchema = z.string()
   .min(3, 'Username must be at least 3 characters long')
   .max(30, 'Username must not exceed 30 characters')
   .regex(/^[a-zA-Z0-9_-]+$/, 'Username can only contain letters, numbers, underscores, and hyphens');
 
+// Post genre validation (mirrors the Post model enum)
+const genreSchema = z.enum([
+  'Lyrical', 'Narrative', 'Sonnet', 'Haiku',
+  'Fantasy', 'Free Verse', 'Drama', 'Epic',
+  'Comedy', 'Romance', 'Mystery', 'Horror',
+  'Science Fiction', 'Historical', 'Other'
+], { errorMap: () => ({ message: 'Please select a valid genre' }) });
+
+// Notification type validation (mirrors NOTIFICATION_TYPES in notification.service.js)
+const notificationTypeSchema = z.enum([
+  'follow', 'like_post', 'like_comment', 'comment', 'reply',
+  'mention', 'post_published', 'achievement', 'system'
+]);
+
+// Time of day in 24h HH:MM format
+const timeOfDaySchema = z.string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must use HH:MM format');
+
+// IANA timezone name (e.g. Europe/Lisbon)
+const timezoneSchema = z.string().refine(tz => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, 'Invalid timezone');
+
 /**
  * 📊 PAGINATION SCHEMA
  */
@@ -67,14 +102,15 @@ const paginationSchema = z.object({
 
 // User registration schema
 const registerSchema = z.object({
-  username: usernameSchema,
+  fullName: z.string()
+    .trim()
+    .min(2, 'Full name must be at least 2 characters long')
+    .max(100, 'Full name must not exceed 100 characters'),
   email: emailSchema,
   password: passwordSchema,
-  displayName: z.string()
-    .min(2, 'Display name must be at least 2 characters long')
-    .max(50, 'Display name must not exceed 50 characters')
-    .optional(),
-  role: z.enum(['reader', 'writer']).default('reader'),
+  role: z.enum(SELF_REGISTRATION_ROLES, {
+    errorMap: () => ({ message: `Role must be one of: ${SELF_REGISTRATION_ROLES.join(', ')}` })
+  }).default('reader'),
   bio: z.string()
     .max(500, 'Bio must not exceed 500 characters')
     .optional(),
@@ -99,6 +135,15 @@ const forgotPasswordSchema = z.object({
   email: emailSchema
 });
 
+// Magic link (passwordless sign-in) schemas
+const requestMagicLinkSchema = z.object({
+  email: emailSchema
+});
+
+const magicLinkLoginSchema = z.object({
+  token: z.string().min(1, 'Sign-in token is required')
+});
+
 // Password reset schema
 const resetPasswordSchema = z.object({
   token: z.string().min(1, 'Reset token is required'),
@@ -116,20 +161,52 @@ const verifyEmailSchema = z.object({
   token: z.string().min(1, 'Verification token is required')
 });
 
+// Email change schemas
+const changeEmailSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newEmail: emailSchema
+});
+
+const emailChangeTokenSchema = z.object({
+  token: z.string().min(1, 'Token is required')
+});
+
 // 2FA schemas
+const totpCodeSchema = z.string()
+  .trim()
+  .length(6, '2FA code must be 6 digits')
+  .regex(/^\d{6}$/, '2FA code must contain only digits');
+
+// A current authenticator code or a one-time recovery code (e.g. K7QXM-3FJ2A)
+const twoFactorCodeSchema = z.string()
+  .trim()
+  .regex(/^(\d{6}|[A-Za-z2-7]{5}-?[A-Za-z2-7]{5})$/, 'Enter a 6-digit code or a recovery code');
+
 const enable2FASchema = z.object({
   password: z.string().min(1, 'Password is required for 2FA setup')
 });
 
+const confirm2FASchema = z.object({
+  code: totpCodeSchema
+});
+
 const disable2FASchema = z.object({
-  password: z.string().min(1, 'Password is required to disable 2FA')
+  password: z.string().min(1, 'Password is required to disable 2FA'),
+  code: twoFactorCodeSchema
 });
 
 const verify2FASchema = z.object({
-  token: z.string()
-    .length(6, '2FA token must be 6 digits')
-    .regex(/^\d{6}$/, '2FA token must contain only digits'),
-  email: emailSchema
+  challengeToken: z.string().min(1, '2FA challenge token is required'),
+  code: twoFactorCodeSchema
+});
+
+// Step-up re-authentication: the password, or a 2FA code when 2FA is enabled
+const stepUpSchema = z.object({
+  password: z.string().min(1).optional(),
+  code: twoFactorCodeSchema.optional()
+}).refine(data => data.password || data.code, {
+  message: 'Enter your password or a two-factor code',
+  path: ['password']
 });
 
 // Session management schemas
@@ -137,6 +214,26 @@ const revokeSessionSchema = z.object({
   sessionId: z.string().min(1, 'Session ID is required')
 });
 
+// Personal access token schemas
+const createPersonalAccessTokenSchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, 'Token name is required')
+    .max(100, 'Token name cannot exceed 100 characters'),
+  scopes: z.array(z.enum(TOKEN_SCOPES))
+    .min(1, 'At least one scope is required')
+    .transform(scopes => [...new Set(scopes)]),
+  expiresInDays: z.number()
+    .int('Expiry must be a whole number of days')
+    .min(1, 'Expiry must be at least 1 day')
+    .max(365, 'Expiry cannot exceed 365 days')
+    .optional()
+});
+
+const personalAccessTokenIdSchema = z.object({
+  tokenId: mongoIdSchema
+});
+
 /**
  * � USER SCHEMAS
  */
@@ -183,11 +280,29 @@ const userUpdateSchema = z.object({
     theme: z.enum(['light', 'dark', 'auto']).optional(),
     language: z.string().length(2).optional(),
     notifications: z.object({
+      // Global channel switches
+      inApp: z.boolean().optional(),
       email: z.boolean().optional(),
       push: z.boolean().optional(),
+      // Shorthands for the most common per-type switches (all channels)
       newFollower: z.boolean().optional(),
       newComment: z.boolean().optional(),
-      newLike: z.boolean().optional()
+      newLike: z.boolean().optional(),
+      // Fine-grained per type, per channel
+      types: z.record(
+        notificationTypeSchema,
+        z.object({
+          inApp: z.boolean().optional(),
+          email: z.boolean().optional(),
+          push: z.boolean().optional()
+        })
+      ).optional(),
+      quietHours: z.object({
+        enabled: z.boolean().optional(),
+        start: timeOfDaySchema.optional(),
+        end: timeOfDaySchema.optional(),
+        timezone: timezoneSchema.optional()
+      }).optional()
     }).optional(),
     contentPreferences: z.object({
       showMatureContent: z.boolean().optional(),
@@ -212,7 +327,7 @@ const userSearchSchema = z.object({
     .max(100, 'Search term must be at most 100 characters')
     .optional(),
   
-  role: z.enum(['reader', 'writer', 'admin']).optional(),
+  role: roleNameSchema.optional(),
   
   isVerified: z.string()
     .transform(val => val === 'true')
@@ -239,6 +354,8 @@ const postCreateSchema = z.object({
     .min(50, 'Content must be at least 50 characters')
     .max(100000, 'Content must be at most 100,000 characters'),
   
+  genre: genreSchema,
+  
   excerpt: z.string()
     .max(500, 'Excerpt must be at most 500 characters')
     .optional(),
@@ -305,6 +422,8 @@ const postUpdateSchema = z.object({
     .max(100000, 'Content must be at most 100,000 characters')
     .optional(),
   
+  genre: genreSchema.optional(),
+  
   excerpt: z.string()
     .max(500, 'Excerpt must be at most 500 characters')
     .optional(),
@@ -356,6 +475,8 @@ const postUpdateSchema = z.object({
 const postQuerySchema = z.object({
   author: mongoIdSchema.optional(),
   
+  genre: genreSchema.optional(),
+  
   category: z.string()
     .min(1, 'Category cannot be empty')
     .max(50, 'Category must be at most 50 characters')
@@ -440,6 +561,33 @@ const commentQuerySchema = z.object({
   sortOrder: z.enum(['asc', 'desc']).default('desc')
 });
 
+// Post comments listing schema
+const commentListQuerySchema = paginationSchema.extend({
+  mode: z.enum(['flat', 'tree']).default('flat'), // tree = nested replies
+  
+  parentComment: mongoIdSchema.optional(),
+  
+  maxDepth: z.coerce.number()
+    .min(0, 'Max depth must be at least 0')
+    .max(5, 'Max depth cannot exceed 5')
+    .default(3),
+  
+  sortBy: z.enum(['createdAt', 'updatedAt', 'likeCount'])
+    .default('createdAt'),
+  
+  sortOrder: z.enum(['asc', 'desc']).default('desc')
+});
+
+// Comment report schema
+const commentReportSchema = z.object({
+  reason: z.enum(['spam', 'inappropriate', 'harassment', 'off-topic', 'other']),
+  
+  description: z.string()
+    .max(500, 'Description must be at most 500 characters')
+    .optional()
+    .default('')
+});
+
 /**
  * 🤝 INTERACTION SCHEMAS
  */
@@ -560,7 +708,7 @@ const adminAnalyticsSchema = z.object({
 // User management schemas
 const adminUserUpdateSchema = z.object({
   body: z.object({
-    role: z.enum(['reader', 'writer', 'admin']).optional(),
+    role: roleNameSchema.optional(),
     isActive: z.boolean().optional(),
     isVerified: z.boolean().optional(),
     permissions: z.array(z.string()).optional()
@@ -576,6 +724,135 @@ const moderateContentSchema = z.object({
   })
 });
 
+// Admin console query/body schemas (used with the validate middleware)
+const booleanQuerySchema = z.enum(['true', 'false']).optional();
+
+const adminUserQuerySchema = paginationSchema.extend({
+  role: roleNameSchema.optional(),
+  isActive: booleanQuerySchema,
+  isVerified: booleanQuerySchema,
+  search: z.string().trim().max(100, 'Search query must be at most 100 characters').optional(),
+  sortBy: z.enum(['createdAt', 'fullName', 'email', 'lastActive']).default('createdAt'),
+  sortOrder: z.enum(['asc', 'desc']).default('desc')
+});
+
+const adminPostQuerySchema = paginationSchema.extend({
+  status: z.string()
+    .regex(/^(draft|published|archived|deleted)(,(draft|published|archived|deleted))*$/, 'Invalid status filter')
+    .optional(), // comma-separated statuses
+  author: mongoIdSchema.optional(),
+  reported: booleanQuerySchema,
+  featured: booleanQuerySchema,
+  search: z.string().trim().max(100, 'Search query must be at most 100 characters').optional(),
+  sortBy: z.enum(['createdAt', 'publishedAt', 'title']).default('createdAt'),
+  sortOrder: z.enum(['asc', 'desc']).default('desc')
+});
+
+const adminBanSchema = z.object({
+  action: z.enum(['ban', 'unban'], {
+    errorMap: () => ({ message: 'Action must be either "ban" or "unban"' })
+  }),
+  reason: z.string().trim().max(500, 'Reason must be at most 500 characters').optional(),
+  duration: z.number().int().min(1, 'Duration must be a positive number of days').max(3650).optional()
+}).refine(
+  data => data.action !== 'ban' || (data.reason && data.reason.length >= 10),
+  { message: 'Ban reason must be at least 10 characters long', path: ['reason'] }
+);
+
+const adminDeletePostSchema = z.object({
+  reason: z.string()
+    .trim()
+    .min(10, 'Deletion reason must be at least 10 characters long')
+    .max(500, 'Reason must be at most 500 characters')
+});
+
+const adminFeaturePostSchema = z.object({
+  featured: z.boolean({ required_error: 'Featured must be a boolean value' })
+});
+
+const adminAnalyticsQuerySchema = z.object({
+  timeframe: z.enum(['7d', '30d', '90d']).default('30d')
+});
+
+const adminUserSearchSchema = z.object({
+  q: z.string().trim().min(2, 'Search query must be at least 2 characters long').max(100),
+  limit: z.coerce.number().int().min(1).max(100, 'Limit must be between 1 and 100').default(20),
+  includeInactive: booleanQuerySchema
+});
+
+// Role management schemas
+const rolePermissionsSchema = z.array(z.enum([...PERMISSIONS, WILDCARD_PERMISSION]))
+  .transform(permissions => [...new Set(permissions)]);
+
+const roleDescriptionSchema = z.string()
+  .trim()
+  .max(200, 'Description must be at most 200 characters');
+
+const createRoleSchema = z.object({
+  name: roleNameSchema,
+  description: roleDescriptionSchema.optional(),
+  permissions: rolePermissionsSchema
+});
+
+const updateRoleSchema = z.object({
+  description: roleDescriptionSchema.optional(),
+  permissions: rolePermissionsSchema.optional()
+}).refine(
+  data => data.description !== undefined || data.permissions !== undefined,
+  { message: 'Provide a description or permissions to update' }
+);
+
+const assignRoleSchema = z.object({
+  role: roleNameSchema
+});
+
+/**
+ * ✍️ WRITER APPLICATION SCHEMAS
+ */
+
+const writerApplicationSchema = z.object({
+  penName: z.string()
+    .trim()
+    .min(2, 'Pen name must be at least 2 characters long')
+    .max(50, 'Pen name must not exceed 50 characters'),
+  genres: z.array(genreSchema)
+    .min(1, 'Choose at least one genre')
+    .max(5, 'Choose at most 5 genres')
+    .transform(genres => [...new Set(genres)]),
+  sample: z.object({
+    title: z.string()
+      .trim()
+      .min(1, 'Sample title is required')
+      .max(200, 'Sample title must not exceed 200 characters'),
+    content: z.string()
+      .min(100, 'Writing sample must be at least 100 characters long')
+      .max(10000, 'Writing sample must not exceed 10000 characters')
+  }),
+  statement: z.string()
+    .trim()
+    .max(1000, 'Statement must not exceed 1000 characters')
+    .optional()
+});
+
+const writerApplicationQuerySchema = paginationSchema.extend({
+  status: z.enum(['pending', 'approved', 'rejected', 'withdrawn']).default('pending')
+});
+
+const writerApplicationIdSchema = z.object({
+  applicationId: mongoIdSchema
+});
+
+const approveWriterApplicationSchema = z.object({
+  notes: z.string().trim().max(1000, 'Notes must be at most 1000 characters').optional()
+});
+
+const rejectWriterApplicationSchema = z.object({
+  notes: z.string()
+    .trim()
+    .min(10, 'Please explain the decision in at least 10 characters')
+    .max(1000, 'Notes must be at most 1000 characters')
+});
+
 /**
  * 🔔 NOTIFICATION SCHEMAS
  */
@@ -619,6 +896,51 @@ const bulkNotificationUpdateSchema = z.object({
   })
 });
 
+// Inbox schemas (used with the validate middleware)
+const notificationListQuerySchema = paginationSchema.extend({
+  limit: z.coerce.number().min(1, 'Limit must be at least 1').max(50, 'Limit cannot exceed 50').default(20),
+  // Accepts ?types=a,b as well as ?types=a&types=b
+  types: z.preprocess(
+    val => (typeof val === 'string' ? val.split(',').filter(Boolean) : val),
+    z.array(notificationTypeSchema)
+  ).optional(),
+  isRead: z.enum(['true', 'false']).optional(),
+  unreadOnly: z.enum(['true', 'false']).optional()
+});
+
+const notificationIdsSchema = z.object({
+  notificationIds: z.union([
+    mongoIdSchema,
+    z.array(mongoIdSchema)
+      .min(1, 'At least one notification ID is required')
+      .max(100, 'Cannot update more than 100 notifications at once')
+  ], { errorMap: () => ({ message: 'Notification IDs are required' }) })
+});
+
+/**
+ * 📡 REALTIME SCHEMAS
+ */
+
+const MAX_WATCHED_POSTS = 50;
+
+const realtimeStreamQuerySchema = z.object({
+  posts: z.string()
+    .refine(
+      val => val.split(',').filter(Boolean).every(id => objectIdRegex.test(id)),
+      'posts must be a comma-separated list of post IDs'
+    )
+    .refine(
+      val => val.split(',').filter(Boolean).length <= MAX_WATCHED_POSTS,
+      `Cannot watch more than ${MAX_WATCHED_POSTS} posts`
+    )
+    .optional()
+});
+
+const realtimeWatchSchema = z.object({
+  postIds: z.array(mongoIdSchema)
+    .max(MAX_WATCHED_POSTS, `Cannot watch more than ${MAX_WATCHED_POSTS} posts`)
+});
+
 // Export all schemas for use across the application
 module.exports = {
   // Authentication schemas
@@ -628,12 +950,20 @@ module.exports = {
     refreshToken: { body: refreshTokenSchema },
     forgotPassword: { body: forgotPasswordSchema },
     resetPassword: { body: resetPasswordSchema },
+    requestMagicLink: { body: requestMagicLinkSchema },
+    magicLinkLogin: { body: magicLinkLoginSchema },
     changePassword: { body: changePasswordSchema },
     verifyEmail: { body: verifyEmailSchema },
+    changeEmail: { body: changeEmailSchema },
+    emailChangeToken: { body: emailChangeTokenSchema },
     enable2FA: { body: enable2FASchema },
+    confirm2FA: { body: confirm2FASchema },
     disable2FA: { body: disable2FASchema },
     verify2FA: { body: verify2FASchema },
-    revokeSession: { params: revokeSessionSchema }
+    stepUp: { body: stepUpSchema },
+    revokeSession: { params: revokeSessionSchema },
+    createPersonalAccessToken: { body: createPersonalAccessTokenSchema },
+    revokePersonalAccessToken: { params: personalAccessTokenIdSchema }
   },
   
   // User schemas
@@ -658,7 +988,10 @@ module.exports = {
     create: { body: commentCreateSchema, params: z.object({ postId: mongoIdSchema }) },
     update: { body: commentUpdateSchema, params: z.object({ commentId: mongoIdSchema }) },
     getById: { params: z.object({ commentId: mongoIdSchema }) },
-    search: { query: commentQuerySchema }
+    search: { query: commentQuerySchema },
+    list: { params: z.object({ postId: mongoIdSchema }), query: commentListQuerySchema },
+    report: { body: commentReportSchema, params: z.object({ commentId: mongoIdSchema }) },
+    getByUser: { params: z.object({ userId: mongoIdSchema }), query: paginationSchema }
   },
   
   // Interaction schemas
@@ -682,17 +1015,47 @@ module.exports = {
     analytics: adminAnalyticsSchema,
     userUpdate: adminUserUpdateSchema,
     moderateContent: moderateContentSchema,
-    getUsers: { query: paginationSchema.extend({ role: z.enum(['reader', 'writer', 'admin']).optional() }) },
-    getPosts: { query: paginationSchema.extend({ status: z.enum(['draft', 'published', 'archived']).optional() }) }
+    getUsers: { query: adminUserQuerySchema },
+    getPosts: { query: adminPostQuerySchema },
+    toggleBan: { body: adminBanSchema, params: z.object({ userId: mongoIdSchema }) },
+    deletePost: { body: adminDeletePostSchema, params: z.object({ postId: mongoIdSchema }) },
+    featurePost: { body: adminFeaturePostSchema, params: z.object({ postId: mongoIdSchema }) },
+    systemAnalytics: { query: adminAnalyticsQuerySchema },
+    activity: { query: paginationSchema },
+    searchUsers: { query: adminUserSearchSchema },
+    createRole: { body: createRoleSchema },
+    updateRole: { body: updateRoleSchema, params: z.object({ roleName: roleNameSchema }) },
+    deleteRole: { params: z.object({ roleName: roleNameSchema }) },
+    assignRole: { body: assignRoleSchema, params: z.object({ userId: mongoIdSchema }) }
   },
   
+  // Writer application schemas
+  writerApplicationSchemas: {
+    apply: { body: writerApplicationSchema },
+    queue: { query: writerApplicationQuerySchema },
+    getById: { params: writerApplicationIdSchema },
+    approve: { params: writerApplicationIdSchema, body: approveWriterApplicationSchema },
+    reject: { params: writerApplicationIdSchema, body: rejectWriterApplicationSchema }
+  },
+
   // Notification schemas
   notificationSchemas: {
     create: createNotificationSchema,
     update: updateNotificationSchema,
     query: notificationQuerySchema,
     bulkUpdate: bulkNotificationUpdateSchema,
-    getById: { params: z.object({ notificationId: mongoIdSchema }) }
+    getById: { params: z.object({ notificationId: mongoIdSchema }) },
+    list: { query: notificationListQuerySchema },
+    byIds: { body: notificationIdsSchema }
+  },
+
+  // Realtime schemas
+  realtimeSchemas: {
+    stream: { query: realtimeStreamQuerySchema },
+    watchPosts: {
+      params: z.object({ connectionId: z.string().uuid('Invalid connection ID') }),
+      body: realtimeWatchSchema
+    }
   },
   
   // Common schemas (backward compatibility)
@@ -708,6 +1071,7 @@ module.exports = {
   commentCreateSchema,
   commentUpdateSchema,
   commentQuerySchema,
+  commentReportSchema,
   
   // Validation utilities
   mongoIdSchema,
@@ -0,0 +1,111 @@
+/**
+ * Cache store contract
+ *
+ * Every store behind the shared cache (see src/cache/stores/memory.store.js)
+ * must behave the same way, so the blacklist and the rate limits work with
+ * either. The Redis store runs against a real server when TEST_REDIS_URL is set.
+ */
+
+const MemoryCacheStore = require('../../src/cache/stores/memory.store');
+const RedisCacheStore = require('../../src/cache/stores/redis.store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const stores = [
+  ['memory', () => new MemoryCacheStore()],
+];
+
+if (process.env.TEST_REDIS_URL) {
+  stores.push(['redis', () => new RedisCacheStore(process.env.TEST_REDIS_URL)]);
+}
+
+describe.each(stores)('%s cache store', (name, createStore) => {
+  let store;
+  let prefix;
+
+  beforeEach(async () => {
+    store = createStore();
+    await store.connect();
+    prefix = `test:${Date.now()}:${Math.random()}:`;
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('returns null for unknown keys', async () => {
+    expect(await store.get(`${prefix}missing`)).toBeNull();
+  });
+
+  it('stores values as strings', async () => {
+    await store.set(`${prefix}key`, 1);
+    expect(await store.get(`${prefix}key`)).toBe('1');
+  });
+
+  it('expires keys after their TTL', async () => {
+    await store.set(`${prefix}short`, 'value', 50);
+    expect(await store.get(`${prefix}short`)).toBe('value');
+
+    await sleep(80);
+    expect(await store.get(`${prefix}short`)).toBeNull();
+  });
+
+  it('deletes keys', async () => {
+    await store.set(`${prefix}key`, 'value');
+    await store.del(`${prefix}key`);
+    expect(await store.get(`${prefix}key`)).toBeNull();
+  });
+
+  it('counts hits in a fixed window', async () => {
+    const first = await store.increment(`${prefix}hits`, 1000);
+    const second = await store.increment(`${prefix}hits`, 1000);
+
+    expect(first.count).toBe(1);
+    expect(second.count).toBe(2);
+    expect(second.resetAt).toBeGreaterThan(Date.now());
+    expect(second.resetAt).toBeLessThanOrEqual(first.resetAt + 5);
+  });
+
+  it('starts a new window once the previous one ends', async () => {
+    await store.increment(`${prefix}hits`, 50);
+    await store.increment(`${prefix}hits`, 50);
+
+    await sleep(80);
+    const { count } = await store.increment(`${prefix}hits`, 50);
+    expect(count).toBe(1);
+  });
+
+  it('decrements without going below zero or creating keys', async () => {
+    await store.increment(`${prefix}hits`, 1000);
+    await store.decrement(`${prefix}hits`);
+    await store.decrement(`${prefix}hits`);
+    expect(await store.get(`${prefix}hits`)).toBe('0');
+
+    await store.decrement(`${prefix}never`);
+    expect(await store.get(`${prefix}never`)).toBeNull();
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  it('is local unless told to stand in for a shared store', async () => {
+    const local = new MemoryCacheStore();
+    const shared = new MemoryCacheStore({ shared: true });
+
+    expect(local.shared).toBe(false);
+    expect(shared.shared).toBe(true);
+
+    await local.close();
+    await shared.close();
+  });
+});
+
+describe('RedisCacheStore', () => {
+  it('fails fast instead of queueing commands while disconnected', async () => {
+    const store = new RedisCacheStore('redis://127.0.0.1:6379');
+    // Keep the test offline: pretend the client is open but not ready
+    Object.defineProperty(store.client, 'isOpen', { value: true });
+
+    await expect(store.get('key')).rejects.toThrow('Redis cache store is not connected');
+    await expect(store.increment('key', 1000)).rejects.toThrow('Redis cache store is not connected');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Notifications raised by content actions
+ *
+ * Likes, comments, replies and mentions go through NotificationService so
+ * grouping, preferences, quiet hours and live push apply to them. A failed
+ * notification never fails the action.
+ */
+
+const mongoose = require('mongoose');
+const commentService = require('../../src/services/comment.service');
+const postService = require('../../src/services/post.service');
+const notificationService = require('../../src/services/notification.service');
+const realtimeService = require('../../src/services/realtime.service');
+const Post = require('../../src/models/Post');
+const logger = require('../../src/utils/logger');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('content notifications', () => {
+  beforeEach(() => {
+    jest.spyOn(notificationService, 'createReplyNotification').mockResolvedValue({});
+    jest.spyOn(notificationService, 'createCommentNotification').mockResolvedValue({});
+    jest.spyOn(notificationService, 'createMentionNotification').mockResolvedValue({});
+    jest.spyOn(notificationService, 'createPostLikeNotification').mockResolvedValue({});
+    jest.spyOn(realtimeService, 'emitPostCounters').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('notifies the parent author, the post author and mentioned users once each', async () => {
+    const [authorId, postAuthor, parentAuthor, mentioned] = [id(), id(), id(), id()];
+    const post = { _id: id(), author: postAuthor, title: 'Night Verses' };
+    const parent = { author: parentAuthor };
+    const comment = { _id: id(), mentions: [parentAuthor, mentioned, authorId] };
+
+    await commentService._notifyCommentCreated(comment, post, parent, authorId.toString());
+
+    expect(notificationService.createReplyNotification)
+      .toHaveBeenCalledWith(authorId.toString(), parentAuthor, comment._id.toString(), post._id.toString());
+    expect(notificationService.createCommentNotification)
+      .toHaveBeenCalledWith(authorId.toString(), postAuthor, post._id.toString(), 'Night Verses');
+    expect(notificationService.createMentionNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createMentionNotification)
+      .toHaveBeenCalledWith(authorId.toString(), mentioned, comment._id.toString(), post._id.toString());
+  });
+
+  it('sends a reply, not a comment notification, when the post author wrote the parent', async () => {
+    const [authorId, postAuthor] = [id(), id()];
+    const post = { _id: id(), author: postAuthor, title: 'Night Verses' };
+
+    await commentService._notifyCommentCreated({ _id: id(), mentions: [] }, post, { author: postAuthor }, authorId.toString());
+
+    expect(notificationService.createReplyNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createCommentNotification).not.toHaveBeenCalled();
+  });
+
+  it('logs failed notifications instead of failing the comment', async () => {
+    notificationService.createCommentNotification.mockRejectedValue(new Error('Recipient not found'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const post = { _id: id(), author: id(), title: 'Night Verses' };
+
+    await expect(commentService._notifyCommentCreated({ _id: id(), mentions: [] }, post, null, id().toString()))
+      .resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith('Comment notification failed', expect.any(Object));
+  });
+
+  it('notifies the post author about a like', async () => {
+    const [postId, userId, postAuthor] = [id().toString(), id().toString(), id()];
+    jest.spyOn(Post, 'findById').mockResolvedValue({
+      author: postAuthor,
+      title: 'Night Verses',
+      stats: { likesCount: 1 },
+      isLikedBy: () => false,
+      likePost: async () => {},
+    });
+
+    await postService.toggleLike(postId, userId);
+
+    expect(notificationService.createPostLikeNotification)
+      .toHaveBeenCalledWith(userId, postAuthor, postId, 'Night Verses');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Email change revert link (AuthService.cancelEmailChange)
+ *
+ * After a change is confirmed, the cancel link sent to the previous address
+ * reverts it. Whoever made the change controls the new address, so nothing
+ * they can trigger from there (a password reset, signing out everywhere) may
+ * disarm that link.
+ */
+
+const sift = require('sift').default;
+const authService = require('../../src/services/auth.service');
+const realtimeService = require('../../src/services/realtime.service');
+const Token = require('../../src/models/Token');
+const PersonalAccessToken = require('../../src/models/PersonalAccessToken');
+const User = require('../../src/models/User');
+const { appLogger } = require('../../src/utils/logger');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+// Apply a $set, dotted paths included, to a plain object
+const applySet = (doc, set) => {
+  Object.entries(set).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => (target[key] = target[key] || {}), doc)[last] = value;
+  });
+};
+
+describe('email change revert link', () => {
+  let tokens;
+  let user;
+
+  const token = (value) => tokens.find(doc => doc.token === value);
+
+  beforeEach(() => {
+    const metadata = { requestId: 'request-1', newEmail: 'attacker@example.com', previousEmail: 'owner@example.com' };
+    tokens = [
+      { token: 'refresh-token', tokenType: 'refresh', user: USER_ID, isActive: true },
+      { token: 'confirm-token', tokenType: 'email_change', user: USER_ID, isActive: true, metadata },
+      { token: 'cancel-token', tokenType: 'email_change_cancel', user: USER_ID, isActive: true, metadata: { ...metadata } },
+      { token: 'reset-token', tokenType: 'reset_password', user: USER_ID, isActive: true },
+    ];
+    user = { _id: USER_ID, email: 'owner@example.com', save: jest.fn() };
+
+    // In-memory stand-ins for the Token queries these flows run
+    jest.spyOn(Token, 'findValidToken').mockImplementation(async (value, tokenType) => {
+      const doc = tokens.find(sift({ token: value, tokenType, isActive: true }));
+      return doc && {
+        ...doc,
+        user,
+        revoke: async (reason) => applySet(doc, { isActive: false, revokedAt: new Date(), revocationReason: reason }),
+      };
+    });
+    jest.spyOn(Token, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = tokens.filter(sift(filter));
+      matched.forEach(doc => applySet(doc, update.$set));
+      return { modifiedCount: matched.length };
+    });
+    jest.spyOn(Token, 'updateOne').mockImplementation(async (filter, update) => {
+      const doc = tokens.find(sift(filter));
+      if (doc) applySet(doc, update.$set);
+      return { modifiedCount: doc ? 1 : 0 };
+    });
+    jest.spyOn(PersonalAccessToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(realtimeService, 'closeSessions').mockImplementation(() => {});
+    jest.spyOn(appLogger, 'logSecurity').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('still reverts the change after a password reset from the new address', async () => {
+    await authService.confirmEmailChange('confirm-token');
+    expect(user.email).toBe('attacker@example.com');
+
+    await authService.resetPassword('reset-token', 'NewSecurePass123!');
+    expect(token('refresh-token').isActive).toBe(false);
+    expect(token('cancel-token').isActive).toBe(true);
+
+    await authService.cancelEmailChange('cancel-token');
+    expect(user.email).toBe('owner@example.com');
+    expect(token('cancel-token').revocationReason).toBe('used');
+  });
+
+  it('revokes personal access tokens made from the hijacked session', async () => {
+    await authService.confirmEmailChange('confirm-token');
+    await authService.cancelEmailChange('cancel-token');
+
+    expect(PersonalAccessToken.revokeAllForUser).toHaveBeenCalledWith(USER_ID);
+    expect(realtimeService.closeSessions).toHaveBeenCalledWith(USER_ID, {}, 'session_revoked');
+  });
+
+  it('survives signing out of all devices', async () => {
+    await authService.confirmEmailChange('confirm-token');
+    await authService.logoutAllDevices(USER_ID);
+
+    expect(token('refresh-token').isActive).toBe(false);
+    expect(token('cancel-token').isActive).toBe(true);
+  });
+
+  it('is revoked with everything else while the change is unconfirmed', async () => {
+    await authService.logoutAllDevices(USER_ID);
+
+    expect(token('cancel-token').isActive).toBe(false);
+  });
+});
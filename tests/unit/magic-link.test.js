@@ -0,0 +1,71 @@
+/**
+ * Magic link sign-in (AuthService.loginWithMagicLink)
+ *
+ * The account is checked before the link is claimed: a refused sign-in
+ * (locked, banned, ...) must not burn the link.
+ */
+
+const authService = require('../../src/services/auth.service');
+const Token = require('../../src/models/Token');
+const User = require('../../src/models/User');
+const { appLogger } = require('../../src/utils/logger');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const account = (overrides = {}) => ({
+  _id: USER_ID,
+  isActive: true,
+  isVerified: true,
+  isLocked: false,
+  isCurrentlyBanned: false,
+  twoFactor: { enabled: false },
+  ...overrides,
+});
+
+describe('AuthService.loginWithMagicLink', () => {
+  let claim;
+
+  beforeEach(() => {
+    jest.spyOn(Token, 'findOne').mockReturnValue({ select: async () => ({ user: USER_ID }) });
+    claim = jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue({ user: USER_ID });
+    jest.spyOn(authService, 'generateTokens').mockResolvedValue({ accessToken: 'access-token' });
+    jest.spyOn(authService, 'recordLoginDevice').mockResolvedValue();
+    jest.spyOn(authService, 'sanitizeUser').mockImplementation(user => ({ _id: user._id }));
+    jest.spyOn(appLogger, 'logAuth').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the link and signs in an account in good standing', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account());
+
+    const result = await authService.loginWithMagicLink('login-token');
+
+    expect(claim).toHaveBeenCalledWith(
+      expect.objectContaining({ token: 'login-token', tokenType: 'magic_link', isActive: true }),
+      expect.any(Object),
+      { new: true }
+    );
+    expect(result.tokens.accessToken).toBe('access-token');
+  });
+
+  it.each([
+    ['banned', { isCurrentlyBanned: true }, 'Account is banned'],
+    ['locked', { isLocked: true }, 'temporarily locked'],
+  ])('leaves the link unclaimed for a %s account', async (_, overrides, message) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account(overrides));
+
+    await expect(authService.loginWithMagicLink('login-token')).rejects.toThrow(message);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('rejects a link claimed by a parallel request', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account());
+    claim.mockResolvedValue(null);
+
+    await expect(authService.loginWithMagicLink('login-token')).rejects.toThrow('Invalid or expired sign-in link');
+    expect(authService.generateTokens).not.toHaveBeenCalled();
+  });
+});
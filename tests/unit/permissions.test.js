@@ -0,0 +1,277 @@
+/**
+ * Role and permission checks
+ *
+ * Routes check permissions (never role names); personal access tokens are
+ * further limited to their scopes, and account routes need a real session.
+ */
+
+const mongoose = require('mongoose');
+const {
+  PERMISSIONS,
+  TOKEN_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  SELF_REGISTRATION_ROLES,
+  expandPermissions,
+} = require('../../src/config/permissions');
+const { hasPermission, requireSession, ownerOrAdmin, requireVerifiedEmail } = require('../../src/middlewares/auth');
+const roleService = require('../../src/services/role.service');
+const authService = require('../../src/services/auth.service');
+const postService = require('../../src/services/post.service');
+const postController = require('../../src/controllers/post.controller');
+const userService = require('../../src/services/user.service');
+const realtimeService = require('../../src/services/realtime.service');
+const mailService = require('../../src/services/mail.service');
+const User = require('../../src/models/User');
+const Role = require('../../src/models/Role');
+const Token = require('../../src/models/Token');
+const { CONFIG } = require('../../src/config');
+const { authSchemas } = require('../../src/validators/schemas');
+
+// Run a middleware and resolve with whatever it passes to next()
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, resolve);
+});
+
+const userId = new mongoose.Types.ObjectId();
+const jwtRequest = (role, overrides = {}) => ({
+  user: { _id: userId, id: userId.toString(), role },
+  authMethod: 'jwt',
+  params: {},
+  originalUrl: '/api/test',
+  ...overrides,
+});
+const patRequest = (role, scopes) => jwtRequest(role, { authMethod: 'pat', tokenScopes: scopes });
+
+describe('permission configuration', () => {
+  it('expands the wildcard to every permission', () => {
+    expect(expandPermissions(['*'])).toEqual(PERMISSIONS);
+    expect(expandPermissions(['post:like'])).toEqual(['post:like']);
+  });
+
+  it('only offers content permissions as token scopes', () => {
+    expect(TOKEN_SCOPES.every(scope => PERMISSIONS.includes(scope))).toBe(true);
+    expect(TOKEN_SCOPES).not.toEqual(expect.arrayContaining(['user:ban']));
+    expect(TOKEN_SCOPES).not.toEqual(expect.arrayContaining(['role:manage']));
+  });
+
+  it('keeps staff roles out of self-registration', () => {
+    expect(SELF_REGISTRATION_ROLES).toEqual(['reader', 'writer']);
+    expect(DEFAULT_ROLE_PERMISSIONS.reader).not.toContain('post:create');
+    expect(DEFAULT_ROLE_PERMISSIONS.writer).toContain('post:create');
+  });
+});
+
+describe('hasPermission', () => {
+  beforeEach(() => {
+    jest.spyOn(roleService, 'getRolePermissions').mockImplementation(async role => (
+      new Set(expandPermissions(DEFAULT_ROLE_PERMISSIONS[role] || []))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('allows roles that grant the permission', async () => {
+    expect(await run(hasPermission('post:create'), jwtRequest('writer'))).toBeUndefined();
+    expect(await run(hasPermission('user:ban'), jwtRequest('admin'))).toBeUndefined();
+  });
+
+  it('denies roles without the permission', async () => {
+    const error = await run(hasPermission('post:create'), jwtRequest('reader'));
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('requires an authenticated user', async () => {
+    const error = await run(hasPermission('post:like'), { params: {} });
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('limits personal access tokens to their scopes', async () => {
+    expect(await run(hasPermission('post:create'), patRequest('writer', ['post:create']))).toBeUndefined();
+
+    const error = await run(hasPermission('post:delete'), patRequest('writer', ['post:create']));
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toMatch('post:delete');
+  });
+
+  it('never lets a scope exceed the role', async () => {
+    const error = await run(hasPermission('post:create'), patRequest('reader', ['post:create']));
+    expect(error.statusCode).toBe(403);
+  });
+});
+
+describe('requireSession', () => {
+  it('lets signed-in sessions through and rejects personal access tokens', async () => {
+    expect(await run(requireSession, jwtRequest('reader'))).toBeUndefined();
+
+    const error = await run(requireSession, patRequest('reader', TOKEN_SCOPES));
+    expect(error.statusCode).toBe(403);
+  });
+});
+
+describe('ownerOrAdmin', () => {
+  const otherUserId = new mongoose.Types.ObjectId();
+  const Comment = { modelName: 'Comment', findById: jest.fn() };
+
+  beforeEach(() => {
+    jest.spyOn(roleService, 'getRolePermissions').mockImplementation(async role => (
+      new Set(expandPermissions(DEFAULT_ROLE_PERMISSIONS[role] || []))
+    ));
+    Comment.findById.mockResolvedValue({ _id: 'comment-1', author: otherUserId });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets moderators delete other people's content", async () => {
+    const req = jwtRequest('moderator', { params: { commentId: 'comment-1' } });
+    expect(await run(ownerOrAdmin(Comment, 'commentId'), req)).toBeUndefined();
+  });
+
+  it('keeps edits owner-only when no moderation permission is given', async () => {
+    const req = jwtRequest('moderator', { params: { commentId: 'comment-1' } });
+
+    const error = await run(ownerOrAdmin(Comment, 'commentId', 'author', null), req);
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('lets owners edit their own content', async () => {
+    Comment.findById.mockResolvedValue({ _id: 'comment-1', author: userId });
+    const req = jwtRequest('reader', { params: { commentId: 'comment-1' } });
+
+    expect(await run(ownerOrAdmin(Comment, 'commentId', 'author', null), req)).toBeUndefined();
+    expect(req.resource.author).toBe(userId);
+  });
+});
+
+describe('post deletion', () => {
+  const res = { status: () => res, json: () => res };
+
+  beforeEach(() => {
+    jest.spyOn(roleService, 'getRolePermissions').mockImplementation(async role => (
+      new Set(expandPermissions(DEFAULT_ROLE_PERMISSIONS[role] || []))
+    ));
+    jest.spyOn(postService, 'deletePost').mockResolvedValue({ message: 'Post deleted successfully' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets roles with post:moderate delete other people's posts", async () => {
+    const req = jwtRequest('editor', { params: { postId: 'post-1' } });
+
+    await postController.deletePost(req, res, jest.fn());
+
+    expect(postService.deletePost).toHaveBeenCalledWith('post-1', userId.toString(), true);
+  });
+
+  it('limits everyone else to their own posts', async () => {
+    const req = jwtRequest('writer', { params: { postId: 'post-1' } });
+
+    await postController.deletePost(req, res, jest.fn());
+
+    expect(postService.deletePost).toHaveBeenCalledWith('post-1', userId.toString(), false);
+  });
+});
+
+describe('requireVerifiedEmail', () => {
+  beforeEach(() => {
+    // No role documents: roles fall back to their defaults
+    jest.spyOn(Role, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    jest.replaceProperty(CONFIG, 'REQUIRE_EMAIL_VERIFICATION', true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('blocks unverified accounts unless their role holds every permission', async () => {
+    const error = await run(requireVerifiedEmail, jwtRequest('editor'));
+    expect(error.errorCode).toBe('EMAIL_NOT_VERIFIED');
+
+    expect(await run(requireVerifiedEmail, jwtRequest('admin'))).toBeUndefined();
+  });
+});
+
+describe('admin account deletion', () => {
+  const adminId = new mongoose.Types.ObjectId().toString();
+  const targetId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.spyOn(Role, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Token, 'revokeAllUserTokens').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(realtimeService, 'closeSessions').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const target = (role) => jest.spyOn(User, 'findById').mockResolvedValue({ _id: targetId, role });
+
+  it('never deletes another administrator', async () => {
+    target('admin');
+
+    await expect(userService.deleteUser(targetId, adminId, true, 'admin'))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('leaves holders of user:delete to full admins', async () => {
+    const customRole = { permissions: ['user:view', 'user:delete'] };
+    Role.findOne.mockImplementation(({ name }) => ({
+      select: () => ({ lean: async () => (name === 'account-manager' ? customRole : null) }),
+    }));
+    target('account-manager');
+
+    await expect(userService.deleteUser(targetId, adminId, true, 'account-manager'))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(userService.deleteUser(targetId, adminId, true, 'admin')).resolves.toMatchObject({ success: true });
+  });
+
+  it('deletes regular accounts', async () => {
+    target('writer');
+
+    await expect(userService.deleteUser(targetId, adminId, true, 'admin')).resolves.toMatchObject({ success: true });
+    expect(Token.revokeAllUserTokens).toHaveBeenCalledWith(targetId, 'admin_action', adminId);
+  });
+});
+
+describe('registration roles', () => {
+  const registration = {
+    fullName: 'Jane Smith',
+    email: 'jane@example.com',
+    password: 'SecurePass123!',
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only accepts reader or writer in the request body', () => {
+    const schema = authSchemas.register.body;
+
+    expect(schema.parse(registration).role).toBe('reader');
+    expect(schema.parse({ ...registration, role: 'writer' }).role).toBe('writer');
+    expect(schema.safeParse({ ...registration, role: 'admin' }).success).toBe(false);
+  });
+
+  it('never creates staff accounts, whatever reaches the service', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(User.prototype, 'save').mockResolvedValue();
+    jest.spyOn(authService, 'generateTokens').mockResolvedValue({});
+    jest.spyOn(authService, 'recordLoginDevice').mockResolvedValue();
+    jest.spyOn(authService, 'issueEmailVerification').mockResolvedValue();
+    jest.spyOn(authService, 'sanitizeUser').mockImplementation(user => user);
+    jest.spyOn(mailService, 'sendWelcome').mockResolvedValue();
+
+    const { user } = await authService.registerUser({ ...registration, role: 'admin' });
+
+    expect(save).toHaveBeenCalled();
+    expect(user.role).toBe('reader');
+  });
+});
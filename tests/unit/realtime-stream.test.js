@@ -0,0 +1,68 @@
+/**
+ * Realtime stream registration (RealtimeController.stream)
+ *
+ * A client that disconnects while the stream is being set up must not stay
+ * registered: its 'close' event has already fired.
+ */
+
+const { EventEmitter } = require('events');
+const realtimeController = require('../../src/controllers/realtime.controller');
+const realtimeService = require('../../src/services/realtime.service');
+const postService = require('../../src/services/post.service');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const streamRequest = () => Object.assign(new EventEmitter(), {
+  user: { id: USER_ID },
+  sessionId: 'session-1',
+  query: {},
+  token: 'access-token',
+  destroyed: false,
+  socket: { setTimeout: jest.fn() },
+});
+
+const streamResponse = () => {
+  const res = {
+    writableEnded: false,
+    status: () => res,
+    set: () => res,
+    flushHeaders: jest.fn(),
+    write: jest.fn(),
+  };
+  return res;
+};
+
+describe('RealtimeController.stream', () => {
+  beforeEach(() => {
+    jest.spyOn(realtimeService, 'registerClient').mockReturnValue({ id: 'connection-1', posts: new Set() });
+    jest.spyOn(realtimeService, 'removeClient').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('registers the client and removes it when the request closes', async () => {
+    jest.spyOn(postService, 'filterVisiblePostIds').mockResolvedValue([]);
+    const req = streamRequest();
+
+    await realtimeController.stream(req, streamResponse(), jest.fn());
+    expect(realtimeService.registerClient).toHaveBeenCalled();
+
+    req.emit('close');
+    expect(realtimeService.removeClient).toHaveBeenCalledWith('connection-1');
+  });
+
+  it('skips registration when the client left during setup', async () => {
+    const req = streamRequest();
+    jest.spyOn(postService, 'filterVisiblePostIds').mockImplementation(async () => {
+      req.destroyed = true;
+      req.emit('close');
+      return [];
+    });
+
+    await realtimeController.stream(req, streamResponse(), jest.fn());
+
+    expect(realtimeService.registerClient).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Refresh token rotation and reuse detection (AuthService.refreshToken)
+ *
+ * A refresh token can be exchanged once. Presenting it again, or racing two
+ * refreshes with it, revokes the whole family and closes the session's streams.
+ */
+
+const authService = require('../../src/services/auth.service');
+const realtimeService = require('../../src/services/realtime.service');
+const Token = require('../../src/models/Token');
+const User = require('../../src/models/User');
+const { AuthenticationError } = require('../../src/utils/errors');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const storedToken = (overrides = {}) => ({
+  _id: '650000000000000000000001',
+  token: 'refresh-token',
+  user: USER_ID,
+  sessionId: 'session-1',
+  isExpired: false,
+  revocationReason: undefined,
+  createdAt: new Date('2026-10-01T00:00:00Z'),
+  metadata: { familyId: 'family-1', generation: 2 },
+  ...overrides,
+});
+
+describe('AuthService.refreshToken', () => {
+  let generateTokens;
+
+  beforeEach(() => {
+    jest.spyOn(Token, 'revokeFamily').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(realtimeService, 'closeSessions').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    jest.spyOn(authService, 'sanitizeUser').mockImplementation(user => ({ _id: user._id }));
+    generateTokens = jest.spyOn(authService, 'generateTokens').mockResolvedValue({
+      accessToken: 'new-access-token',
+      refreshToken: 'new-refresh-token',
+      expiresIn: '15m',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the presented token atomically and issues its successor in the same family', async () => {
+    const tokenDoc = storedToken();
+    jest.spyOn(Token, 'findOne').mockResolvedValue(tokenDoc);
+    const claim = jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(tokenDoc);
+
+    const result = await authService.refreshToken('refresh-token');
+
+    expect(claim).toHaveBeenCalledWith(
+      expect.objectContaining({ token: 'refresh-token', isActive: true, revokedAt: { $exists: false } }),
+      { $set: expect.objectContaining({ isActive: false, revocationReason: 'rotated' }) }
+    );
+    expect(generateTokens).toHaveBeenCalledWith(expect.anything(), {}, expect.objectContaining({
+      sessionId: 'session-1',
+      familyId: 'family-1',
+      parentId: tokenDoc._id,
+      generation: 3,
+    }));
+    expect(result.refreshToken).toBe('new-refresh-token');
+    expect(Token.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('revokes the family when a rotated token is presented again', async () => {
+    jest.spyOn(Token, 'findOne').mockResolvedValue(storedToken({ revocationReason: 'rotated' }));
+    jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(authService.refreshToken('refresh-token')).rejects.toThrow(AuthenticationError);
+
+    expect(Token.revokeFamily).toHaveBeenCalledWith('family-1', 'security_breach');
+    expect(realtimeService.closeSessions).toHaveBeenCalledWith(USER_ID, { sessionId: 'session-1' });
+    expect(generateTokens).not.toHaveBeenCalled();
+  });
+
+  it('treats the loser of two concurrent refreshes as reuse', async () => {
+    // Both requests read the token while it was still active; only one claim succeeds
+    const tokenDoc = storedToken();
+    jest.spyOn(Token, 'findOne').mockResolvedValue(tokenDoc);
+    jest.spyOn(Token, 'findOneAndUpdate')
+      .mockResolvedValueOnce(tokenDoc)
+      .mockResolvedValueOnce(null);
+
+    const results = await Promise.allSettled([
+      authService.refreshToken('refresh-token'),
+      authService.refreshToken('refresh-token'),
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(generateTokens).toHaveBeenCalledTimes(1);
+    expect(Token.revokeFamily).toHaveBeenCalledWith('family-1', 'security_breach');
+  });
+
+  it('starts a family for tokens issued before rotation existed', async () => {
+    jest.spyOn(Token, 'findOne').mockResolvedValue(storedToken({ metadata: {}, revocationReason: 'rotated' }));
+    jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(authService.refreshToken('refresh-token')).rejects.toThrow(AuthenticationError);
+
+    expect(Token.revokeFamily).toHaveBeenCalledWith('650000000000000000000001', 'security_breach');
+  });
+
+  it('rejects unknown and expired tokens without revoking anything', async () => {
+    const claim = jest.spyOn(Token, 'findOneAndUpdate');
+    jest.spyOn(Token, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(storedToken({ isExpired: true }));
+
+    await expect(authService.refreshToken('unknown')).rejects.toThrow('Invalid or expired refresh token');
+    await expect(authService.refreshToken('refresh-token')).rejects.toThrow('Invalid or expired refresh token');
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(Token.revokeFamily).not.toHaveBeenCalled();
+  });
+});
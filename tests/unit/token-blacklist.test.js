@@ -0,0 +1,137 @@
+/**
+ * JWT blacklist on top of the shared cache
+ *
+ * MongoDB stays the source of truth: a cache miss or outage must never let a
+ * revoked token through. Misses are remembered briefly so valid tokens don't
+ * cost a query per request, but never outrank a revocation.
+ */
+
+const cache = require('../../src/cache');
+const MemoryCacheStore = require('../../src/cache/stores/memory.store');
+const Token = require('../../src/models/Token');
+const { appLogger } = require('../../src/utils/logger');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+// Chainable stand-in for Token.findOne(...).select(...).lean()
+const findOneResult = (value) => ({
+  select: () => ({ lean: async () => value }),
+});
+
+// No database: save() only applies what the pre-save hook would (the expiry)
+const mockSave = () => jest.spyOn(Token.prototype, 'save').mockImplementation(async function() {
+  this.expiresAt = new Date(Date.now() + 60 * 1000);
+});
+
+describe('Token blacklist', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await cache.setStore(new MemoryCacheStore({ shared: true }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await cache.setStore(new MemoryCacheStore());
+  });
+
+  it('answers a cache hit without querying MongoDB', async () => {
+    mockSave();
+    const findOne = jest.spyOn(Token, 'findOne').mockResolvedValue(null); // no original token to revoke
+    await Token.blacklistToken('revoked-token', USER_ID);
+    findOne.mockClear();
+
+    expect(await Token.isBlacklisted('revoked-token')).toBe(true);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('falls back to MongoDB on a cache miss and re-caches the entry', async () => {
+    const entry = { token: 'evicted-token', expiresAt: new Date(Date.now() + 60 * 1000) };
+    jest.spyOn(Token, 'findOne').mockReturnValue(findOneResult(entry));
+
+    expect(await Token.isBlacklisted('evicted-token')).toBe(true);
+
+    Token.findOne.mockClear();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await Token.isBlacklisted('evicted-token')).toBe(true);
+    expect(Token.findOne).not.toHaveBeenCalled();
+  });
+
+  it('falls back to MongoDB when the cache is unavailable', async () => {
+    jest.spyOn(store, 'get').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(Token, 'findOne').mockReturnValue(findOneResult({
+      token: 'revoked-token',
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    }));
+
+    expect(await Token.isBlacklisted('revoked-token')).toBe(true);
+  });
+
+  it('accepts tokens missing from both the cache and MongoDB', async () => {
+    jest.spyOn(Token, 'findOne').mockReturnValue(findOneResult(null));
+
+    expect(await Token.isBlacklisted('valid-token')).toBe(false);
+  });
+
+  it('remembers misses so valid tokens skip MongoDB on the next lookups', async () => {
+    jest.spyOn(Token, 'findOne').mockReturnValue(findOneResult(null));
+    await Token.isBlacklisted('valid-token');
+    await new Promise(resolve => setImmediate(resolve));
+
+    Token.findOne.mockClear();
+    expect(await Token.isBlacklisted('valid-token')).toBe(false);
+    expect(Token.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a revoked token at once even while its miss is remembered', async () => {
+    const findOne = jest.spyOn(Token, 'findOne').mockReturnValue(findOneResult(null));
+    await Token.isBlacklisted('access-token');
+    await new Promise(resolve => setImmediate(resolve));
+
+    mockSave();
+    findOne.mockResolvedValue(null); // no original token to revoke
+    await Token.blacklistToken('access-token', USER_ID);
+
+    expect(await Token.isBlacklisted('access-token')).toBe(true);
+  });
+
+  it('warms the cache in batches instead of one write at a time', async () => {
+    const entries = Array.from({ length: 3 }, (_, i) => ({
+      token: `revoked-${i}`,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    }));
+    jest.spyOn(Token, 'find').mockReturnValue({ select: () => ({ lean: async () => entries }) });
+    jest.spyOn(appLogger, 'info').mockImplementation(() => {});
+
+    let pending = 0;
+    let maxPending = 0;
+    const set = store.set.bind(store);
+    jest.spyOn(store, 'set').mockImplementation(async (...args) => {
+      maxPending = Math.max(maxPending, ++pending);
+      await new Promise(resolve => setImmediate(resolve));
+      pending--;
+      return set(...args);
+    });
+
+    expect(await Token.warmBlacklistCache()).toBe(3);
+    expect(maxPending).toBe(3);
+
+    const findOne = jest.spyOn(Token, 'findOne');
+    expect(await Token.isBlacklisted('revoked-2')).toBe(true);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('fails the revocation when the cache write fails', async () => {
+    mockSave();
+    jest.spyOn(Token, 'findOne').mockResolvedValue(null);
+    jest.spyOn(store, 'set').mockRejectedValue(new Error('connection lost'));
+    const logSecurity = jest.spyOn(appLogger, 'logSecurity').mockImplementation(() => {});
+
+    await expect(Token.blacklistToken('access-token', USER_ID))
+      .rejects.toThrow('connection lost');
+    expect(logSecurity).toHaveBeenCalledWith('blacklist_cache_write_failed', 'high', expect.any(Object));
+  });
+});